@@ -0,0 +1,233 @@
+// Alert rules engine: evaluates events against stored rules and delivers
+// matches to outbound targets with retries and exponential backoff.
+// Every delivery is logged (with each attempt) in the store. Retries wait in
+// timers, so deliveries a restart left pending or retrying are resumed when
+// the engine is created.
+
+const crypto = require('crypto');
+const express = require('express');
+const fetch = require('node-fetch');
+const { validateRule, ruleMatches } = require('./rules');
+const { buildRequest, redactUrl } = require('./targets');
+const log = require('../logger');
+
+// options: rules (store map), deliveries (store list), maxAttempts, baseDelayMs, timeoutMs
+function createAlertEngine(options) {
+  const rules = options.rules;
+  const deliveries = options.deliveries;
+  const maxAttempts = options.maxAttempts || 4;
+  const baseDelayMs = options.baseDelayMs || 1000;
+  const timeoutMs = options.timeoutMs || 10000;
+
+  function recordAttempt(deliveryId, attempt, status) {
+    deliveries.update(d => d.id === deliveryId, d => ({
+      ...d,
+      status,
+      attempts: [...d.attempts, attempt],
+      updatedAt: Date.now()
+    }));
+  }
+
+  async function attempt(deliveryId, request, attemptNumber) {
+    const startedAt = Date.now();
+    let error = null;
+    let retryable = true;
+    let httpStatus = null;
+
+    try {
+      const response = await fetch(request.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CryptoBridgeServer/2.0',
+          ...(request.headers || {})
+        },
+        body: JSON.stringify(request.body),
+        timeout: timeoutMs
+      });
+      httpStatus = response.status;
+      if (!response.ok) {
+        error = `Target responded with status: ${response.status}`;
+        // Client errors other than rate limiting will not succeed on retry
+        retryable = response.status === 429 || response.status >= 500;
+      }
+    } catch (fetchError) {
+      error = fetchError.message;
+    }
+
+    const finalAttempt = !error || !retryable || attemptNumber >= maxAttempts;
+    const status = !error ? 'delivered' : (finalAttempt ? 'failed' : 'retrying');
+    recordAttempt(deliveryId, {
+      attempt: attemptNumber,
+      at: startedAt,
+      durationMs: Date.now() - startedAt,
+      httpStatus,
+      error
+    }, status);
+
+    if (error) {
+      log.warn('Alert delivery attempt failed', { deliveryId, attempt: attemptNumber, url: redactUrl(request.url), error });
+    }
+
+    if (!finalAttempt) {
+      scheduleAttempt(deliveryId, request, attemptNumber + 1, retryDelay(attemptNumber));
+    }
+  }
+
+  // Exponential backoff with jitter after attempt n: 1s, 2s, 4s... (+/- 20%)
+  function retryDelay(attemptNumber) {
+    return baseDelayMs * Math.pow(2, attemptNumber - 1) * (0.8 + Math.random() * 0.4);
+  }
+
+  function scheduleAttempt(deliveryId, request, attemptNumber, delay) {
+    setTimeout(() => attempt(deliveryId, request, attemptNumber), delay).unref();
+  }
+
+  // Rebuilds the request from the current rule; fails deliveries whose rule
+  // was deleted or that already used every attempt
+  function resumeDeliveries() {
+    const unfinished = deliveries.filter(d => d.status === 'pending' || d.status === 'retrying');
+    unfinished.forEach(delivery => {
+      const rule = rules.get(delivery.ruleId);
+      const made = delivery.attempts.length;
+      if (!rule || made >= maxAttempts) {
+        deliveries.update(d => d.id === delivery.id, d => ({
+          ...d,
+          status: 'failed',
+          reason: rule ? 'Out of attempts when delivery resumed' : 'Rule deleted before delivery resumed',
+          updatedAt: Date.now()
+        }));
+        return;
+      }
+      scheduleAttempt(delivery.id, buildRequest(rule.target, rule, delivery.event), made + 1, made > 0 ? retryDelay(made) : 0);
+    });
+    if (unfinished.length > 0) {
+      log.info('Resumed unfinished alert deliveries', { deliveries: unfinished.length });
+    }
+  }
+
+  function deliver(rule, event) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      targetType: rule.target.type,
+      event, // Kept whole so a resumed delivery sends the same payload
+      status: 'pending',
+      attempts: [],
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    deliveries.unshift(delivery);
+    attempt(delivery.id, buildRequest(rule.target, rule, event), 1);
+    return delivery;
+  }
+
+  // event: { category, symbols[], type?, title, text?, usdValue?, impact?, link?, timestamp }
+  function evaluate(event) {
+    const matched = Array.from(rules.values()).filter(rule => ruleMatches(rule, event));
+    matched.forEach(rule => {
+      log.info('Alert rule matched', { rule: rule.name, title: event.title });
+      deliver(rule, event);
+    });
+    return matched.length;
+  }
+
+  function createRule(input) {
+    const rule = { id: crypto.randomUUID(), ...validateRule(input), createdAt: Date.now() };
+    rules.set(rule.id, rule);
+    return rule;
+  }
+
+  function updateRule(id, input) {
+    const existing = rules.get(id);
+    if (!existing) return null;
+    const rule = { ...existing, ...validateRule({ ...existing, ...input }), updatedAt: Date.now() };
+    rules.set(id, rule);
+    return rule;
+  }
+
+  resumeDeliveries();
+
+  return {
+    evaluate,
+    deliver,
+    createRule,
+    updateRule,
+    getRule: id => rules.get(id),
+    deleteRule: id => rules.delete(id),
+    listRules: () => Array.from(rules.values()),
+    listDeliveries: () => deliveries.all()
+  };
+}
+
+// CRUD endpoints for rules plus the delivery log, mounted under /alerts
+function createAlertRouter(engine) {
+  const router = express.Router();
+
+  router.get('/rules', (req, res) => {
+    const rules = engine.listRules();
+    res.json({ totalRules: rules.length, rules });
+  });
+
+  router.post('/rules', (req, res) => {
+    try {
+      res.status(201).json(engine.createRule(req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/rules/:id', (req, res) => {
+    const rule = engine.getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json(rule);
+  });
+
+  router.put('/rules/:id', (req, res) => {
+    try {
+      const rule = engine.updateRule(req.params.id, req.body);
+      if (!rule) return res.status(404).json({ error: 'Rule not found' });
+      res.json(rule);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/rules/:id', (req, res) => {
+    if (!engine.deleteRule(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    res.status(204).end();
+  });
+
+  // Sends a sample event to the rule's target regardless of its match conditions
+  router.post('/rules/:id/test', (req, res) => {
+    const rule = engine.getRule(req.params.id);
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    const delivery = engine.deliver(rule, {
+      category: 'ONCHAIN',
+      symbols: ['BTC'],
+      title: 'Test alert from Crypto Bridge Server',
+      timestamp: Math.floor(Date.now() / 1000)
+    });
+    res.status(202).json({ success: true, deliveryId: delivery.id });
+  });
+
+  // Query: ruleId, status (pending|retrying|delivered|failed), limit
+  router.get('/deliveries', (req, res) => {
+    const { ruleId, status } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const deliveries = engine.listDeliveries()
+      .filter(d => (!ruleId || d.ruleId === ruleId) && (!status || d.status === status));
+    res.json({ totalDeliveries: deliveries.length, deliveries: deliveries.slice(0, limit) });
+  });
+
+  router.get('/deliveries/:id', (req, res) => {
+    const delivery = engine.listDeliveries().find(d => d.id === req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  });
+
+  return router;
+}
+
+module.exports = { createAlertEngine, createAlertRouter };
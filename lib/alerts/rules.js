@@ -0,0 +1,100 @@
+// Alert rule validation and matching
+//
+// Rule: {
+//   id, name, enabled,
+//   match: { categories[], symbols[], types[], keywords[], minUsdValue, minImpact },
+//   target: { type: 'webhook' | 'discord' | 'slack' | 'telegram', url?, botToken?, chatId?, headers?, apiBaseUrl? }
+// }
+// Every match condition that is present must hold; keywords match if any appears.
+
+const TARGET_TYPES = ['webhook', 'discord', 'slack', 'telegram'];
+const CATEGORIES = ['NEWS', 'ONCHAIN'];
+
+function upperList(value) {
+  if (value === undefined || value === null) return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim().toUpperCase()).filter(Boolean);
+}
+
+function optionalNumber(value, field) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!isFinite(number)) {
+    throw new Error(`match.${field} must be a number`);
+  }
+  return number;
+}
+
+// Returns a clean rule object or throws with a message suitable for a 400
+function validateRule(input) {
+  if (!input || typeof input !== 'object') {
+    throw new Error('Rule must be a JSON object');
+  }
+  if (!input.name || typeof input.name !== 'string') {
+    throw new Error('Rule "name" is required');
+  }
+
+  const match = input.match || {};
+  const categories = upperList(match.categories);
+  if (categories && categories.some(c => !CATEGORIES.includes(c))) {
+    throw new Error(`match.categories must be among: ${CATEGORIES.join(', ')}`);
+  }
+
+  const target = input.target || {};
+  if (!TARGET_TYPES.includes(target.type)) {
+    throw new Error(`target.type must be one of: ${TARGET_TYPES.join(', ')}`);
+  }
+  if (target.type === 'telegram') {
+    if (!target.botToken || !target.chatId) {
+      throw new Error('Telegram targets need target.botToken and target.chatId');
+    }
+  } else if (!target.url) {
+    throw new Error(`${target.type} targets need target.url`);
+  }
+
+  return {
+    name: input.name,
+    enabled: input.enabled !== false,
+    match: {
+      categories,
+      symbols: upperList(match.symbols),
+      types: match.types ? upperList(match.types).map(t => t.toLowerCase()) : undefined,
+      keywords: match.keywords ? (Array.isArray(match.keywords) ? match.keywords : [match.keywords]).map(String) : undefined,
+      minUsdValue: optionalNumber(match.minUsdValue, 'minUsdValue'),
+      minImpact: optionalNumber(match.minImpact, 'minImpact')
+    },
+    target: {
+      type: target.type,
+      url: target.url,
+      headers: target.headers,
+      botToken: target.botToken,
+      chatId: target.chatId,
+      apiBaseUrl: target.apiBaseUrl
+    }
+  };
+}
+
+// event: { category, symbols[], type?, title, text?, usdValue?, impact? }
+function ruleMatches(rule, event) {
+  if (!rule.enabled) return false;
+  const match = rule.match || {};
+
+  if (match.categories && !match.categories.includes(event.category)) return false;
+  if (match.symbols && !match.symbols.some(symbol => event.symbols.includes(symbol))) return false;
+  if (match.types && !match.types.includes(event.type)) return false;
+  if (match.minUsdValue !== undefined && !(event.usdValue >= match.minUsdValue)) return false;
+  if (match.minImpact !== undefined && !(event.impact >= match.minImpact)) return false;
+
+  if (match.keywords) {
+    const haystack = `${event.title || ''} ${event.text || ''}`;
+    const found = match.keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`\\b${escaped}\\b`, 'i').test(haystack);
+    });
+    if (!found) return false;
+  }
+
+  return true;
+}
+
+module.exports = { validateRule, ruleMatches, TARGET_TYPES };
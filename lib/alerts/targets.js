@@ -0,0 +1,52 @@
+// Outbound payload formats per target type
+
+function summaryLine(event) {
+  const symbols = event.symbols.length > 0 ? event.symbols.join(',') : 'CRYPTO';
+  return `[${event.category}] ${symbols}: ${event.title}`;
+}
+
+function buildRequest(target, rule, event) {
+  const line = summaryLine(event);
+  const link = event.link ? `\n${event.link}` : '';
+
+  switch (target.type) {
+    case 'discord':
+      return {
+        url: target.url,
+        body: {
+          content: `**${rule.name}**\n${line}${link}`,
+          allowed_mentions: { parse: [] }
+        }
+      };
+    case 'slack':
+      return {
+        url: target.url,
+        body: { text: `*${rule.name}*\n${line}${link}` }
+      };
+    case 'telegram':
+      return {
+        url: `${target.apiBaseUrl || 'https://api.telegram.org'}/bot${target.botToken}/sendMessage`,
+        body: {
+          chat_id: target.chatId,
+          text: `${rule.name}\n${line}${link}`,
+          disable_web_page_preview: true
+        }
+      };
+    default:
+      return {
+        url: target.url,
+        headers: target.headers,
+        body: {
+          rule: { id: rule.id, name: rule.name },
+          event
+        }
+      };
+  }
+}
+
+// Hide bot tokens in logged URLs
+function redactUrl(url) {
+  return url.replace(/\/bot[^/]+\//, '/bot***/');
+}
+
+module.exports = { buildRequest, redactUrl };
@@ -0,0 +1,270 @@
+// Arkham alert payload normalization
+// Recognizes the distinct alert shapes Arkham delivers and turns them into a
+// structured event. Payloads that match none of them come back with
+// `recognized: false` so callers can flag them instead of guessing.
+//
+// Shapes:
+//   transfer        { transfer: { transactionHash, fromAddress, toAddress, tokenSymbol, unitValue, historicalUSD, chain } }
+//                   (also `transfers: [...]` and the legacy `transaction: { token, value, from, to }`)
+//   balance_change  { balanceChange: { entity, chain, tokenSymbol, previousBalance, newBalance, changeUSD } }
+//   swap            { swap: { transactionHash, chain, trader, tokenIn: {...}, tokenOut: {...} } }
+//   entity_alert    { entity: { name }, alert: { name } } with no transfer data
+//
+// On-chain time comes from `blockTimestamp` (ISO 8601), `blockTime` or
+// `timestamp` (unix seconds/ms) on the inner object or the payload itself.
+
+const crypto = require('crypto');
+const { parseTimestamp } = require('./time');
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[$,]/g, ''));
+  return isFinite(number) ? number : null;
+}
+
+function upper(value) {
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : null;
+}
+
+function formatUsd(value) {
+  if (value === null || value === undefined) return '';
+  if (value >= 1000000000) return `$${(value / 1000000000).toFixed(1)}B`;
+  if (value >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `$${(value / 1000).toFixed(0)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+function formatTokenAmount(value, symbol) {
+  if (value === null || value === undefined) return '';
+  const digits = Math.abs(value) >= 100 ? 0 : 4;
+  return `${value.toLocaleString('en-US', { maximumFractionDigits: digits })} ${symbol}`;
+}
+
+// Arkham address objects carry an entity and/or a label; plain strings are bare addresses
+function parseParty(party) {
+  if (!party) return null;
+  if (typeof party === 'string') {
+    return { address: party, entity: null, type: null, label: null };
+  }
+  const entity = party.arkhamEntity || party.entity;
+  const label = party.arkhamLabel || party.label;
+  return {
+    address: party.address || null,
+    entity: entity ? (entity.name || entity.id || null) : null,
+    type: entity ? (entity.type || null) : null,
+    label: label ? (label.name || label) : null
+  };
+}
+
+function partyName(party) {
+  if (!party) return null;
+  if (party.entity) return party.entity;
+  if (party.label) return party.label;
+  if (party.address) return `${party.address.slice(0, 6)}…${party.address.slice(-4)}`;
+  return null;
+}
+
+function route(from, to) {
+  const fromName = partyName(from);
+  const toName = partyName(to);
+  if (fromName && toName) return ` (${fromName} → ${toName})`;
+  if (fromName) return ` from ${fromName}`;
+  if (toName) return ` to ${toName}`;
+  return '';
+}
+
+function normalizeTransfer(transfer, alertName) {
+  const symbol = upper(transfer.tokenSymbol || transfer.token || transfer.asset || transfer.symbol);
+  const from = parseParty(transfer.fromAddress || transfer.from);
+  const to = parseParty(transfer.toAddress || transfer.to);
+
+  // Only explicitly USD-denominated fields count as USD; legacy `value` is a token amount
+  const usdValue = toNumber(transfer.historicalUSD !== undefined ? transfer.historicalUSD
+    : transfer.usdValue !== undefined ? transfer.usdValue : transfer.valueUSD);
+  const tokenAmount = toNumber(transfer.unitValue !== undefined ? transfer.unitValue
+    : transfer.amount !== undefined ? transfer.amount : transfer.value);
+
+  const displaySymbol = symbol || 'Token';
+  let title;
+  if (usdValue !== null && usdValue > 1000000) {
+    title = `Large ${displaySymbol} transfer: ${formatUsd(usdValue)}`;
+  } else if (usdValue !== null && usdValue > 1000) {
+    title = `${displaySymbol} transfer: ${formatUsd(usdValue)}`;
+  } else if (tokenAmount !== null && symbol) {
+    title = `${displaySymbol} transfer: ${formatTokenAmount(tokenAmount, symbol)}`;
+  } else {
+    title = `${displaySymbol} movement detected`;
+  }
+
+  return {
+    type: 'transfer',
+    symbol,
+    title: title + route(from, to),
+    chain: transfer.chain || (transfer.fromAddress && transfer.fromAddress.chain) || null,
+    txHash: transfer.transactionHash || transfer.txHash || transfer.hash || null,
+    tokenAddress: transfer.tokenAddress || transfer.contractAddress || null,
+    from,
+    to,
+    tokenAmount,
+    usdValue,
+    alertName
+  };
+}
+
+function normalizeBalanceChange(change, alertName) {
+  const symbol = upper(change.tokenSymbol || change.token || change.symbol);
+  const entity = parseParty(change.entity || change.address);
+  const previous = toNumber(change.previousBalance);
+  const current = toNumber(change.newBalance);
+  const tokenAmount = toNumber(change.change) !== null ? toNumber(change.change)
+    : (previous !== null && current !== null ? current - previous : null);
+  const usdValue = toNumber(change.changeUSD !== undefined ? change.changeUSD : change.usdValue);
+
+  const who = partyName(entity) || 'Tracked wallet';
+  const sign = tokenAmount !== null && tokenAmount < 0 ? '-' : '+';
+  const sizeParts = [];
+  if (tokenAmount !== null && symbol) sizeParts.push(`${sign}${formatTokenAmount(Math.abs(tokenAmount), symbol)}`);
+  if (usdValue !== null) sizeParts.push(sizeParts.length ? `(${formatUsd(Math.abs(usdValue))})` : `${sign}${formatUsd(Math.abs(usdValue))}`);
+
+  return {
+    type: 'balance_change',
+    symbol,
+    tokenAddress: change.tokenAddress || null,
+    title: `${who} ${symbol || 'token'} balance ${sizeParts.join(' ') || 'changed'}`.trim(),
+    chain: change.chain || null,
+    txHash: change.transactionHash || null,
+    from: null,
+    to: entity,
+    tokenAmount,
+    usdValue: usdValue !== null ? Math.abs(usdValue) : null,
+    alertName
+  };
+}
+
+function normalizeSwap(swap, alertName) {
+  const tokenIn = swap.tokenIn || {};
+  const tokenOut = swap.tokenOut || {};
+  const symbolIn = upper(tokenIn.symbol || tokenIn.tokenSymbol);
+  const symbolOut = upper(tokenOut.symbol || tokenOut.tokenSymbol);
+  const trader = parseParty(swap.trader || swap.fromAddress || swap.address);
+  const usdValue = toNumber(swap.usdValue !== undefined ? swap.usdValue
+    : tokenIn.usdValue !== undefined ? tokenIn.usdValue : tokenOut.usdValue);
+  const traderName = partyName(trader);
+
+  return {
+    type: 'swap',
+    // The token being acquired is the one the feed cares about
+    symbol: symbolOut || symbolIn,
+    tokenAddress: (symbolOut ? tokenOut.tokenAddress || tokenOut.address : tokenIn.tokenAddress || tokenIn.address) || null,
+    title: `${symbolIn || '?'}→${symbolOut || '?'} swap${usdValue !== null ? `: ${formatUsd(usdValue)}` : ''}${traderName ? ` by ${traderName}` : ''}`,
+    chain: swap.chain || null,
+    txHash: swap.transactionHash || swap.txHash || null,
+    from: trader,
+    to: null,
+    tokenAmount: toNumber(tokenOut.amount),
+    usdValue,
+    swap: {
+      in: { symbol: symbolIn, amount: toNumber(tokenIn.amount) },
+      out: { symbol: symbolOut, amount: toNumber(tokenOut.amount) }
+    },
+    alertName
+  };
+}
+
+function normalizeEntityAlert(payload, alertName) {
+  // Entity alerts carry the entity itself rather than an address wrapping it
+  const entity = typeof payload.entity === 'string'
+    ? { address: null, entity: payload.entity, type: null, label: null }
+    : payload.entity.name
+      ? { address: payload.entity.address || null, entity: payload.entity.name, type: payload.entity.type || null, label: null }
+      : parseParty(payload.entity);
+  const name = partyName(entity);
+  const detail = payload.message || payload.description || alertName;
+
+  return {
+    type: 'entity_alert',
+    symbol: upper(payload.tokenSymbol || payload.symbol),
+    title: name && detail && !detail.includes(name) ? `${name}: ${detail}` : (detail || `Entity alert: ${name}`),
+    chain: payload.chain || null,
+    txHash: payload.transactionHash || null,
+    from: null,
+    to: entity,
+    tokenAmount: null,
+    usdValue: toNumber(payload.usdValue),
+    alertName
+  };
+}
+
+// Unix seconds of the on-chain event, or null when the payload carries no time
+function occurredAt(inner, payload) {
+  for (const source of [inner, payload]) {
+    if (!source || typeof source !== 'object') continue;
+    const value = source.blockTimestamp !== undefined ? source.blockTimestamp
+      : source.blockTime !== undefined ? source.blockTime : source.timestamp;
+    const ms = parseTimestamp(value);
+    if (ms !== null) return Math.floor(ms / 1000);
+  }
+  return null;
+}
+
+// Redeliveries of one transaction or one Arkham delivery share an id, so they
+// are stored once. Without either, identical content can be a genuine repeat
+// (an entity alert firing again), so the alert's own time, or the receipt time
+// when it has none, is part of the id.
+function eventId(normalized, payload, at) {
+  const deliveryId = payload.deliveryId || payload.id;
+  let basis;
+  if (normalized.txHash) {
+    basis = `${normalized.type}:${normalized.chain}:${normalized.txHash}:${normalized.symbol}`;
+  } else if (deliveryId !== undefined && deliveryId !== null && deliveryId !== '') {
+    basis = `delivery:${deliveryId}`;
+  } else {
+    basis = `${JSON.stringify(payload)}@${at}`;
+  }
+  return crypto.createHash('sha1').update(basis).digest('hex').slice(0, 16);
+}
+
+// Returns { recognized, type, symbol, title, chain, txHash, tokenAddress, from, to, tokenAmount, usdValue, alertName, occurredAt, id }
+// or { recognized: false, reason } for payloads matching no known shape.
+// receivedAt (epoch ms) only feeds the id of payloads with no hash, delivery id or time.
+function normalizeArkhamPayload(payload, receivedAt = Date.now()) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { recognized: false, reason: 'Payload is not a JSON object' };
+  }
+
+  const alert = payload.alert || {};
+  const alertName = alert.name || payload.alertName || null;
+  const kind = (payload.type || alert.type || '').toLowerCase();
+
+  let normalized = null;
+  let inner = payload;
+  // One delivery is one event; picking one transfer out of a batch would drop the rest silently
+  if (!payload.transfer && Array.isArray(payload.transfers) && payload.transfers.length > 1) {
+    return { recognized: false, reason: `Batched payload with ${payload.transfers.length} transfers (one transfer per delivery is supported)` };
+  }
+
+  if (payload.transfer || (Array.isArray(payload.transfers) && payload.transfers.length > 0)) {
+    inner = payload.transfer || payload.transfers[0];
+    normalized = normalizeTransfer(inner, alertName);
+  } else if (payload.balanceChange || kind === 'balance_change') {
+    inner = payload.balanceChange || payload;
+    normalized = normalizeBalanceChange(inner, alertName);
+  } else if (payload.swap || kind === 'swap') {
+    inner = payload.swap || payload;
+    normalized = normalizeSwap(inner, alertName);
+  } else if (payload.transaction && typeof payload.transaction === 'object') {
+    inner = payload.transaction;
+    normalized = normalizeTransfer(inner, alertName);
+  } else if (payload.entity && (alertName || payload.message || payload.description)) {
+    normalized = normalizeEntityAlert(payload, alertName);
+  }
+
+  if (!normalized) {
+    return { recognized: false, reason: 'Unrecognized Arkham payload shape' };
+  }
+
+  const time = occurredAt(inner, payload);
+  return { recognized: true, ...normalized, occurredAt: time, id: eventId(normalized, payload, time !== null ? time : `received:${receivedAt}`) };
+}
+
+module.exports = { normalizeArkhamPayload, formatUsd };
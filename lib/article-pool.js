@@ -0,0 +1,63 @@
+// Shared article pool: every fetched article, de-duplicated, newest first
+// Requests covered by the scheduler's watchlists are answered by filtering
+// the pool instead of calling providers.
+
+const { normalizeUrl, normalizeTitle } = require('./providers');
+const time = require('./time');
+
+function articleKey(article) {
+  return normalizeUrl(article.link) || normalizeTitle(article.title);
+}
+
+function articleTime(article) {
+  return time.articleTime(article) || 0;
+}
+
+// "a OR b" / "a, b" keyword list -> predicate over title and description, null when empty
+function keywordMatcher(keywords) {
+  const terms = keywords ? String(keywords).split(/\s+OR\s+|,/i).map(k => k.trim()).filter(Boolean) : [];
+  if (terms.length === 0) return null;
+  const pattern = new RegExp(terms.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'i');
+  return article => pattern.test(`${article.title} ${article.description || ''}`);
+}
+
+// list: store list; matchSymbol(article, symbol) decides symbol filtering
+function createArticlePool(list, matchSymbol) {
+  return {
+    get size() {
+      return list.length;
+    },
+    get generation() {
+      return list.generation;
+    },
+    // Adds unseen articles; returns how many were new
+    merge(articles) {
+      const known = new Set(list.all().map(articleKey));
+      const fresh = articles
+        .filter(article => {
+          const key = articleKey(article);
+          if (!key || known.has(key)) return false;
+          known.add(key);
+          return true;
+        })
+        .sort((a, b) => articleTime(a) - articleTime(b)); // Oldest first so unshift keeps newest on top
+
+      list.unshiftMany(fresh.map(article => ({ ...article, fetchedAt: article.fetchedAt || Date.now() })));
+      return fresh.length;
+    },
+    // query: { symbols: Set|null, keywords, sinceMs }
+    filter({ symbols, keywords, sinceMs }) {
+      const matchesKeywords = keywordMatcher(keywords);
+
+      return list.filter(article => {
+        if (sinceMs && articleTime(article) < sinceMs) return false;
+        if (matchesKeywords && !matchesKeywords(article)) return false;
+        if (symbols && !Array.from(symbols).some(symbol => matchSymbol(article, symbol))) return false;
+        return true;
+      });
+    },
+    all: () => list.all()
+  };
+}
+
+module.exports = { createArticlePool, articleKey, keywordMatcher };
@@ -0,0 +1,250 @@
+// API key authentication, scopes, per-key rate limiting and usage counters
+//
+// Scopes: read (feeds), admin (debug/cache/management), webhook (ingestion).
+// Keys are sent as `X-API-Key: <key>` or `Authorization: Bearer <key>`; the
+// `apikey` query parameter is also accepted for read and webhook scopes since
+// TradingView and webhook senders can only configure a URL. Only a SHA-256
+// hash of each key is stored; the plain key is returned once at creation.
+
+const crypto = require('crypto');
+const express = require('express');
+const { createQuota } = require('./quota');
+
+const SCOPES = ['read', 'admin', 'webhook'];
+const QUERY_KEY_SCOPES = ['read', 'webhook'];
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Works on lower-cased Node header objects so WebSocket upgrades can use it too
+function extractKey(headers, query, scope) {
+  if (headers['x-api-key']) return headers['x-api-key'];
+  const authorization = headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+  if (QUERY_KEY_SCOPES.includes(scope)) return query.apikey || query.api_key || null;
+  return null;
+}
+
+const LIMIT_FIELDS = ['rateLimitPerMinute', 'upstreamPerDay'];
+
+// Per-key limits are whole numbers >= 0 (0 = unlimited); undefined keeps the default
+function parseLimit(input, field) {
+  if (input[field] === undefined) return undefined;
+  const value = typeof input[field] === 'string' && input[field].trim() !== '' ? Number(input[field]) : input[field];
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${field} must be a non-negative integer`);
+  }
+  return value;
+}
+
+// options: keys (store map), counters (store map), enabled, adminKey,
+// defaultRateLimitPerMinute, defaultUpstreamPerDay
+function createAuth(options) {
+  const keys = options.keys;
+  const counters = options.counters;
+  const windows = new Map(); // key id -> { start, count } for the current minute
+
+  // Bootstrap admin key from the environment; never stored
+  const envAdmin = options.adminKey ? {
+    id: 'env-admin',
+    name: 'ADMIN_API_KEY',
+    keyHash: hashKey(options.adminKey),
+    scopes: SCOPES.slice(),
+    rateLimitPerMinute: 0,
+    upstreamPerDay: 0
+  } : null;
+
+  function findByKey(key) {
+    const keyHash = hashKey(key);
+    if (envAdmin && envAdmin.keyHash === keyHash) return envAdmin;
+    return Array.from(keys.values()).find(client => client.keyHash === keyHash && !client.disabled) || null;
+  }
+
+  function usageFor(client) {
+    return {
+      requestsToday: createQuota(counters, `client:${client.id}:requests`, Infinity).used(),
+      requestsTotal: counters.get(`client:${client.id}:total`) || 0,
+      upstreamToday: upstreamQuota(client).used(),
+      lastUsedAt: counters.get(`client:${client.id}:lastUsed`) || null
+    };
+  }
+
+  function recordUsage(client) {
+    createQuota(counters, `client:${client.id}:requests`, Infinity).increment();
+    counters.set(`client:${client.id}:total`, (counters.get(`client:${client.id}:total`) || 0) + 1);
+    counters.set(`client:${client.id}:lastUsed`, Date.now());
+  }
+
+  // Share of the upstream news budget a single key may spend per day (0 = unlimited)
+  function upstreamQuota(client) {
+    const limit = client.upstreamPerDay !== undefined ? client.upstreamPerDay : options.defaultUpstreamPerDay;
+    return createQuota(counters, `client:${client.id}:upstream`, limit || Infinity);
+  }
+
+  // Fixed one-minute window per key; returns { allowed, headers }
+  function checkRateLimit(client) {
+    const limit = client.rateLimitPerMinute !== undefined ? client.rateLimitPerMinute : options.defaultRateLimitPerMinute;
+    if (!limit) return { allowed: true, headers: {} };
+
+    const now = Date.now();
+    const windowStart = now - (now % 60000);
+    let window = windows.get(client.id);
+    if (!window || window.start !== windowStart) {
+      window = { start: windowStart, count: 0 };
+      windows.set(client.id, window);
+    }
+    window.count++;
+
+    const headers = {
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+      'X-RateLimit-Reset': String(Math.floor((windowStart + 60000) / 1000))
+    };
+    if (window.count > limit) {
+      headers['Retry-After'] = String(Math.ceil((windowStart + 60000 - now) / 1000));
+      return { allowed: false, headers };
+    }
+    return { allowed: true, headers };
+  }
+
+  // Returns { client, headers } or { status, error, headers }
+  function authenticate(headers, query, scope) {
+    if (!options.enabled) return { client: null, headers: {} };
+
+    const key = extractKey(headers, query, scope);
+    if (!key) {
+      return { status: 401, error: 'API key required', headers: {} };
+    }
+    const client = findByKey(key);
+    if (!client) {
+      return { status: 401, error: 'Invalid API key', headers: {} };
+    }
+    if (!client.scopes.includes(scope)) {
+      return { status: 403, error: `API key lacks the "${scope}" scope`, headers: {} };
+    }
+    const rateLimit = checkRateLimit(client);
+    if (!rateLimit.allowed) {
+      return { status: 429, error: 'Rate limit exceeded', headers: rateLimit.headers };
+    }
+
+    recordUsage(client);
+    return { client, headers: rateLimit.headers };
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      const result = authenticate(req.headers, req.query, scope);
+      res.set(result.headers);
+      if (result.error) {
+        const body = { error: result.error, scope };
+        if (result.status === 429) body.retryAfter = Number(result.headers['Retry-After']);
+        return res.status(result.status).json(body);
+      }
+      req.apiClient = result.client;
+      next();
+    };
+  }
+
+  function createKey(input) {
+    if (!input || !input.name) {
+      throw new Error('Key "name" is required');
+    }
+    const scopes = input.scopes || ['read'];
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !SCOPES.includes(s))) {
+      throw new Error(`scopes must be a non-empty list among: ${SCOPES.join(', ')}`);
+    }
+
+    const key = `cbs_${crypto.randomBytes(24).toString('hex')}`;
+    const client = {
+      id: crypto.randomUUID(),
+      name: input.name,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, 8),
+      scopes,
+      rateLimitPerMinute: parseLimit(input, 'rateLimitPerMinute'),
+      upstreamPerDay: parseLimit(input, 'upstreamPerDay'),
+      disabled: false,
+      createdAt: Date.now()
+    };
+    keys.set(client.id, client);
+    return { key, client: describe(client) };
+  }
+
+  function describe(client) {
+    const { keyHash, ...rest } = client;
+    return { ...rest, usage: usageFor(client) };
+  }
+
+  return {
+    enabled: options.enabled,
+    authenticate,
+    requireScope,
+    upstreamQuota,
+    createKey,
+    listKeys: () => Array.from(keys.values()).map(describe),
+    getKey: id => (keys.get(id) ? describe(keys.get(id)) : null),
+    updateKey(id, input) {
+      const client = keys.get(id);
+      if (!client) return null;
+      const updated = { ...client };
+      LIMIT_FIELDS.forEach(field => {
+        if (input[field] !== undefined) updated[field] = parseLimit(input, field);
+      });
+      if (input.disabled !== undefined) updated.disabled = Boolean(input.disabled);
+      if (input.scopes !== undefined) {
+        if (!Array.isArray(input.scopes) || input.scopes.some(s => !SCOPES.includes(s))) {
+          throw new Error(`scopes must be among: ${SCOPES.join(', ')}`);
+        }
+        updated.scopes = input.scopes;
+      }
+      keys.set(id, updated);
+      return describe(updated);
+    },
+    deleteKey: id => keys.delete(id)
+  };
+}
+
+// Key management endpoints, mounted under /admin/keys
+function createKeyRouter(auth) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    const keys = auth.listKeys();
+    res.json({ totalKeys: keys.length, keys });
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const created = auth.createKey(req.body);
+      res.status(201).json({ ...created, message: 'Store this key now, it cannot be shown again' });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const key = auth.getKey(req.params.id);
+    if (!key) return res.status(404).json({ error: 'Key not found' });
+    res.json(key);
+  });
+
+  router.patch('/:id', (req, res) => {
+    try {
+      const key = auth.updateKey(req.params.id, req.body || {});
+      if (!key) return res.status(404).json({ error: 'Key not found' });
+      res.json(key);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    if (!auth.deleteKey(req.params.id)) return res.status(404).json({ error: 'Key not found' });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createAuth, createKeyRouter, SCOPES };
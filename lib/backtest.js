@@ -0,0 +1,176 @@
+// Backtest export: align stored events with OHLC candles
+// Candles come from CSV (time, open, high, low, close[, volume]) at any bar size;
+// they are resampled up to the requested resolution and every event is placed in
+// the candle whose [time, time + resolution) window contains it.
+
+const { parseTime, csvField } = require('./history');
+
+const RESOLUTIONS = {
+  '1m': 60, '3m': 180, '5m': 300, '15m': 900, '30m': 1800,
+  '1h': 3600, '2h': 7200, '4h': 14400, '6h': 21600, '12h': 43200,
+  '1d': 86400
+};
+
+// TradingView interval strings ("1", "60", "240", "D") map onto the same set
+const TRADINGVIEW_ALIASES = { '1': '1m', '3': '3m', '5': '5m', '15': '15m', '30': '30m', '60': '1h', '120': '2h', '240': '4h', '360': '6h', '720': '12h', 'd': '1d', '1440': '1d' };
+
+const MAX_HEADLINES = 10; // Per candle
+
+// Returns seconds, or null for unsupported resolutions
+function parseResolution(value) {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase();
+  return RESOLUTIONS[key] || RESOLUTIONS[TRADINGVIEW_ALIASES[key]] || null;
+}
+
+const COLUMN_NAMES = {
+  time: ['time', 'timestamp', 'date', 'datetime', 'open_time'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c'],
+  volume: ['volume', 'vol', 'v']
+};
+
+// Accepts a header row (any column order) or headerless time,open,high,low,close[,volume]
+function parseOhlcCsv(text) {
+  const rows = String(text).split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+  if (rows.length === 0) {
+    throw new Error('CSV is empty');
+  }
+
+  let columns = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+  if (isNaN(Number(rows[0][1]))) {
+    const header = rows.shift().map(name => name.toLowerCase());
+    columns = {};
+    Object.entries(COLUMN_NAMES).forEach(([field, names]) => {
+      const index = header.findIndex(name => names.includes(name));
+      if (index >= 0) columns[field] = index;
+    });
+    const missing = ['time', 'open', 'high', 'low', 'close'].filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+    }
+  }
+
+  const candles = rows.map((row, i) => {
+    const candle = {
+      time: parseTime(row[columns.time]),
+      open: Number(row[columns.open]),
+      high: Number(row[columns.high]),
+      low: Number(row[columns.low]),
+      close: Number(row[columns.close]),
+      volume: columns.volume !== undefined && row[columns.volume] !== undefined ? Number(row[columns.volume]) || 0 : 0
+    };
+    if (candle.time === null || [candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+      throw new Error(`Invalid CSV row ${i + 1}`);
+    }
+    return candle;
+  });
+
+  return candles.sort((a, b) => a.time - b.time);
+}
+
+// Smallest gap between consecutive candles
+function inferResolution(candles) {
+  let smallest = Infinity;
+  for (let i = 1; i < candles.length; i++) {
+    const gap = candles[i].time - candles[i - 1].time;
+    if (gap > 0 && gap < smallest) smallest = gap;
+  }
+  return smallest === Infinity ? null : smallest;
+}
+
+// Merge candles into UTC-aligned bars of `resolution` seconds
+function resample(candles, resolution) {
+  const bars = [];
+  candles.forEach(candle => {
+    const time = Math.floor(candle.time / resolution) * resolution;
+    const last = bars[bars.length - 1];
+    if (last && last.time === time) {
+      last.high = Math.max(last.high, candle.high);
+      last.low = Math.min(last.low, candle.low);
+      last.close = candle.close;
+      last.volume += candle.volume;
+    } else {
+      bars.push({ ...candle, time });
+    }
+  });
+  return bars;
+}
+
+// events: history records ({ timestamp, category, title, usdValue, score }), any order.
+// Without candles, bars are synthesized for every resolution window that holds an event.
+function bucketEvents(candles, events, resolution) {
+  let bars;
+  if (candles && candles.length > 0) {
+    const sourceResolution = inferResolution(candles);
+    if (sourceResolution && resolution < sourceResolution) {
+      throw new Error(`Resolution is finer than the CSV candles (${sourceResolution}s)`);
+    }
+    bars = resample(candles, resolution);
+  } else {
+    const times = new Set(events.map(event => Math.floor(event.timestamp / resolution) * resolution));
+    bars = Array.from(times).sort((a, b) => a - b)
+      .map(time => ({ time, open: null, high: null, low: null, close: null, volume: null }));
+  }
+
+  const byTime = new Map(bars.map(bar => [bar.time, {
+    ...bar,
+    newsCount: 0,
+    onchainCount: 0,
+    onchainUsd: 0,
+    scoreSum: 0,
+    headlines: []
+  }]));
+
+  const ordered = events.slice().sort((a, b) => a.timestamp - b.timestamp);
+  ordered.forEach(event => {
+    const bucket = byTime.get(Math.floor(event.timestamp / resolution) * resolution);
+    if (!bucket) return; // Outside the candle range
+
+    if (event.category === 'ONCHAIN') {
+      bucket.onchainCount++;
+      bucket.onchainUsd += event.usdValue || 0;
+    } else {
+      bucket.newsCount++;
+    }
+    bucket.scoreSum += event.score || 0;
+    if (bucket.headlines.length < MAX_HEADLINES) {
+      bucket.headlines.push(`${event.category}: ${event.title}`);
+    }
+  });
+
+  return Array.from(byTime.values()).map(({ scoreSum, ...bucket }) => {
+    const eventCount = bucket.newsCount + bucket.onchainCount;
+    return {
+      ...bucket,
+      eventCount,
+      avgScore: eventCount > 0 ? Math.round(scoreSum / eventCount) : 0
+    };
+  });
+}
+
+const CSV_COLUMNS = ['time', 'iso_time', 'open', 'high', 'low', 'close', 'volume', 'event_count', 'news_count', 'onchain_count', 'onchain_usd', 'avg_score', 'headlines'];
+
+function toCsv(buckets) {
+  const rows = buckets.map(b => [
+    b.time,
+    new Date(b.time * 1000).toISOString(),
+    b.open,
+    b.high,
+    b.low,
+    b.close,
+    b.volume,
+    b.eventCount,
+    b.newsCount,
+    b.onchainCount,
+    b.onchainUsd,
+    b.avgScore,
+    b.headlines.join(' | ')
+  ].map(csvField).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+module.exports = { parseResolution, parseOhlcCsv, inferResolution, bucketEvents, toCsv, RESOLUTIONS };
@@ -0,0 +1,205 @@
+// News cache: LRU with entry and memory limits, single-flight coalescing of
+// concurrent fetches, stale-while-revalidate and per-key TTL.
+//
+// Freshness of an entry:
+//   fresh   age < ttl                    served as a hit
+//   stale   ttl <= age < ttl + staleTtl  served immediately, refreshed in the background
+//   expired beyond that                  fetched before answering; kept as a fallback
+//                                        if the fetch fails
+// Entries live in memory (Map insertion order = LRU order) and are mirrored
+// to a store map so they survive restarts.
+
+const log = require('./logger');
+
+function normalizeList(value, transform) {
+  if (!value) return '';
+  return Array.from(new Set(String(value).split(',').map(item => transform(item.trim())).filter(Boolean)))
+    .sort()
+    .join(',');
+}
+
+// `BTC,ETH` and `eth, btc` share a key
+function normalizeCacheKey(symbols, keywords, timeframe) {
+  const symbolPart = normalizeList(symbols, s => s.toUpperCase()) || 'all';
+  const keywordPart = keywords ? String(keywords).trim().toLowerCase().replace(/\s+/g, ' ') : 'general';
+  const timeframePart = String(timeframe || '24').trim().toLowerCase();
+  return `${symbolPart}_${keywordPart}_${timeframePart}`;
+}
+
+function estimateBytes(value) {
+  try {
+    return Buffer.byteLength(JSON.stringify(value));
+  } catch (error) {
+    return 0;
+  }
+}
+
+// options: backing (store map), ttlMs, staleTtlMs, maxEntries, maxBytes
+function createCache(options = {}) {
+  const backing = options.backing;
+  const defaultTtlMs = options.ttlMs || 30 * 60 * 1000;
+  const staleTtlMs = options.staleTtlMs !== undefined ? options.staleTtlMs : defaultTtlMs;
+  const maxEntries = options.maxEntries || 50;
+  const maxBytes = options.maxBytes || 0;
+
+  const entries = new Map();
+  const inflight = new Map();
+  let totalBytes = 0;
+  const stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0, staleOnError: 0, evictions: 0 };
+
+  function load() {
+    if (!backing) return;
+    Array.from(backing.entries())
+      .map(([key, entry]) => [key, entry.value !== undefined ? entry : {
+        // Entries written before this module stored articles as a JSON string
+        value: JSON.parse(entry.articles || '[]'),
+        createdAt: entry.timestamp,
+        ttlMs: defaultTtlMs
+      }])
+      .sort((a, b) => a[1].createdAt - b[1].createdAt)
+      .forEach(([key, entry]) => {
+        entry.bytes = entry.bytes || estimateBytes(entry.value);
+        entries.set(key, entry);
+        totalBytes += entry.bytes;
+      });
+    evict();
+  }
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+    if (backing) backing.delete(key);
+    return true;
+  }
+
+  // Least recently used entries are first in the Map
+  function evict() {
+    while (entries.size > maxEntries || (maxBytes && totalBytes > maxBytes && entries.size > 1)) {
+      remove(entries.keys().next().value);
+      stats.evictions++;
+    }
+  }
+
+  function touch(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+  }
+
+  function set(key, value, ttlMs = defaultTtlMs) {
+    remove(key);
+    const entry = { value, createdAt: Date.now(), ttlMs, bytes: estimateBytes(value) };
+    entries.set(key, entry);
+    totalBytes += entry.bytes;
+    if (backing) backing.set(key, entry);
+    evict();
+    return entry;
+  }
+
+  function freshness(entry) {
+    const age = Date.now() - entry.createdAt;
+    if (age < entry.ttlMs) return 'fresh';
+    if (age < entry.ttlMs + staleTtlMs) return 'stale';
+    return 'expired';
+  }
+
+  // Single-flight: concurrent callers for the same key share one fetch
+  function fetchOnce(key, fetcher, ttlMs) {
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(value => {
+        set(key, value, ttlMs);
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  // Resolves { value, state } where state is hit | stale | miss | stale-error
+  async function getOrFetch(key, fetcher, { ttlMs = defaultTtlMs } = {}) {
+    const entry = entries.get(key);
+    const state = entry ? freshness(entry) : 'missing';
+
+    if (state === 'fresh') {
+      stats.hits++;
+      touch(key, entry);
+      return { value: entry.value, state: 'hit', age: Date.now() - entry.createdAt };
+    }
+
+    if (state === 'stale') {
+      stats.staleHits++;
+      touch(key, entry);
+      if (!inflight.has(key)) {
+        stats.refreshes++;
+        fetchOnce(key, fetcher, ttlMs).catch(error => {
+          stats.errors++;
+          log.warn('Background cache refresh failed', { key, error });
+        });
+      }
+      return { value: entry.value, state: 'stale', age: Date.now() - entry.createdAt };
+    }
+
+    stats.misses++;
+    try {
+      return { value: await fetchOnce(key, fetcher, ttlMs), state: 'miss', age: 0 };
+    } catch (error) {
+      stats.errors++;
+      // Expired data beats no data when the upstream is failing
+      const fallback = entries.get(key);
+      if (fallback) {
+        stats.staleOnError++;
+        return { value: fallback.value, state: 'stale-error', age: Date.now() - fallback.createdAt, error };
+      }
+      throw error;
+    }
+  }
+
+  load();
+
+  return {
+    getOrFetch,
+    set,
+    get: key => (entries.get(key) ? entries.get(key).value : undefined),
+    invalidate: remove,
+    // Removes every key starting with prefix (or everything); returns the count
+    flush(prefix) {
+      const keys = Array.from(entries.keys()).filter(key => !prefix || key.startsWith(prefix));
+      keys.forEach(remove);
+      return keys.length;
+    },
+    get size() {
+      return entries.size;
+    },
+    stats() {
+      const lookups = stats.hits + stats.staleHits + stats.misses;
+      return {
+        ...stats,
+        hitRatio: lookups > 0 ? Math.round(((stats.hits + stats.staleHits) / lookups) * 1000) / 1000 : 0,
+        entries: entries.size,
+        maxEntries,
+        bytes: totalBytes,
+        maxBytes: maxBytes || null,
+        inflight: inflight.size
+      };
+    },
+    // Most recently used last
+    entries() {
+      return Array.from(entries.entries()).map(([key, entry]) => ({
+        key,
+        state: freshness(entry),
+        ageSeconds: Math.floor((Date.now() - entry.createdAt) / 1000),
+        ttlSeconds: Math.floor(entry.ttlMs / 1000),
+        bytes: entry.bytes,
+        articles: Array.isArray(entry.value) ? entry.value.length : undefined
+      }));
+    }
+  };
+}
+
+module.exports = { createCache, normalizeCacheKey };
@@ -0,0 +1,138 @@
+// Event clustering across sources
+//
+// On-chain events cluster when they share a tx hash, or when symbol and type
+// match, the USD values are within `amountTolerance` of each other and they
+// happened within `windowSeconds`. News clusters when titles are similar
+// (Jaccard similarity of normalized title words) within `windowSeconds`.
+// Linking is single-link: an item joins a cluster if it matches any member.
+//
+// Each cluster is emitted as its representative item plus
+//   cluster: { size, sourceCount, members: [...] }
+
+const time = require('./time');
+
+const DEFAULTS = {
+  onchainWindowSeconds: 600,
+  amountTolerance: 0.02,
+  newsWindowSeconds: 24 * 3600,
+  titleSimilarity: 0.5
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with', 'as',
+  'is', 'are', 'was', 'were', 'be', 'its', 'it', 'this', 'that', 'from', 'after', 'amid', 'over'
+]);
+
+function titleWords(title) {
+  return new Set(String(title || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^a-z0-9$]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+// items sorted oldest first; linked(a, b) decides membership; timeOf gives seconds
+function groupItems(items, { windowSeconds, timeOf, linked }) {
+  const clusters = [];
+  items.forEach(item => {
+    const time = timeOf(item);
+    const cluster = clusters.find(c =>
+      time - c.lastTime <= windowSeconds && c.items.some(member => linked(member, item)));
+    if (cluster) {
+      cluster.items.push(item);
+      cluster.lastTime = Math.max(cluster.lastTime, time);
+    } else {
+      clusters.push({ items: [item], lastTime: time });
+    }
+  });
+  return clusters.map(c => c.items);
+}
+
+function onchainLinked(a, b, tolerance) {
+  if (a.txHash && b.txHash) {
+    return a.txHash.toLowerCase() === b.txHash.toLowerCase();
+  }
+  if (a.symbol !== b.symbol || a.type !== b.type) return false;
+  if (!a.usdValue || !b.usdValue) return false;
+  return Math.abs(a.usdValue - b.usdValue) / Math.max(a.usdValue, b.usdValue) <= tolerance;
+}
+
+// Arkham events (newest first, as stored) -> representatives, newest first.
+// The representative is the member with the largest USD value, then the earliest.
+function clusterOnchainEvents(events, options = {}) {
+  const { onchainWindowSeconds, amountTolerance } = { ...DEFAULTS, ...options };
+  const groups = groupItems(events.slice().sort((a, b) => a.timestamp - b.timestamp), {
+    windowSeconds: onchainWindowSeconds,
+    timeOf: event => event.timestamp,
+    linked: (a, b) => onchainLinked(a, b, amountTolerance)
+  });
+
+  return groups.map(members => {
+    const representative = members.reduce((best, event) =>
+      (event.usdValue || 0) > (best.usdValue || 0) ? event : best, members[0]);
+    return {
+      ...representative,
+      cluster: {
+        size: members.length,
+        sourceCount: new Set(members.map(m => m.alertName || m.id)).size,
+        members: members.map(m => ({
+          id: m.id,
+          timestamp: m.timestamp,
+          title: m.title,
+          txHash: m.txHash,
+          usdValue: m.usdValue,
+          alertName: m.alertName || null
+        }))
+      }
+    };
+  }).sort((a, b) => b.timestamp - a.timestamp);
+}
+
+// Seconds, from the shared rule (undated articles fall back to their fetch time)
+function articleSeconds(article) {
+  return Math.floor((time.articleTime(article) || 0) / 1000);
+}
+
+// The outlet that published the article; the provider only stands in when the outlet is unknown
+function articleSources(article) {
+  if (article.source_id) return [article.source_id];
+  const providers = (article.providers || [article.provider]).filter(Boolean);
+  return providers.length > 0 ? providers : [article.link || article.title];
+}
+
+// Articles -> representatives (the earliest report of each story), newest first
+function clusterArticles(articles, options = {}) {
+  const { newsWindowSeconds, titleSimilarity } = { ...DEFAULTS, ...options };
+  const words = new Map(articles.map(article => [article, titleWords(article.title)]));
+  const groups = groupItems(articles.slice().sort((a, b) => articleSeconds(a) - articleSeconds(b)), {
+    windowSeconds: newsWindowSeconds,
+    timeOf: articleSeconds,
+    linked: (a, b) => similarity(words.get(a), words.get(b)) >= titleSimilarity
+  });
+
+  return groups.map(members => ({
+    ...members[0],
+    cluster: {
+      size: members.length,
+      sourceCount: new Set(members.flatMap(m => articleSources(m).map(s => s.toLowerCase()))).size,
+      members: members.map(m => ({
+        title: m.title,
+        link: m.link,
+        pubDate: m.pubDate,
+        source: m.source_id || m.provider || null
+      }))
+    }
+  })).sort((a, b) => articleSeconds(b) - articleSeconds(a));
+}
+
+module.exports = { clusterOnchainEvents, clusterArticles, titleWords, similarity, DEFAULTS };
@@ -0,0 +1,330 @@
+// Layered configuration: defaults < config file < environment
+//
+// SCHEMA lists every setting with its type, default and environment variable
+// (the setting name unless `env` says otherwise). The config file is a JSON
+// object keyed by those variable names, e.g. { "CACHE_MAX_ENTRIES": 100 }.
+// All values are validated together and loading fails with every problem
+// listed, so a bad deploy stops at startup instead of misbehaving later.
+//
+// Settings marked `reload` are read at request time and change in place on
+// reload() (SIGHUP or a config file change). Others are wired into components
+// at startup; changes to them are reported as needing a restart and the old
+// value stays in effect.
+//
+// `scale` converts the configured unit (minutes, MB) into what the code uses.
+
+const fs = require('fs');
+const path = require('path');
+const { redactSecrets } = require('./providers');
+const log = require('./logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const SCHEMA = {
+  PORT: { type: 'int', default: 3000, min: 0 },
+  NEWS_PROVIDERS: { type: 'list', default: ['newsdata'], values: ['newsdata', 'cryptopanic', 'rss'], nonEmpty: true },
+  NEWSDATA_API_KEY: { type: 'string', default: '', secret: true },
+  BASE_URL: { env: 'NEWSDATA_BASE_URL', type: 'string', default: 'https://newsdata.io/api/1/news' },
+  MAX_REQUESTS_PER_DAY: { type: 'int', default: 200, min: 1 }, // Newsdata.io quota
+  CRYPTOPANIC_API_KEY: { type: 'string', default: '', secret: true },
+  CRYPTOPANIC_BASE_URL: { type: 'string', default: 'https://cryptopanic.com/api/v1/posts/' },
+  CRYPTOPANIC_MAX_REQUESTS_PER_DAY: { type: 'int', default: 100, min: 1 },
+  RSS_FEEDS: { type: 'list', default: [] },
+  RSS_MAX_REQUESTS_PER_DAY: { type: 'int', default: 1000, min: 1 },
+  CACHE_DURATION: { env: 'CACHE_TTL_MINUTES', type: 'int', default: 30, min: 1, scale: MINUTE_MS, reload: true },
+  CACHE_STALE_DURATION: { env: 'CACHE_STALE_MINUTES', type: 'int', default: 30, min: 0, scale: MINUTE_MS }, // Served stale while refreshing
+  CACHE_MAX_ENTRIES: { type: 'int', default: 50, min: 1 },
+  CACHE_MAX_BYTES: { env: 'CACHE_MAX_MB', type: 'number', default: 20, min: 1, scale: 1024 * 1024 },
+  MAX_SYMBOLS_PER_REQUEST: { type: 'int', default: 5, min: 1, reload: true }, // Ad-hoc feeds; saved profiles use PROFILE_MAX_SYMBOLS
+  STORE_DRIVER: { type: 'enum', default: 'memory', values: ['memory', 'file'] },
+  STORE_DIR: { type: 'string', default: './data' },
+  ARKHAM_EVENT_RETENTION: { type: 'int', default: 100, min: 1 }, // Max stored events
+  ARKHAM_EVENT_MAX_AGE_HOURS: { type: 'int', default: 0, min: 0 }, // 0 = no age limit
+  ARKHAM_FEED_WINDOW_HOURS: { type: 'int', default: 24, min: 1, reload: true }, // On-chain events included in feeds
+  RAW_WEBHOOK_RETENTION: { type: 'int', default: 10, min: 1 }, // Recent list for debugging; the archive keeps everything
+  RAW_ARCHIVE_ENABLED: { type: 'bool', default: true },
+  RAW_ARCHIVE_DIR: { type: 'string', default: config => path.join(config.STORE_DIR, 'raw-webhooks') },
+  RAW_ARCHIVE_RETENTION_DAYS: { type: 'int', default: 0, min: 0 }, // 0 = keep forever
+  DEV_MODE: { type: 'bool', default: (config, env) => env.NODE_ENV === 'development', reload: true }, // Enables /test-webhook
+  TRUST_PROXY: { type: 'string', default: '' }, // Set when behind a load balancer so req.ip is the sender
+  WEBHOOK_SECRET: { type: 'string', default: '', secret: true },
+  WEBHOOK_SIGNATURE_HEADER: { type: 'string', default: 'x-signature' },
+  WEBHOOK_SIGNATURE_ALGORITHM: { type: 'string', default: 'sha256' },
+  WEBHOOK_TIMESTAMP_HEADER: { type: 'string', default: 'x-timestamp' },
+  WEBHOOK_TOLERANCE_SECONDS: { type: 'int', default: 300, min: 1 },
+  WEBHOOK_IP_ALLOWLIST: { type: 'list', default: [] },
+  STREAM_REPLAY_RETENTION: { type: 'int', default: 500, min: 1 }, // Messages kept for Last-Event-ID resume
+  STREAM_HEARTBEAT_MS: { type: 'int', default: 15000, min: 1000 },
+  SYMBOLS_FILE: { type: 'string', default: './config/symbols.json' },
+  ALERT_DELIVERY_RETENTION: { type: 'int', default: 500, min: 1 },
+  ALERT_MAX_ATTEMPTS: { type: 'int', default: 4, min: 1 },
+  ALERT_RETRY_BASE_MS: { type: 'int', default: 1000, min: 0 },
+  AUTH_ENABLED: { type: 'bool', default: config => !config.DEV_MODE }, // Defaults to off in dev mode
+  ADMIN_API_KEY: { type: 'string', default: '', secret: true },
+  RATE_LIMIT_PER_MINUTE: { type: 'int', default: 60, min: 0 }, // Default per key, 0 = unlimited
+  CLIENT_UPSTREAM_PER_DAY: { type: 'int', default: 50, min: 0 }, // Default per key share of provider quota
+  CORS_ORIGINS: { type: 'list', default: [], reload: true }, // Empty = any origin
+  SCHEDULER_ENABLED: { type: 'bool', default: false },
+  WATCHLISTS_FILE: { type: 'string', default: './config/watchlists.json' },
+  SCHEDULER_RESERVE_REQUESTS: { type: 'int', default: 40, min: 0 }, // Kept for on-demand fetches
+  SCHEDULER_MIN_INTERVAL_MINUTES: { type: 'int', default: 5, min: 1 },
+  SCHEDULER_MAX_INTERVAL_MINUTES: { type: 'int', default: 60, min: 1 },
+  ARTICLE_POOL_RETENTION: { type: 'int', default: 2000, min: 1 },
+  ARTICLE_POOL_MAX_AGE_HOURS: { type: 'int', default: 72, min: 1 },
+  OHLC_DIR: { type: 'string', default: './data/ohlc', reload: true }, // Local candle CSVs for /backtest?file=
+  PINESCRIPT_PROFILES_FILE: { type: 'string', default: './config/pinescript-profiles.json' },
+  SEED_PUBLISH_ENABLED: { type: 'bool', default: false },
+  SEED_REPO_DIR: { type: 'string', default: './data/seed-repo' }, // Existing git working copy
+  SEED_SYMBOLS: { type: 'list', default: [], upper: true, reload: true }, // Empty = every registry symbol
+  SEED_PUBLISH_INTERVAL_MINUTES: { type: 'int', default: 60, min: 1 },
+  SEED_REWRITE_DAYS: { type: 'int', default: 2, min: 1 },
+  SEED_PUSH: { type: 'bool', default: false }, // Off = commit locally only
+  SEED_REMOTE: { type: 'string', default: 'origin' },
+  SEED_BRANCH: { type: 'string', default: 'master' },
+  CLUSTERING_ENABLED: { type: 'bool', default: true, reload: true }, // ?cluster=0 disables per request
+  CLUSTER_ONCHAIN_WINDOW_SECONDS: { type: 'int', default: 600, min: 0, reload: true },
+  CLUSTER_AMOUNT_TOLERANCE: { type: 'number', default: 0.02, min: 0, reload: true }, // Relative USD difference
+  CLUSTER_NEWS_WINDOW_HOURS: { type: 'int', default: 24, min: 0, reload: true },
+  CLUSTER_TITLE_SIMILARITY: { type: 'number', default: 0.5, min: 0, max: 1, reload: true }, // Jaccard over title words
+  LOG_LEVEL: { type: 'enum', default: 'info', values: ['debug', 'info', 'warn', 'error'], reload: true }, // debug also logs webhook payloads
+  LOG_FORMAT: { type: 'enum', default: 'json', values: ['json', 'text'], reload: true },
+  // /health reports "degraded" when a provider fails this share of recent calls,
+  // or has not succeeded for this long while being called
+  HEALTH_MAX_ERROR_RATE: { type: 'number', default: 0.5, min: 0, max: 1, reload: true },
+  HEALTH_STALE_MINUTES: { type: 'int', default: 120, min: 1, reload: true },
+  PROFILE_MAX_SYMBOLS: { type: 'int', default: 100, min: 1 },
+  PROFILE_MAX_PER_CLIENT: { type: 'int', default: 50, min: 1 },
+  PROFILE_FETCH_CHUNK: { type: 'int', default: 5, min: 1, reload: true }, // Symbols per upstream query
+  PRICE_SOURCE: { type: 'enum', default: '', values: ['', 'file', 'http'] }, // '' = no price enrichment
+  PRICE_FILE: { type: 'string', default: './data/prices.csv' }, // CSV or JSON, see lib/prices/file.js
+  PRICE_API_URL: { type: 'string', default: 'http://127.0.0.1:4100/price?symbol={symbol}&time={time}' },
+  PRICE_API_KEY: { type: 'string', default: '', secret: true },
+  PRICE_MAX_AGE_HOURS: { type: 'int', default: 24, min: 1 }, // Furthest a price point may be from the event
+  PRICE_VOLUME_WINDOW_DAYS: { type: 'int', default: 30, min: 1 } // Days of volume behind "typical"
+};
+
+// Cross-setting rules; each returns a problem or null. `facts` holds state
+// outside the config (e.g. storedAdminKey() once the store is open); rules
+// that need a fact are skipped until it is supplied.
+const CHECKS = [
+  c => c.NEWS_PROVIDERS.includes('newsdata') && !c.NEWSDATA_API_KEY
+    ? 'NEWSDATA_API_KEY is required while NEWS_PROVIDERS includes newsdata' : null,
+  c => c.NEWS_PROVIDERS.includes('cryptopanic') && !c.CRYPTOPANIC_API_KEY
+    ? 'CRYPTOPANIC_API_KEY is required while NEWS_PROVIDERS includes cryptopanic' : null,
+  c => c.NEWS_PROVIDERS.includes('rss') && c.RSS_FEEDS.length === 0
+    ? 'RSS_FEEDS is required while NEWS_PROVIDERS includes rss' : null,
+  c => c.SCHEDULER_MIN_INTERVAL_MINUTES > c.SCHEDULER_MAX_INTERVAL_MINUTES
+    ? 'SCHEDULER_MIN_INTERVAL_MINUTES must not exceed SCHEDULER_MAX_INTERVAL_MINUTES' : null,
+  (c, facts) => c.AUTH_ENABLED && !c.ADMIN_API_KEY && facts.storedAdminKey && !facts.storedAdminKey()
+    ? 'ADMIN_API_KEY is required while AUTH_ENABLED is true and no stored API key has the admin scope' : null
+];
+
+function invalid(problems) {
+  return new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+}
+
+function envName(key) {
+  return SCHEMA[key].env || key;
+}
+
+// Raw env/file value -> typed value in the configured unit; throws a readable message
+function parseValue(spec, raw) {
+  switch (spec.type) {
+    case 'string':
+      return String(raw).trim();
+    case 'int':
+    case 'number': {
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || !isFinite(number) || (spec.type === 'int' && !Number.isInteger(number))) {
+        throw new Error(`must be ${spec.type === 'int' ? 'an integer' : 'a number'}, got "${raw}"`);
+      }
+      if (spec.min !== undefined && number < spec.min) throw new Error(`must be at least ${spec.min}`);
+      if (spec.max !== undefined && number > spec.max) throw new Error(`must be at most ${spec.max}`);
+      return number;
+    }
+    case 'bool': {
+      if (typeof raw === 'boolean') return raw;
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return true;
+      if (['false', '0', 'no', 'off'].includes(text)) return false;
+      throw new Error(`must be true or false, got "${raw}"`);
+    }
+    case 'enum': {
+      const text = String(raw).trim().toLowerCase();
+      if (!spec.values.includes(text)) throw new Error(`must be one of: ${spec.values.map(v => v || "''").join(', ')}`);
+      return text;
+    }
+    case 'list': {
+      const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean)
+        .map(item => (spec.upper ? item.toUpperCase() : item));
+      const unknown = spec.values ? items.filter(item => !spec.values.includes(item)) : [];
+      if (unknown.length > 0) throw new Error(`unknown value(s) ${unknown.join(', ')}; use ${spec.values.join(', ')}`);
+      if (spec.nonEmpty && items.length === 0) throw new Error('must list at least one value');
+      return items;
+    }
+    default:
+      throw new Error(`unsupported setting type ${spec.type}`);
+  }
+}
+
+// JSON object keyed by setting (environment variable) names; {} when the file is absent
+function readConfigFile(file, required) {
+  if (!file || !fs.existsSync(file)) {
+    if (required) throw new Error(`Config file not found: ${file}`);
+    return {};
+  }
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return data;
+}
+
+// Returns { values, sources } or throws listing every problem
+function resolveConfig(env, fileValues, facts = {}) {
+  const known = new Set(Object.keys(SCHEMA).map(envName));
+  const problems = Object.keys(fileValues)
+    .filter(name => !known.has(name))
+    .map(name => `${name}: unknown setting in config file`);
+
+  const values = {};
+  const sources = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    const name = envName(key);
+    let raw;
+    if (env[name] !== undefined && env[name] !== '') {
+      raw = env[name];
+      sources[key] = 'env';
+    } else if (fileValues[name] !== undefined && fileValues[name] !== null) {
+      raw = fileValues[name];
+      sources[key] = 'file';
+    } else {
+      sources[key] = 'default';
+      const value = typeof spec.default === 'function' ? spec.default(values, env) : spec.default;
+      values[key] = spec.scale ? value * spec.scale : value;
+      return;
+    }
+
+    try {
+      const value = parseValue(spec, raw);
+      values[key] = spec.scale ? value * spec.scale : value;
+    } catch (error) {
+      problems.push(`${name} (${sources[key]}): ${error.message}`);
+      values[key] = spec.scale ? spec.default * spec.scale : spec.default; // Lets later checks run
+    }
+  });
+
+  if (problems.length === 0) {
+    CHECKS.forEach(check => {
+      const problem = check(values, facts);
+      if (problem) problems.push(problem);
+    });
+  }
+  if (problems.length > 0) {
+    throw invalid(problems);
+  }
+  return { values, sources };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// options: file (CONFIG_FILE), fileRequired (true when the path was given explicitly), env
+function createConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file ? path.resolve(options.file) : null;
+  let facts = {};
+  const initial = resolveConfig(env, readConfigFile(file, options.fileRequired), facts);
+
+  const values = initial.values; // Mutated in place on reload so holders of the object see changes
+  let sources = initial.sources;
+  let pendingRestart = [];
+  let reloadedAt = null;
+  const listeners = [];
+  let watching = false;
+
+  // Applies reloadable changes; invalid config is rejected as a whole and nothing changes
+  function reload(reason = 'manual') {
+    let next;
+    try {
+      next = resolveConfig(env, readConfigFile(file, options.fileRequired), facts);
+    } catch (error) {
+      log.error('Config reload rejected, keeping current settings', { reason, error: error.message });
+      return { ok: false, error: error.message };
+    }
+
+    const changed = [];
+    const restart = [];
+    Object.keys(SCHEMA).forEach(key => {
+      if (sameValue(next.values[key], values[key])) return;
+      if (SCHEMA[key].reload) {
+        values[key] = next.values[key];
+        sources[key] = next.sources[key];
+        changed.push(key);
+      } else {
+        restart.push(key);
+      }
+    });
+    pendingRestart = restart;
+    reloadedAt = Date.now();
+
+    listeners.forEach(listener => listener(changed));
+    log.info('Config reloaded', { reason, changed: changed.map(envName), requiresRestart: restart.map(envName) });
+    return { ok: true, changed: changed.map(envName), requiresRestart: restart.map(envName) };
+  }
+
+  return {
+    values,
+    reload,
+    onReload: listener => listeners.push(listener),
+
+    // Re-runs the cross-setting checks once outside state is known; the facts
+    // are kept for later reloads. Throws like createConfig.
+    validate(nextFacts) {
+      facts = nextFacts;
+      const problems = CHECKS.map(check => check(values, facts)).filter(Boolean);
+      if (problems.length > 0) throw invalid(problems);
+    },
+
+    // Reloads when the config file changes (polling, so editors that replace the file are seen too)
+    watch(intervalMs = 2000) {
+      if (!file || watching) return;
+      watching = true;
+      fs.watchFile(file, { interval: intervalMs }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) reload('file change');
+      }).unref();
+    },
+    unwatch() {
+      if (file && watching) fs.unwatchFile(file);
+      watching = false;
+    },
+
+    // Effective settings for /config, in configured units, secrets redacted
+    describe() {
+      const settings = {};
+      Object.entries(SCHEMA).forEach(([key, spec]) => {
+        let value = spec.scale ? values[key] / spec.scale : values[key];
+        if (spec.secret) value = value ? '***' : '';
+        else if (typeof value === 'string') value = redactSecrets(value);
+        else if (Array.isArray(value)) value = value.map(item => (typeof item === 'string' ? redactSecrets(item) : item));
+        settings[envName(key)] = { value, source: sources[key], reloadable: Boolean(spec.reload) };
+      });
+      return {
+        file: file && fs.existsSync(file) ? file : null,
+        reloadedAt: reloadedAt ? new Date(reloadedAt).toISOString() : null,
+        pendingRestart: pendingRestart.map(envName),
+        settings
+      };
+    }
+  };
+}
+
+module.exports = { createConfig, resolveConfig, parseValue, SCHEMA };
@@ -0,0 +1,321 @@
+// Admin dashboard: server-rendered pages over the same state the JSON APIs expose
+//
+//   /            upstream health, quotas and buffer sizes
+//   /events      event timeline with filters and cursor paging (?live=1 auto-refreshes)
+//   /cache       cache stats and entries with invalidate/flush actions
+//   /webhooks    raw webhook payloads with a reprocess action
+//   /inject      test event form (replaces the fixed /test-webhook payload)
+//
+// Browsers cannot attach the X-API-Key header, so /login stores the admin key
+// in an HttpOnly, SameSite=Strict cookie scoped to the dashboard path.
+
+const express = require('express');
+const history = require('../history');
+const views = require('./views');
+
+const COOKIE = 'bridge_admin';
+const SESSION_SECONDS = 8 * 60 * 60;
+const WEBHOOK_PAGE_SIZE = 50;
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Older raw webhooks were stored without an id
+function webhookId(webhook) {
+  return webhook.id || String(webhook.timestamp);
+}
+
+function webhookStatus(webhook) {
+  if (webhook.rejected) return 'rejected';
+  if (webhook.unrecognized) return 'unrecognized';
+  return 'accepted';
+}
+
+function formatUsd(value) {
+  return typeof value === 'number' ? `$${Math.round(value).toLocaleString('en-US')}` : '';
+}
+
+// deps: auth, cache, rawWebhooks, arkhamEvents, getEventRecords(cluster), buildArkhamEvent (async),
+// addArkhamEvent, recordRawWebhook(req, entry), getQuotaSummary, getUpstreamHealth,
+// buildTestPayload, testEventDefaults, bufferSizes()
+function createDashboardRouter(deps) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false, limit: '1mb' }));
+
+  const render = (req, res, title, body, options = {}) => {
+    const notice = req.query.notice ? { text: req.query.notice, error: req.query.error === '1' } : null;
+    res.type('html').send(views.layout(title, body, {
+      base: req.baseUrl,
+      notice,
+      showLogout: deps.auth.enabled,
+      ...options
+    }));
+  };
+
+  // Post/redirect/get with a one-line notice
+  const redirect = (req, res, path, text, error = false) => {
+    const params = new URLSearchParams({ notice: text });
+    if (error) params.set('error', '1');
+    res.redirect(303, `${req.baseUrl}${path}?${params}`);
+  };
+
+  router.get('/login', (req, res) => {
+    res.type('html').send(views.loginPage(req.baseUrl, req.query.error ? 'Invalid or unauthorized key' : null));
+  });
+
+  router.post('/login', (req, res) => {
+    const key = (req.body.key || '').trim();
+    const result = deps.auth.authenticate({ 'x-api-key': key }, {}, 'admin');
+    if (result.error) {
+      return res.redirect(303, `${req.baseUrl}/login?error=1`);
+    }
+    res.cookie(COOKIE, key, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: req.secure,
+      path: req.baseUrl,
+      maxAge: SESSION_SECONDS * 1000
+    });
+    res.redirect(303, req.baseUrl || '/');
+  });
+
+  router.post('/logout', (req, res) => {
+    res.clearCookie(COOKIE, { path: req.baseUrl });
+    res.redirect(303, `${req.baseUrl}/login`);
+  });
+
+  // Admin scope via header or session cookie; pages redirect to the login form instead of a 401
+  router.use((req, res, next) => {
+    if (!deps.auth.enabled) return next();
+    const headers = { ...req.headers };
+    if (!headers['x-api-key'] && !headers.authorization) {
+      headers['x-api-key'] = readCookie(req, COOKIE) || '';
+    }
+    const result = deps.auth.authenticate(headers, {}, 'admin');
+    if (result.error) {
+      if (result.status === 429) {
+        return res.status(429).type('text').send('Rate limit exceeded');
+      }
+      return req.method === 'GET' ? res.redirect(303, `${req.baseUrl}/login`) : res.status(result.status).type('text').send(result.error);
+    }
+    req.apiClient = result.client;
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    const upstream = deps.getUpstreamHealth();
+    const quotas = deps.getQuotaSummary();
+    const sizes = deps.bufferSizes();
+
+    render(req, res, 'Overview', `
+<h3>Upstream providers</h3>
+${views.table([
+    ['Provider', p => views.escapeHtml(p.name)],
+    ['Status', p => `<span class="${p.status}">${views.escapeHtml(p.status)}</span> ${views.escapeHtml(p.reasons.join('; '))}`],
+    ['Error rate', p => `${Math.round(p.errorRate * 100)}%`],
+    ['Last success', p => views.escapeHtml(p.lastSuccessAt || '—')],
+    ['Last error', p => views.escapeHtml(p.lastError || '—')]
+  ], upstream)}
+<h3>Quota usage</h3>
+${views.table([
+    ['Provider', q => views.escapeHtml(q.provider)],
+    ['Used today', q => views.escapeHtml(q.used)],
+    ['Remaining', q => views.escapeHtml(q.remaining)],
+    ['Daily limit', q => views.escapeHtml(q.limit)]
+  ], quotas)}
+<h3>Buffers</h3>
+${views.table([
+    ['Buffer', ([name]) => views.escapeHtml(name)],
+    ['Entries', ([, size]) => views.escapeHtml(size)]
+  ], Object.entries(sizes))}`, { active: '' });
+  });
+
+  router.get('/events', (req, res) => {
+    let filters;
+    try {
+      filters = history.parseEventQuery({ ...req.query, format: 'json', limit: req.query.limit || '50' });
+    } catch (error) {
+      return redirect(req, res, '/events', error.message, true);
+    }
+    const cluster = req.query.cluster !== '0';
+    const result = history.queryEvents(deps.getEventRecords(cluster), filters);
+    const live = req.query.live === '1' && !req.query.cursor;
+
+    const value = name => req.query[name] || '';
+    const form = `
+<form method="get">
+  <fieldset>
+    ${views.input('symbols', 'Symbols', value('symbols'), 'size="12" placeholder="BTC,ETH"')}
+    ${views.select('categories', 'Category', [['', 'All'], ['NEWS', 'News'], ['ONCHAIN', 'On-chain']], value('categories'))}
+    ${views.input('source', 'Source', value('source'), 'size="10"')}
+    ${views.input('minUsd', 'Min USD', value('minUsd'), 'size="10"')}
+    ${views.input('q', 'Text', value('q'), 'size="16"')}
+    ${views.input('from', 'From', value('from'), 'size="18" placeholder="2024-03-01T00:00Z"')}
+    ${views.input('to', 'To', value('to'), 'size="18"')}
+    <label><input type="checkbox" name="cluster" value="0"${req.query.cluster === '0' ? ' checked' : ''}> Show duplicates</label>
+    <label><input type="checkbox" name="live" value="1"${live ? ' checked' : ''}> Live (refresh every 15s)</label>
+    <button>Filter</button>
+  </fieldset>
+</form>`;
+
+    let older = '';
+    if (result.nextCursor) {
+      const params = new URLSearchParams({ ...req.query, cursor: result.nextCursor });
+      params.delete('live');
+      older = `<p><a href="${views.escapeHtml(`${req.baseUrl}/events?${params}`)}">Older events →</a></p>`;
+    }
+
+    render(req, res, 'Event timeline', `${form}
+<p>${result.total} matching events</p>
+${views.table([
+    ['Time (UTC)', e => views.escapeHtml(views.isoTime(e.timestamp * 1000))],
+    ['Category', e => `<span class="tag ${e.category}">${views.escapeHtml(e.category)}</span>`],
+    ['Symbols', e => views.escapeHtml(e.symbols.join(', ') || e.symbol)],
+    ['Source', e => views.escapeHtml(e.source || '')],
+    ['Title', e => views.link(e.link, e.title) +
+      (e.cluster && e.cluster.size > 1 ? ` <span class="tag">${e.cluster.size} reports / ${e.cluster.sourceCount} sources</span>` : '')],
+    ['USD', e => views.escapeHtml(formatUsd(e.usdValue))],
+    ['Score', e => views.escapeHtml(e.score === null ? '' : e.score)]
+  ], result.events, 'No events match these filters')}
+${older}`, { active: '/events', refreshSeconds: live ? 15 : null });
+  });
+
+  router.get('/cache', (req, res) => {
+    const stats = deps.cache.stats();
+    render(req, res, 'News cache', `
+${views.table([
+    ['Stat', ([name]) => views.escapeHtml(name)],
+    ['Value', ([, value]) => views.escapeHtml(value === null ? '—' : value)]
+  ], Object.entries(stats))}
+<p>${views.button(`${req.baseUrl}/cache/flush`, 'Flush entire cache')}</p>
+${views.table([
+    ['Key', entry => `<code>${views.escapeHtml(entry.key)}</code>`],
+    ['State', entry => views.escapeHtml(entry.state)],
+    ['Age', entry => views.escapeHtml(`${entry.ageSeconds}s`)],
+    ['TTL', entry => views.escapeHtml(`${entry.ttlSeconds}s`)],
+    ['Articles', entry => views.escapeHtml(entry.articles === undefined ? '' : entry.articles)],
+    ['Bytes', entry => views.escapeHtml(entry.bytes)],
+    ['', entry => views.button(`${req.baseUrl}/cache/invalidate`, 'Invalidate', { key: entry.key })]
+  ], deps.cache.entries().reverse(), 'Cache is empty')}`, { active: '/cache' });
+  });
+
+  router.post('/cache/invalidate', (req, res) => {
+    const removed = deps.cache.invalidate(req.body.key || '');
+    redirect(req, res, '/cache', removed ? `Invalidated ${req.body.key}` : `No entry for ${req.body.key}`, !removed);
+  });
+
+  router.post('/cache/flush', (req, res) => {
+    redirect(req, res, '/cache', `Flushed ${deps.cache.flush()} entries`);
+  });
+
+  router.get('/webhooks', (req, res) => {
+    const webhooks = deps.rawWebhooks.all();
+    const shown = req.query.all === '1' ? webhooks : webhooks.slice(0, WEBHOOK_PAGE_SIZE);
+    render(req, res, 'Raw webhooks', `
+<p>${webhooks.length} stored${shown.length < webhooks.length ? `, showing the latest ${shown.length} (<a href="?all=1">show all</a>)` : ''}</p>
+${views.table([
+    ['Received (UTC)', w => views.escapeHtml(views.isoTime(w.timestamp))],
+    ['Source', w => views.escapeHtml(w.source || w.sourceIp || '')],
+    ['Status', w => `<span class="${webhookStatus(w)}">${webhookStatus(w)}</span> ${views.escapeHtml(w.reason || '')}` +
+      (w.reprocessedAt ? `<br><small>reprocessed ${views.escapeHtml(views.isoTime(w.reprocessedAt))}</small>` : '')],
+    ['Payload', w => `<pre>${views.escapeHtml(JSON.stringify(w.payload, null, 2))}</pre>`],
+    ['', w => w.rejected ? '<small>failed verification</small>' : views.button(`${req.baseUrl}/webhooks/${encodeURIComponent(webhookId(w))}/reprocess`, 'Reprocess')]
+  ], shown, 'No webhooks received yet')}`, { active: '/webhooks' });
+  });
+
+  // Re-runs the current normalizer; an event with the same id is replaced in place
+  router.post('/webhooks/:id/reprocess', async (req, res) => {
+    const webhook = deps.rawWebhooks.find(w => webhookId(w) === req.params.id);
+    if (!webhook) {
+      return redirect(req, res, '/webhooks', 'Webhook not found', true);
+    }
+    if (webhook.rejected) {
+      return redirect(req, res, '/webhooks', 'Rejected webhooks failed verification and are not reprocessed', true);
+    }
+
+    const event = await deps.buildArkhamEvent(webhook.payload, webhook.timestamp);
+    const recognized = Boolean(event && event.recognized);
+    deps.rawWebhooks.update(w => webhookId(w) === req.params.id, w => ({
+      ...w,
+      unrecognized: !recognized,
+      reason: recognized ? undefined : (event ? event.reason : 'Processing failed'),
+      reprocessedAt: Date.now()
+    }));
+    if (!recognized) {
+      return redirect(req, res, '/webhooks', `Still not recognized: ${event ? event.reason : 'processing failed'}`, true);
+    }
+
+    if (deps.arkhamEvents.find(e => e.id === event.id)) {
+      deps.arkhamEvents.update(e => e.id === event.id, existing => ({ ...event, timestamp: existing.timestamp }));
+      return redirect(req, res, '/webhooks', `Updated event ${event.id}: ${event.title}`);
+    }
+    deps.addArkhamEvent(event);
+    redirect(req, res, '/webhooks', `Added event ${event.id}: ${event.title}`);
+  });
+
+  router.get('/inject', (req, res) => {
+    const d = deps.testEventDefaults;
+    render(req, res, 'Inject test event', `
+<p>Builds an Arkham-shaped payload and runs it through the normal webhook pipeline (feed, stream and alerts).</p>
+<form method="post">
+  <fieldset>
+    <legend>Transfer or entity alert</legend>
+    ${views.select('type', 'Type', [['transfer', 'Transfer'], ['entity_alert', 'Entity alert']], 'transfer')}
+    ${views.input('token', 'Token', d.token, 'size="8"')}
+    ${views.input('usdValue', 'USD value', d.usdValue, 'size="12"')}
+    ${views.input('amount', 'Token amount', '', 'size="10"')}
+    ${views.input('chain', 'Chain', '', 'size="10"')}
+    ${views.input('txHash', 'Tx hash', '', 'size="20"')}<br>
+    ${views.input('from', 'From address', d.from, 'size="36"')}
+    ${views.input('fromEntity', 'From entity', '', 'size="14"')}<br>
+    ${views.input('to', 'To address', d.to, 'size="36"')}
+    ${views.input('toEntity', 'To entity', '', 'size="14"')}<br>
+    ${views.input('alertName', 'Alert name', d.alertName, 'size="30"')}
+    ${views.input('entity', 'Entity (entity alerts)', '', 'size="16"')}
+    ${views.input('message', 'Message (entity alerts)', '', 'size="30"')}
+  </fieldset>
+  <fieldset>
+    <legend>Or a raw payload (overrides the fields above)</legend>
+    <textarea name="payload" rows="8" cols="90" placeholder='{"transfer": {...}}'></textarea>
+  </fieldset>
+  <button>Inject</button>
+</form>`, { active: '/inject' });
+  });
+
+  router.post('/inject', async (req, res) => {
+    let payload;
+    try {
+      payload = req.body.payload && req.body.payload.trim()
+        ? JSON.parse(req.body.payload)
+        : deps.buildTestPayload(req.body);
+    } catch (error) {
+      return redirect(req, res, '/inject', `Invalid test event: ${error.message}`, true);
+    }
+
+    const receivedAt = Date.now();
+    const event = await deps.buildArkhamEvent(payload, receivedAt);
+    const recognized = Boolean(event && event.recognized);
+    deps.recordRawWebhook(req, {
+      source: 'dashboard',
+      receivedAt,
+      outcome: recognized ? 'accepted' : 'unrecognized',
+      reason: recognized ? undefined : (event ? event.reason : 'Processing failed'),
+      eventId: recognized ? event.id : null,
+      payload
+    });
+    if (!recognized) {
+      return redirect(req, res, '/inject', `Not recognized: ${event ? event.reason : 'processing failed'}`, true);
+    }
+    if (deps.addArkhamEvent({ ...event, injected: true }) === false) {
+      return redirect(req, res, '/events', `Event ${event.id} is already stored`, true);
+    }
+    redirect(req, res, '/events', `Injected ${event.symbol} event: ${event.title}`);
+  });
+
+  return router;
+}
+
+module.exports = { createDashboardRouter, webhookId };
@@ -0,0 +1,123 @@
+// Server-rendered HTML for the admin dashboard
+// Every interpolated value goes through escapeHtml; there is no client-side script.
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Anchor only for http(s) URLs; anything else (javascript:, data:, relative) renders as plain text
+function link(href, text) {
+  let safe = false;
+  try {
+    safe = ['http:', 'https:'].includes(new URL(String(href)).protocol);
+  } catch (error) {
+    safe = false;
+  }
+  return safe ? `<a href="${escapeHtml(href)}" rel="noreferrer">${escapeHtml(text)}</a>` : escapeHtml(text);
+}
+
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString().replace('T', ' ').slice(0, 19) : '—';
+}
+
+const STYLE = `
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 0; color: #1d2330; background: #f5f6f8; }
+  header { background: #1d2330; color: #fff; padding: 10px 20px; display: flex; gap: 18px; align-items: center; }
+  header a { color: #cfd6e4; text-decoration: none; } header a.active { color: #fff; font-weight: 600; }
+  header form { margin-left: auto; }
+  main { padding: 20px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; margin-bottom: 20px; }
+  th, td { border-bottom: 1px solid #e3e6eb; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #eef0f4; font-weight: 600; }
+  pre { margin: 0; max-height: 240px; overflow: auto; font-size: 12px; white-space: pre-wrap; }
+  form.inline { display: inline; }
+  fieldset { background: #fff; border: 1px solid #e3e6eb; margin-bottom: 16px; }
+  label { display: inline-block; margin: 4px 12px 4px 0; }
+  .notice { background: #e7f3ea; border: 1px solid #b7dcc0; padding: 8px 12px; margin-bottom: 16px; }
+  .error { background: #fbeaea; border-color: #efc0c0; }
+  .tag { display: inline-block; padding: 0 6px; border-radius: 3px; background: #eef0f4; font-size: 12px; }
+  .NEWS { background: #e4efff; } .ONCHAIN { background: #fff1dc; }
+  .degraded, .rejected, .unrecognized { color: #b3261e; font-weight: 600; }
+  .healthy { color: #1e7b34; font-weight: 600; }
+`;
+
+const NAV = [
+  ['', 'Overview'],
+  ['/events', 'Timeline'],
+  ['/cache', 'Cache'],
+  ['/webhooks', 'Webhooks'],
+  ['/inject', 'Inject event']
+];
+
+// options: base (mount path), active (nav path), notice { text, error }, refreshSeconds, showLogout
+function layout(title, body, options = {}) {
+  const nav = NAV.map(([path, label]) =>
+    `<a href="${escapeHtml(options.base + path)}"${path === options.active ? ' class="active"' : ''}>${label}</a>`).join('');
+  const notice = options.notice
+    ? `<div class="notice${options.notice.error ? ' error' : ''}">${escapeHtml(options.notice.text)}</div>`
+    : '';
+  const logout = options.showLogout
+    ? `<form method="post" action="${escapeHtml(options.base)}/logout"><button>Log out</button></form>`
+    : '';
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} · Crypto Bridge</title>
+${options.refreshSeconds ? `<meta http-equiv="refresh" content="${Number(options.refreshSeconds)}">` : ''}
+<style>${STYLE}</style>
+</head>
+<body>
+<header><strong>Crypto Bridge</strong>${nav}${logout}</header>
+<main>
+<h2>${escapeHtml(title)}</h2>
+${notice}
+${body}
+</main>
+</body>
+</html>`;
+}
+
+// columns: [[heading, row => html]]; cell functions return already-escaped HTML
+function table(columns, rows, empty = 'Nothing here yet') {
+  if (rows.length === 0) {
+    return `<p><em>${escapeHtml(empty)}</em></p>`;
+  }
+  const head = columns.map(([heading]) => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = rows.map(row => `<tr>${columns.map(([, cell]) => `<td>${cell(row)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function button(action, label, hidden = {}) {
+  const inputs = Object.entries(hidden)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('');
+  return `<form class="inline" method="post" action="${escapeHtml(action)}">${inputs}<button>${escapeHtml(label)}</button></form>`;
+}
+
+function input(name, label, value, attributes = '') {
+  return `<label>${escapeHtml(label)} <input name="${escapeHtml(name)}" value="${escapeHtml(value)}" ${attributes}></label>`;
+}
+
+function select(name, label, options, value) {
+  const choices = options.map(([optionValue, text]) =>
+    `<option value="${escapeHtml(optionValue)}"${optionValue === value ? ' selected' : ''}>${escapeHtml(text)}</option>`).join('');
+  return `<label>${escapeHtml(label)} <select name="${escapeHtml(name)}">${choices}</select></label>`;
+}
+
+function loginPage(base, error) {
+  return layout('Log in', `
+<form method="post" action="${escapeHtml(base)}/login">
+  <fieldset>
+    ${input('key', 'Admin API key', '', 'type="password" size="50" autofocus')}
+    <button>Log in</button>
+  </fieldset>
+</form>`, { base, active: null, notice: error ? { text: error, error: true } : null });
+}
+
+module.exports = { escapeHtml, link, isoTime, layout, table, button, input, select, loginPage };
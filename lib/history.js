@@ -0,0 +1,172 @@
+// Historical event queries over stored news and on-chain events
+// Records share one shape:
+//   { id, timestamp, ingestedAt, category, symbol, symbols[], source, provider, title, description, usdValue, link, type, score }
+// `timestamp` is when the event happened (publication / on-chain time) and
+// `ingestedAt` when the bridge received it, both unix seconds.
+// Results are ordered newest first (timestamp, then id) and paged with an
+// opaque cursor pointing after the last returned record.
+
+const crypto = require('crypto');
+const { articleKey } = require('./article-pool');
+const { parseTimestamp, articleTime } = require('./time');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Unix seconds, milliseconds or a date string (UTC unless it names a zone) -> unix seconds
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseTimestamp(value);
+  if (parsed === null) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return Math.floor(parsed / 1000);
+}
+
+// tags: [{ symbol, relevance }] from the tagger, most relevant first
+function newsRecord(article, tags, score) {
+  const symbols = tags.map(tag => tag.symbol);
+  return {
+    id: crypto.createHash('sha1').update(articleKey(article) || '').digest('hex').slice(0, 16),
+    timestamp: Math.floor((articleTime(article) || 0) / 1000),
+    ingestedAt: article.fetchedAt ? Math.floor(article.fetchedAt / 1000) : null,
+    category: 'NEWS',
+    symbol: symbols[0] || 'CRYPTO',
+    symbols,
+    source: article.source_id || article.provider || null,
+    provider: article.provider || null,
+    title: article.title || 'No title',
+    description: article.description || null,
+    usdValue: null,
+    link: article.link || null,
+    type: 'article',
+    score,
+    ...(article.cluster && { cluster: article.cluster })
+  };
+}
+
+function onchainRecord(event) {
+  return {
+    id: event.id || `${event.timestamp}-${event.symbol}`, // Events stored before ids existed
+    timestamp: event.timestamp,
+    ingestedAt: event.ingestedAt || null,
+    category: 'ONCHAIN',
+    symbol: event.symbol,
+    symbols: [event.symbol],
+    source: 'arkham',
+    provider: 'arkham',
+    title: event.title,
+    description: null,
+    usdValue: event.usdValue !== undefined ? event.usdValue : null,
+    link: null,
+    type: event.type,
+    score: event.score !== undefined ? event.score : null,
+    chain: event.chain,
+    txHash: event.txHash,
+    ...(event.cluster && { cluster: event.cluster })
+  };
+}
+
+function encodeCursor(record) {
+  return Buffer.from(`${record.timestamp}:${record.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const timestamp = parseInt(decoded.slice(0, separator));
+  if (separator < 0 || isNaN(timestamp)) {
+    throw new Error('Invalid cursor');
+  }
+  return { timestamp, id: decoded.slice(separator + 1) };
+}
+
+function upperSet(value) {
+  if (!value) return null;
+  return new Set(String(value).split(',').map(v => v.trim().toUpperCase()).filter(Boolean));
+}
+
+// Throws with a message suitable for a 400 on bad input
+function parseEventQuery(query) {
+  const format = (query.format || 'json').toLowerCase();
+  if (!['json', 'csv', 'pinescript'].includes(format)) {
+    throw new Error('format must be json, csv or pinescript');
+  }
+  const minUsd = query.minUsd !== undefined ? Number(query.minUsd) : null;
+  if (minUsd !== null && isNaN(minUsd)) {
+    throw new Error('minUsd must be a number');
+  }
+
+  return {
+    from: parseTime(query.from),
+    to: parseTime(query.to),
+    symbols: upperSet(query.symbols || query.symbol),
+    categories: upperSet(query.categories || query.category),
+    sources: query.source ? new Set(String(query.source).split(',').map(s => s.trim().toLowerCase())) : null,
+    minUsd,
+    text: query.q ? String(query.q).toLowerCase() : null,
+    limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit) || DEFAULT_LIMIT)),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    format
+  };
+}
+
+function compareRecords(a, b) {
+  if (b.timestamp !== a.timestamp) return b.timestamp - a.timestamp;
+  return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+}
+
+function queryEvents(records, filters) {
+  const matching = records.filter(record => {
+    if (filters.from !== null && record.timestamp < filters.from) return false;
+    if (filters.to !== null && record.timestamp > filters.to) return false;
+    if (filters.categories && !filters.categories.has(record.category)) return false;
+    if (filters.symbols && !record.symbols.some(symbol => filters.symbols.has(symbol))) return false;
+    if (filters.sources && ![record.source, record.provider].some(s => s && filters.sources.has(String(s).toLowerCase()))) return false;
+    if (filters.minUsd !== null && !(record.usdValue >= filters.minUsd)) return false;
+    if (filters.text && !`${record.title} ${record.description || ''}`.toLowerCase().includes(filters.text)) return false;
+    return true;
+  }).sort(compareRecords);
+
+  let start = 0;
+  if (filters.cursor) {
+    const after = { timestamp: filters.cursor.timestamp, id: filters.cursor.id };
+    start = matching.findIndex(record => compareRecords(after, record) < 0);
+    if (start < 0) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + filters.limit);
+  const hasMore = start + filters.limit < matching.length;
+  return {
+    total: matching.length,
+    events: page,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = ['timestamp', 'iso_time', 'category', 'symbol', 'symbols', 'source', 'type', 'usd_value', 'score', 'title', 'link'];
+
+function toCsv(events) {
+  const rows = events.map(e => [
+    e.timestamp,
+    new Date(e.timestamp * 1000).toISOString(),
+    e.category,
+    e.symbol,
+    e.symbols,
+    e.source,
+    e.type,
+    e.usdValue,
+    e.score,
+    e.title,
+    e.link
+  ].map(csvField).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+module.exports = { newsRecord, onchainRecord, parseEventQuery, queryEvents, toCsv, parseTime, csvField };
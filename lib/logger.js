@@ -0,0 +1,75 @@
+// Structured logging
+// One line per entry: JSON by default ({ time, level, msg, ...fields }), or
+// `[time] LEVEL msg key=value` with LOG_FORMAT=text. Entries written while
+// handling a request carry its requestId automatically (see runWithContext).
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const context = new AsyncLocalStorage();
+const settings = {
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  format: process.env.LOG_FORMAT === 'text' ? 'text' : 'json'
+};
+
+function configure({ level, format } = {}) {
+  if (level && LEVELS[level]) settings.level = level;
+  if (format === 'json' || format === 'text') settings.format = format;
+}
+
+// Errors become { error, stack } so they survive JSON.stringify
+function normalizeFields(fields) {
+  const result = {};
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    if (value instanceof Error) {
+      result[key] = value.message;
+      if (settings.level === 'debug') result[`${key}Stack`] = value.stack;
+    } else if (value !== undefined) {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < LEVELS[settings.level]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(context.getStore() || {}),
+    ...normalizeFields(fields)
+  };
+
+  let line;
+  if (settings.format === 'json') {
+    line = JSON.stringify(entry);
+  } else {
+    const { time, level: _level, msg: _msg, ...rest } = entry;
+    const extras = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    line = `[${time}] ${level.toUpperCase()} ${msg}${extras.length ? ' ' + extras.join(' ') : ''}`;
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+function createLogger(bound = {}) {
+  const logger = {};
+  Object.keys(LEVELS).forEach(level => {
+    logger[level] = (msg, fields) => write(level, msg, { ...bound, ...fields });
+  });
+  logger.child = fields => createLogger({ ...bound, ...fields });
+  return logger;
+}
+
+// Runs fn with fields (e.g. { requestId }) attached to every entry logged inside it
+function runWithContext(fields, fn) {
+  return context.run(fields, fn);
+}
+
+function newRequestId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+module.exports = { ...createLogger(), configure, runWithContext, newRequestId, LEVELS };
@@ -0,0 +1,101 @@
+// Prometheus metrics registry (text exposition format 0.0.4)
+// Counters and histograms are updated by the code they measure; gauges take a
+// collect() callback so sizes are read at scrape time instead of tracked.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(metric) {
+    metric.name = prefix + metric.name;
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    // Pass collect() to read a total kept elsewhere instead of calling inc()
+    counter(name, help, collect) {
+      if (collect) {
+        return this.gauge(name, help, collect, 'counter');
+      }
+      const series = new Map();
+      const metric = register({ name, help, type: 'counter' });
+      metric.inc = (labels = {}, value = 1) => {
+        const key = seriesKey(labels);
+        const current = series.get(key) || { labels, value: 0 };
+        current.value += value;
+        series.set(key, current);
+      };
+      metric.samples = () => Array.from(series.values()).map(s => ({ name: metric.name, labels: s.labels, value: s.value }));
+      return metric;
+    },
+
+    // collect() -> number, or [{ labels, value }]
+    gauge(name, help, collect, type = 'gauge') {
+      const metric = register({ name, help, type });
+      metric.samples = () => {
+        const result = collect();
+        const values = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+        return values
+          .filter(s => typeof s.value === 'number' && isFinite(s.value))
+          .map(s => ({ name: metric.name, labels: s.labels, value: s.value }));
+      };
+      return metric;
+    },
+
+    histogram(name, help, buckets = DEFAULT_BUCKETS) {
+      const series = new Map();
+      const metric = register({ name, help, type: 'histogram' });
+      metric.observe = (labels, value) => {
+        const key = seriesKey(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      };
+      metric.samples = () => Array.from(series.values()).flatMap(entry => [
+        ...buckets.map((bound, i) => ({ name: `${metric.name}_bucket`, labels: { ...entry.labels, le: bound }, value: entry.counts[i] })),
+        { name: `${metric.name}_bucket`, labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+        { name: `${metric.name}_sum`, labels: entry.labels, value: entry.sum },
+        { name: `${metric.name}_count`, labels: entry.labels, value: entry.count }
+      ]);
+      return metric;
+    },
+
+    render() {
+      return metrics.map(metric => {
+        const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+        let samples;
+        try {
+          samples = metric.samples();
+        } catch (error) {
+          samples = []; // A failing collector must not break the whole scrape
+        }
+        samples.forEach(s => lines.push(`${s.name}${labelString(s.labels || {})} ${s.value}`));
+        return lines.join('\n');
+      }).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
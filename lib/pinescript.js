@@ -0,0 +1,186 @@
+// PineScript string encoding with output profiles
+// A profile controls separators, per-field truncation and escaping, size limits
+// and the optional header. Events are `{ timestamp, category, symbol, title, score[, sources] }`
+// and are encoded newest first; limits drop the oldest. Clustered events with
+// sources > 1 get " (N sources)" after the truncated title.
+//
+// Text records:    timestamp;CATEGORY;SYMBOL;Title[;SCORE]
+// Compact records: timestamp;categoryCode;symbolIndex;score   (numbers only)
+// Header record:   #VERSION;FORMAT_HASH;COUNT;DROPPED
+// FORMAT_HASH changes whenever the record layout, separators or compact symbol
+// table change, so scripts can compare it against the value they were written for.
+
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 1;
+
+const CATEGORY_CODES = { NEWS: 1, ONCHAIN: 2 };
+
+const DEFAULT_PROFILE = {
+  separator: '|',
+  fieldSeparator: ';',
+  maxTitle: 100, // Field limits count code points; 0 = unlimited
+  maxSymbol: 20,
+  maxCategory: 16,
+  maxEvents: 0, // 0 = unlimited
+  maxBytes: 0,
+  escape: 'replace', // replace: separators become spaces; backslash: \| \; \\
+  scores: false,
+  compact: false,
+  header: false
+};
+
+const LIMIT_FIELDS = ['maxTitle', 'maxSymbol', 'maxCategory', 'maxEvents', 'maxBytes'];
+
+function validateProfile(profile) {
+  const errors = [];
+  [profile.separator, profile.fieldSeparator].forEach(sep => {
+    if (typeof sep !== 'string' || sep.length === 0 || /[\w\s\\#]/.test(sep)) {
+      errors.push(`invalid separator "${sep}" (use punctuation other than \\ and #)`);
+    }
+  });
+  if (profile.separator === profile.fieldSeparator) {
+    errors.push('separator and fieldSeparator must differ');
+  }
+  LIMIT_FIELDS.forEach(field => {
+    if (!Number.isInteger(profile[field]) || profile[field] < 0) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+  if (!['replace', 'backslash'].includes(profile.escape)) {
+    errors.push('escape must be replace or backslash');
+  }
+  return errors;
+}
+
+// definitions: { name: partial profile } from config; every profile starts from the default
+function createProfiles(definitions = {}) {
+  const profiles = { default: { ...DEFAULT_PROFILE } };
+  Object.entries(definitions).forEach(([name, definition]) => {
+    const profile = { ...DEFAULT_PROFILE, ...definition };
+    const errors = validateProfile(profile);
+    if (errors.length > 0) {
+      throw new Error(`PineScript profile "${name}": ${errors.join('; ')}`);
+    }
+    profiles[name] = profile;
+  });
+  return profiles;
+}
+
+const FLAG = value => value === '1' || value === 'true';
+
+// Query overrides on top of ?profile=; throws on unknown profiles or invalid values
+function resolveProfile(profiles, query = {}) {
+  const name = query.profile || 'default';
+  if (!profiles[name]) {
+    throw new Error(`Unknown profile: ${name}`);
+  }
+
+  const profile = { ...profiles[name] };
+  if (query.sep !== undefined) profile.separator = query.sep;
+  if (query.fieldSep !== undefined) profile.fieldSeparator = query.fieldSep;
+  if (query.escape !== undefined) profile.escape = query.escape;
+  LIMIT_FIELDS.forEach(field => {
+    if (query[field] !== undefined) profile[field] = Number(query[field]);
+  });
+  ['scores', 'compact', 'header'].forEach(field => {
+    if (query[field] !== undefined) profile[field] = FLAG(query[field]);
+  });
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return { name, ...profile };
+}
+
+function escapeField(value, profile) {
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  if (profile.escape === 'backslash') {
+    return text.split('').map(ch =>
+      ch === '\\' || profile.separator.includes(ch) || profile.fieldSeparator.includes(ch) ? `\\${ch}` : ch
+    ).join('');
+  }
+  const separators = new Set((profile.separator + profile.fieldSeparator).split(''));
+  return text.split('').map(ch => separators.has(ch) ? ' ' : ch).join('').replace(/\s+/g, ' ').trim();
+}
+
+// Truncates by code points (never splitting a surrogate pair) before escaping,
+// so an escape sequence is never cut in half either
+function formatField(value, max, profile) {
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return escapeField(max > 0 ? Array.from(text).slice(0, max).join('') : text, profile);
+}
+
+// Compact symbol indexes: 0 for unknown/CRYPTO, otherwise 1 + position in symbolTable.
+// Category and symbol come from webhooks and tagging, so they are escaped like titles.
+function encodeRecord(event, profile, symbolTable) {
+  if (profile.compact) {
+    const index = symbolTable.indexOf(event.symbol) + 1;
+    return [event.timestamp, CATEGORY_CODES[event.category] || 0, index, event.score || 0].join(profile.fieldSeparator);
+  }
+  const title = formatField(event.title || 'No title', profile.maxTitle, profile) + (event.sources > 1 ? ` (${event.sources} sources)` : '');
+  const fields = [
+    event.timestamp,
+    formatField(event.category, profile.maxCategory, profile),
+    formatField(event.symbol, profile.maxSymbol, profile),
+    title
+  ];
+  if (profile.scores) fields.push(event.score || 0);
+  return fields.join(profile.fieldSeparator);
+}
+
+function formatHash(profile, symbolTable) {
+  const layout = {
+    version: FORMAT_VERSION,
+    separator: profile.separator,
+    fieldSeparator: profile.fieldSeparator,
+    compact: profile.compact,
+    scores: profile.compact || profile.scores,
+    escape: profile.escape,
+    symbols: profile.compact ? symbolTable : null
+  };
+  return crypto.createHash('sha1').update(JSON.stringify(layout)).digest('hex').slice(0, 8);
+}
+
+function headerFor(profile, symbolTable, count, dropped) {
+  return [`#${FORMAT_VERSION}`, formatHash(profile, symbolTable), count, dropped].join(profile.fieldSeparator);
+}
+
+// Returns { text, count, dropped }
+function encodeEvents(events, profile, symbolTable = []) {
+  const ordered = events.slice().sort((a, b) => b.timestamp - a.timestamp);
+  const records = [];
+  let bytes = 0;
+
+  for (const event of ordered) {
+    if (profile.maxEvents > 0 && records.length >= profile.maxEvents) break;
+
+    const record = encodeRecord(event, profile, symbolTable);
+    const added = Buffer.byteLength(record) + (records.length > 0 ? Buffer.byteLength(profile.separator) : 0);
+    if (profile.maxBytes > 0) {
+      const header = profile.header
+        ? Buffer.byteLength(headerFor(profile, symbolTable, records.length + 1, ordered.length - records.length - 1) + profile.separator)
+        : 0;
+      if (header + bytes + added > profile.maxBytes) break;
+    }
+    records.push(record);
+    bytes += added;
+  }
+
+  const dropped = ordered.length - records.length;
+  if (profile.header) {
+    records.unshift(headerFor(profile, symbolTable, records.length, dropped));
+  }
+  return { text: records.join(profile.separator), count: records.length - (profile.header ? 1 : 0), dropped };
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  CATEGORY_CODES,
+  DEFAULT_PROFILE,
+  createProfiles,
+  resolveProfile,
+  encodeEvents,
+  formatHash
+};
@@ -0,0 +1,103 @@
+// Local price file source
+//
+// CSV with a header naming symbol, time and price columns (close/usd also
+// accepted for price) and an optional volume column:
+//   symbol,time,price,volume
+//   BTC,2024-03-01T00:00:00Z,61500,32000000000
+// or JSON, either { "BTC": [{ time, price, volume }], ... } or a flat array of
+// { symbol, time, price, volume }. volume is 24h traded volume in USD. Times
+// are unix seconds/ms or dates (UTC unless zoned). The file is re-read when
+// its modification time changes.
+
+const fs = require('fs');
+const path = require('path');
+const { parseTimestamp } = require('../time');
+
+const COLUMN_NAMES = {
+  symbol: ['symbol', 'ticker', 'asset'],
+  time: ['time', 'timestamp', 'date', 'datetime'],
+  price: ['price', 'close', 'usd', 'price_usd'],
+  volume: ['volume', 'volume_usd', 'volume24h', 'volume_24h']
+};
+
+function point(row, where) {
+  const time = parseTimestamp(row.time);
+  const price = Number(row.price);
+  if (!row.symbol || time === null || !(price > 0)) {
+    throw new Error(`Invalid price entry ${where}`);
+  }
+  const volume = Number(row.volume);
+  return {
+    symbol: String(row.symbol).trim().toUpperCase(),
+    time: Math.floor(time / 1000),
+    price,
+    volume: volume > 0 ? volume : null
+  };
+}
+
+function parseCsv(text) {
+  const rows = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+    .map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+  const header = (rows.shift() || []).map(name => name.toLowerCase());
+  const columns = {};
+  Object.entries(COLUMN_NAMES).forEach(([field, names]) => {
+    const index = header.findIndex(name => names.includes(name));
+    if (index >= 0) columns[field] = index;
+  });
+  const missing = ['symbol', 'time', 'price'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Price CSV is missing columns: ${missing.join(', ')}`);
+  }
+
+  return rows.map((row, i) => point({
+    symbol: row[columns.symbol],
+    time: row[columns.time],
+    price: row[columns.price],
+    volume: columns.volume !== undefined ? row[columns.volume] : undefined
+  }, `on CSV row ${i + 1}`));
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data)
+    ? data
+    : Object.entries(data).flatMap(([symbol, entries]) => (entries || []).map(entry => ({ symbol, ...entry })));
+  return rows.map((row, i) => point(row, `#${i + 1}`));
+}
+
+// Price points grouped by symbol, oldest first
+function parsePriceFile(text, format) {
+  const points = format === 'json' ? parseJson(text) : parseCsv(text);
+  const bySymbol = new Map();
+  points.forEach(p => {
+    if (!bySymbol.has(p.symbol)) bySymbol.set(p.symbol, []);
+    bySymbol.get(p.symbol).push(p);
+  });
+  bySymbol.forEach(series => series.sort((a, b) => a.time - b.time));
+  return bySymbol;
+}
+
+function createFilePriceSource(options) {
+  const file = path.resolve(options.file);
+  const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+  let loaded = { mtimeMs: null, series: new Map() };
+
+  function current() {
+    const mtimeMs = fs.statSync(file).mtimeMs;
+    if (mtimeMs !== loaded.mtimeMs) {
+      loaded = { mtimeMs, series: parsePriceFile(fs.readFileSync(file, 'utf8'), format) }; // Throws before replacing
+    }
+    return loaded.series;
+  }
+
+  return {
+    name: 'file',
+    // All points for a symbol, oldest first (the service picks the one at event time)
+    async series(symbol) {
+      return current().get(symbol) || [];
+    },
+    describe: () => ({ type: 'file', file, symbols: loaded.series.size })
+  };
+}
+
+module.exports = { createFilePriceSource, parsePriceFile };
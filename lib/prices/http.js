@@ -0,0 +1,47 @@
+// HTTP price API source
+//
+// url is a template with {symbol} and {time} (unix seconds) placeholders,
+// e.g. http://127.0.0.1:4100/price?symbol={symbol}&time={time}; without them
+// the two are appended as query parameters. The API answers with one point
+//   { "price": 61500, "time": 1709251200, "volume": 32000000000 }
+// or a recent history { "points": [{ time, price, volume }, ...] } so typical
+// volume can be averaged. volume is 24h traded volume in USD. scripts/price-stub.js
+// serves a local price file in this format.
+
+const { fetchFromProvider } = require('../providers/http');
+const { parseTimestamp } = require('../time');
+
+function buildUrl(template, symbol, at) {
+  if (template.includes('{symbol}')) {
+    return template.replace(/\{symbol\}/g, encodeURIComponent(symbol)).replace(/\{time\}/g, String(at));
+  }
+  const separator = template.includes('?') ? '&' : '?';
+  return `${template}${separator}symbol=${encodeURIComponent(symbol)}&time=${at}`;
+}
+
+function toPoint(entry, at) {
+  const time = parseTimestamp(entry.time !== undefined ? entry.time : entry.timestamp);
+  const price = Number(entry.price !== undefined ? entry.price : entry.usd);
+  const volume = Number(entry.volume !== undefined ? entry.volume : entry.volume24h);
+  if (!(price > 0)) return null;
+  return { time: time !== null ? Math.floor(time / 1000) : at, price, volume: volume > 0 ? volume : null };
+}
+
+// options: url, apiKey (sent as X-API-Key), timeoutMs
+function createHttpPriceSource(options) {
+  return {
+    name: 'http',
+    remote: true, // Quotes are cached per symbol and 5-minute bucket
+    async series(symbol, at) {
+      const data = await fetchFromProvider('Price API', buildUrl(options.url, symbol, at), {
+        headers: options.apiKey ? { 'X-API-Key': options.apiKey } : {},
+        timeout: options.timeoutMs || 5000
+      });
+      const entries = Array.isArray(data.points) ? data.points : [data];
+      return entries.map(entry => toPoint(entry, at)).filter(Boolean).sort((a, b) => a.time - b.time);
+    },
+    describe: () => ({ type: 'http', url: options.url.replace(/\?.*$/, '') }) // Query strings may hold keys
+  };
+}
+
+module.exports = { createHttpPriceSource, buildUrl };
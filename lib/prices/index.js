@@ -0,0 +1,138 @@
+// Price context for on-chain events
+//
+// Converts token amounts to USD at event time and relates an event's size to
+// the token's typical daily volume. A source (file.js or http.js) returns
+// price points `{ time, price, volume }` for a symbol; the point nearest the
+// event within maxAgeSeconds prices it, and the median 24h volume of the
+// points in the volumeWindowDays up to the event is its typical volume.
+//
+// Enriched events gain priceUsd, priceAt, typicalVolumeUsd, volumeShare
+// (usdValue / typicalVolumeUsd) and usdValueSource ("payload" or "price"),
+// and their title ends with the derived context, e.g. "[~$3.2M, 0.45% of daily vol]".
+
+const { createFilePriceSource } = require('./file');
+const { createHttpPriceSource } = require('./http');
+const { formatUsd } = require('../arkham');
+const log = require('../logger');
+
+const CACHE_BUCKET_SECONDS = 300;
+const CACHE_MAX_ENTRIES = 500;
+
+// spec: { type: file|http, file?, url?, apiKey?, timeoutMs? }
+function createPriceSource(spec) {
+  if (spec.type === 'file') return createFilePriceSource(spec);
+  if (spec.type === 'http') return createHttpPriceSource(spec);
+  throw new Error(`Unknown price source type: ${spec.type}`);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// points: oldest first; at: unix seconds. Returns { priceUsd, priceAt, typicalVolumeUsd } or null
+function quoteFromSeries(points, at, { maxAgeSeconds, volumeWindowDays }) {
+  let nearest = null;
+  points.forEach(p => {
+    if (!nearest || Math.abs(p.time - at) < Math.abs(nearest.time - at)) nearest = p;
+  });
+  if (!nearest || Math.abs(nearest.time - at) > maxAgeSeconds) return null;
+
+  const windowStart = at - volumeWindowDays * 86400;
+  const volumes = points
+    .filter(p => p.volume && p.time >= windowStart && p.time <= at)
+    .map(p => p.volume);
+  return {
+    priceUsd: nearest.price,
+    priceAt: nearest.time,
+    // Sources with a single point (HTTP APIs) only know the volume around the event
+    typicalVolumeUsd: median(volumes.length > 0 ? volumes : [nearest.volume].filter(Boolean))
+  };
+}
+
+function formatShare(share) {
+  const percent = share * 100;
+  if (percent < 0.01) return '<0.01%';
+  return `${percent < 1 ? percent.toFixed(2) : percent.toFixed(1)}%`;
+}
+
+// Pure part of enrichment: the fields and title an event gets for a quote
+function priceContext(event, quote) {
+  const payloadUsd = typeof event.usdValue === 'number' ? event.usdValue : null;
+  const derivedUsd = payloadUsd === null && typeof event.tokenAmount === 'number'
+    ? Math.abs(event.tokenAmount) * quote.priceUsd
+    : null;
+  const usdValue = payloadUsd !== null ? payloadUsd : derivedUsd;
+  const volumeShare = usdValue !== null && quote.typicalVolumeUsd ? usdValue / quote.typicalVolumeUsd : null;
+
+  const notes = [];
+  if (derivedUsd !== null) notes.push(`~${formatUsd(derivedUsd)}`);
+  if (volumeShare !== null) notes.push(`${formatShare(volumeShare)} of daily vol`);
+
+  return {
+    ...event,
+    title: notes.length > 0 ? `${event.title} [${notes.join(', ')}]` : event.title,
+    usdValue,
+    usdValueSource: payloadUsd !== null ? 'payload' : (derivedUsd !== null ? 'price' : null),
+    ...(derivedUsd !== null && { amount: formatUsd(derivedUsd) }),
+    priceUsd: quote.priceUsd,
+    priceAt: quote.priceAt,
+    typicalVolumeUsd: quote.typicalVolumeUsd,
+    volumeShare
+  };
+}
+
+// options: source (spec or source object), maxAgeSeconds, volumeWindowDays
+function createPriceService(options) {
+  const source = typeof options.source.series === 'function' ? options.source : createPriceSource(options.source);
+  const settings = {
+    maxAgeSeconds: options.maxAgeSeconds || 24 * 3600,
+    volumeWindowDays: options.volumeWindowDays || 30
+  };
+  const cache = new Map(); // symbol:time bucket -> quote or null, for remote sources
+  const stats = { lookups: 0, priced: 0, missing: 0, errors: 0, lastError: null };
+
+  async function quote(symbol, at) {
+    const key = `${symbol}:${Math.floor(at / CACHE_BUCKET_SECONDS)}`;
+    if (source.remote && cache.has(key)) return cache.get(key);
+
+    const result = quoteFromSeries(await source.series(symbol, at), at, settings);
+    if (source.remote) {
+      cache.set(key, result);
+      if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value); // Oldest first
+    }
+    return result;
+  }
+
+  return {
+    quote,
+
+    // Never throws: events that cannot be priced come back unchanged
+    async enrich(event) {
+      const hasSize = typeof event.tokenAmount === 'number' || typeof event.usdValue === 'number';
+      if (!event.symbol || event.symbol === 'CRYPTO' || !hasSize) return event;
+
+      stats.lookups++;
+      try {
+        const result = await quote(event.symbol, event.timestamp);
+        if (!result) {
+          stats.missing++;
+          return event;
+        }
+        stats.priced++;
+        return priceContext(event, result);
+      } catch (error) {
+        stats.errors++;
+        stats.lastError = error.message;
+        log.warn('Price lookup failed', { symbol: event.symbol, error });
+        return event;
+      }
+    },
+
+    status: () => ({ source: source.describe(), ...settings, cachedQuotes: cache.size, ...stats })
+  };
+}
+
+module.exports = { createPriceService, createPriceSource, quoteFromSeries, priceContext };
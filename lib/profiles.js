@@ -0,0 +1,201 @@
+// Saved feed profiles: named watchlists owned by API clients
+//
+// A profile stores what a TradingView script would otherwise repeat in every
+// URL and is served at /feeds/:name:
+//   { name, symbols[], keywords, categories[], minUsd, timeframe,
+//     output: { format: pinescript|json, profile, cluster }, shared, ownerId }
+// minUsd applies to on-chain transfers only; output.profile names a PineScript
+// profile. Names are unique server-wide. Owners and admin keys may read and
+// change a profile; other read keys may only fetch its feed when it is shared.
+
+const express = require('express');
+const time = require('./time');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,19}$/;
+const CATEGORIES = ['NEWS', 'ONCHAIN'];
+const FORMATS = ['pinescript', 'json'];
+
+function upperList(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return Array.from(new Set(list.map(item => String(item).trim().toUpperCase()).filter(Boolean)));
+}
+
+function isAdmin(client) {
+  return !client || client.scopes.includes('admin'); // No client means auth is disabled
+}
+
+// options: profiles (store map), maxSymbols, maxPerOwner, pineProfileNames() -> names
+function createProfileStore(options) {
+  const profiles = options.profiles;
+  const maxSymbols = options.maxSymbols || 100;
+  const maxPerOwner = options.maxPerOwner || 50;
+
+  // Returns the clean profile fields or throws with a message suitable for a 400
+  function validate(input) {
+    if (!input || typeof input !== 'object') {
+      throw new Error('Profile must be a JSON object');
+    }
+
+    const symbols = upperList(input.symbols);
+    if (symbols.some(symbol => !SYMBOL_PATTERN.test(symbol))) {
+      throw new Error('symbols must be tickers such as BTC or WBTC');
+    }
+    if (symbols.length > maxSymbols) {
+      throw new Error(`A profile can hold at most ${maxSymbols} symbols`);
+    }
+
+    const categories = input.categories !== undefined ? upperList(input.categories) : CATEGORIES.slice();
+    if (categories.length === 0 || categories.some(c => !CATEGORIES.includes(c))) {
+      throw new Error(`categories must be a non-empty list among: ${CATEGORIES.join(', ')}`);
+    }
+
+    const keywords = input.keywords ? String(input.keywords).trim() : null;
+    if (symbols.length === 0 && !keywords) {
+      throw new Error('A profile needs symbols or keywords');
+    }
+
+    let minUsd = null;
+    if (input.minUsd !== undefined && input.minUsd !== null && input.minUsd !== '') {
+      minUsd = Number(input.minUsd);
+      if (!isFinite(minUsd) || minUsd < 0) {
+        throw new Error('minUsd must be a non-negative number');
+      }
+    }
+
+    // Throws "Invalid timeframe: ..." for bad values; stored in canonical form
+    const timeframe = time.formatTimeframe(time.parseTimeframe(input.timeframe));
+
+    const output = input.output || {};
+    if (typeof output !== 'object' || Array.isArray(output)) {
+      throw new Error('output must be an object');
+    }
+    if (output.format !== undefined && typeof output.format !== 'string') {
+      throw new Error(`output.format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const format = (output.format || 'pinescript').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      throw new Error(`output.format must be one of: ${FORMATS.join(', ')}`);
+    }
+    const pineProfile = output.profile || 'default';
+    if (!options.pineProfileNames().includes(pineProfile)) {
+      throw new Error(`Unknown PineScript profile: ${pineProfile}`);
+    }
+
+    return {
+      symbols,
+      keywords,
+      categories,
+      minUsd,
+      timeframe,
+      output: {
+        format,
+        profile: pineProfile,
+        cluster: output.cluster !== undefined ? Boolean(output.cluster) : undefined // Undefined follows CLUSTERING_ENABLED
+      },
+      shared: Boolean(input.shared)
+    };
+  }
+
+  function canManage(profile, client) {
+    return isAdmin(client) || profile.ownerId === client.id;
+  }
+
+  return {
+    get: name => profiles.get(name) || null,
+    canManage,
+    canRead: (profile, client) => profile.shared || canManage(profile, client),
+
+    // Profiles the client manages; admins see every profile
+    list(client) {
+      return Array.from(profiles.values()).filter(profile => canManage(profile, client));
+    },
+
+    // Throws on invalid input; returns null when the name is taken
+    create(input, client) {
+      const name = input && typeof input.name === 'string' ? input.name.trim().toLowerCase() : '';
+      if (!NAME_PATTERN.test(name)) {
+        throw new Error('Profile "name" is required: lowercase letters, digits, "-" or "_" (max 64)');
+      }
+      const fields = validate(input);
+      if (profiles.get(name)) return null;
+
+      const ownerId = client ? client.id : null;
+      const owned = Array.from(profiles.values()).filter(profile => profile.ownerId === ownerId).length;
+      if (!isAdmin(client) && owned >= maxPerOwner) {
+        throw new Error(`An API key can own at most ${maxPerOwner} profiles`);
+      }
+
+      const profile = { name, ...fields, ownerId, createdAt: Date.now(), updatedAt: Date.now() };
+      profiles.set(name, profile);
+      return profile;
+    },
+
+    // Replaces the editable fields; name and owner are fixed
+    update(name, input) {
+      const existing = profiles.get(name);
+      if (!existing) return null;
+      const profile = { ...existing, ...validate(input), updatedAt: Date.now() };
+      profiles.set(name, profile);
+      return profile;
+    },
+
+    delete: name => profiles.delete(name)
+  };
+}
+
+function describe(req, profile) {
+  return { ...profile, feedUrl: `${req.protocol}://${req.get('host')}/feeds/${profile.name}` };
+}
+
+// Profile management endpoints, mounted under /profiles behind the read scope
+function createProfileRouter(store) {
+  const router = express.Router();
+
+  // Loads :name into req.feedProfile when the caller may manage it
+  router.param('name', (req, res, next, name) => {
+    const profile = store.get(name);
+    if (!profile || !store.canManage(profile, req.apiClient)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    req.feedProfile = profile;
+    next();
+  });
+
+  router.get('/', (req, res) => {
+    const profiles = store.list(req.apiClient);
+    res.json({ totalProfiles: profiles.length, profiles: profiles.map(profile => describe(req, profile)) });
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const profile = store.create(req.body, req.apiClient);
+      if (!profile) return res.status(409).json({ error: 'A profile with this name already exists' });
+      res.status(201).json(describe(req, profile));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/:name', (req, res) => {
+    res.json(describe(req, req.feedProfile));
+  });
+
+  router.put('/:name', (req, res) => {
+    try {
+      res.json(describe(req, store.update(req.feedProfile.name, req.body)));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/:name', (req, res) => {
+    store.delete(req.feedProfile.name);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createProfileStore, createProfileRouter, CATEGORIES, FORMATS };
@@ -0,0 +1,42 @@
+// CryptoPanic-style JSON adapter (`/posts/?auth_token=&currencies=`)
+// Any API returning `{ results: [{ title, url, published_at, source }] }` works.
+
+const { fetchFromProvider } = require('./http');
+
+function createCryptoPanicProvider(options) {
+  const baseUrl = options.baseUrl || 'https://cryptopanic.com/api/v1/posts/';
+
+  function buildUrl({ symbols, keywords }) {
+    const params = new URLSearchParams({
+      auth_token: options.apiKey,
+      public: 'true',
+      kind: 'news'
+    });
+    if (symbols) {
+      params.append('currencies', symbols.split(',').map(s => s.trim().toUpperCase()).join(','));
+    }
+    if (keywords) {
+      params.append('filter', keywords);
+    }
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  return {
+    name: options.name || 'cryptopanic',
+    buildUrl,
+    async fetch(query) {
+      const data = await fetchFromProvider('CryptoPanic', buildUrl(query));
+      return (data.results || []).map(item => ({
+        title: item.title,
+        description: item.description || '',
+        content: '',
+        link: item.url || item.link,
+        pubDate: item.published_at || item.created_at,
+        source_id: item.source ? (item.source.domain || item.source.title) : undefined,
+        currencies: (item.currencies || []).map(c => c.code)
+      }));
+    }
+  };
+}
+
+module.exports = createCryptoPanicProvider;
@@ -0,0 +1,22 @@
+// Shared HTTP helper for news providers
+
+const fetch = require('node-fetch');
+
+async function fetchFromProvider(name, url, options = {}) {
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'CryptoBridgeServer/2.0',
+      ...(options.headers || {})
+    },
+    timeout: options.timeout || 10000 // 10 second timeout
+  });
+
+  if (!response.ok) {
+    throw new Error(`${name} responded with status: ${response.status}`);
+  }
+
+  return options.text ? response.text() : response.json();
+}
+
+module.exports = { fetchFromProvider };
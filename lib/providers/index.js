@@ -0,0 +1,201 @@
+// News provider framework
+// A provider is `{ name, fetch(query) -> Promise<article[]> }`
+// returning articles normalized to the Newsdata.io field names the rest of
+// the server already understands (title, description, content, link,
+// pubDate, source_id). Each provider gets its own daily quota. pubDate is
+// rewritten to ISO 8601 UTC here so downstream parsing never guesses a zone,
+// and links other than absolute http(s) URLs are dropped.
+
+const { createQuota } = require('../quota');
+const createNewsdataProvider = require('./newsdata');
+const createCryptoPanicProvider = require('./cryptopanic');
+const createRssProvider = require('./rss');
+const log = require('../logger');
+const { parseTimestamp, articleTime } = require('../time');
+
+const ADAPTERS = {
+  newsdata: createNewsdataProvider,
+  cryptopanic: createCryptoPanicProvider,
+  rss: createRssProvider
+};
+
+// Masks credentials passed as query parameters (apikey=, auth_token=, ...)
+function redactSecrets(text) {
+  return String(text).replace(/([?&](?:api_?key|auth_token|token|key)=)[^&\s]+/gi, '$1***');
+}
+
+// Absolute http(s) URL or '' (feeds can carry javascript:, data: or relative links)
+function safeLink(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(String(url).trim());
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+const HEALTH_WINDOW = 20; // Recent upstream calls used for the error rate
+
+// Upstream call outcomes for /health and /metrics (quota refusals are not calls)
+function createHealth() {
+  const recent = [];
+  const state = { calls: 0, errors: 0, lastSuccessAt: null, lastErrorAt: null, lastError: null, lastDurationMs: null };
+
+  return {
+    record(ok, durationMs, error) {
+      recent.push(ok);
+      if (recent.length > HEALTH_WINDOW) recent.shift();
+      state.calls++;
+      state.lastDurationMs = durationMs;
+      if (ok) {
+        state.lastSuccessAt = Date.now();
+      } else {
+        state.errors++;
+        state.lastErrorAt = Date.now();
+        state.lastError = error.message;
+      }
+    },
+    summary() {
+      const failures = recent.filter(ok => !ok).length;
+      return { ...state, recentCalls: recent.length, errorRate: recent.length > 0 ? failures / recent.length : 0 };
+    }
+  };
+}
+
+// specs: [{ type, name?, apiKey?, baseUrl?, feeds?, maxRequestsPerDay }]
+function createNewsProviders(specs, { counters, symbolRegistry }) {
+  return specs.map(spec => {
+    const createAdapter = ADAPTERS[spec.type];
+    if (!createAdapter) {
+      throw new Error(`Unknown news provider type: ${spec.type}`);
+    }
+
+    const adapter = createAdapter({ ...spec, symbolRegistry });
+    const quota = createQuota(counters, `quota:${adapter.name}`, spec.maxRequestsPerDay || 200);
+    const health = createHealth();
+
+    return {
+      name: adapter.name,
+      type: spec.type,
+      quota,
+      health: health.summary,
+      async fetch(query) {
+        if (quota.exhausted()) {
+          throw new Error(`${adapter.name}: Daily API rate limit exceeded`);
+        }
+        const started = Date.now();
+        let articles;
+        try {
+          articles = await adapter.fetch(query);
+        } catch (error) {
+          error.message = redactSecrets(error.message); // Request URLs carry API keys
+          health.record(false, Date.now() - started, error);
+          throw error;
+        }
+        health.record(true, Date.now() - started);
+        quota.increment();
+        log.info('Provider fetch succeeded', { provider: adapter.name, articles: articles.length, requestsToday: quota.used() });
+        const fetchedAt = Date.now();
+        return articles.map(article => {
+          const published = parseTimestamp(article.pubDate);
+          return {
+            ...article,
+            link: safeLink(article.link),
+            pubDate: published !== null ? new Date(published).toISOString() : article.pubDate,
+            fetchedAt,
+            provider: adapter.name
+          };
+        });
+      }
+    };
+  });
+}
+
+function normalizeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    const params = new URLSearchParams(parsed.search);
+    for (const key of Array.from(params.keys())) {
+      if (key.startsWith('utm_') || key === 'ref') params.delete(key);
+    }
+    const query = params.toString();
+    const host = parsed.hostname.replace(/^www\./, '');
+    return `${host}${parsed.pathname.replace(/\/+$/, '')}${query ? '?' + query : ''}`.toLowerCase();
+  } catch (error) {
+    return url.trim().toLowerCase();
+  }
+}
+
+function normalizeTitle(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/\s+[-|–—]\s+[^-|–—]+$/, '') // Trailing " - Outlet Name"
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Merge articles from several providers, keeping the first copy of each story
+// (same URL or same normalized title) and recording every provider that had it
+function dedupeArticles(articles) {
+  const byUrl = new Map();
+  const byTitle = new Map();
+  const merged = [];
+
+  articles.forEach(article => {
+    const urlKey = normalizeUrl(article.link);
+    const titleKey = normalizeTitle(article.title);
+    const existing = (urlKey && byUrl.get(urlKey)) || (titleKey && byTitle.get(titleKey));
+
+    if (existing) {
+      if (article.provider && !existing.providers.includes(article.provider)) {
+        existing.providers.push(article.provider);
+      }
+      if (!existing.description && article.description) {
+        existing.description = article.description;
+      }
+      return;
+    }
+
+    const entry = { ...article, providers: article.provider ? [article.provider] : [] };
+    if (urlKey) byUrl.set(urlKey, entry);
+    if (titleKey) byTitle.set(titleKey, entry);
+    merged.push(entry);
+  });
+
+  return merged;
+}
+
+// Fan out to every provider; fails only when all of them fail
+async function fetchFromProviders(providers, query) {
+  const results = await Promise.allSettled(providers.map(provider => provider.fetch(query)));
+
+  const errors = [];
+  const articles = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      articles.push(...result.value);
+    } else {
+      errors.push(`${providers[i].name}: ${result.reason.message}`);
+      log.error('Provider fetch failed', { provider: providers[i].name, error: result.reason });
+    }
+  });
+
+  if (providers.length > 0 && errors.length === providers.length) {
+    throw new Error(errors.join('; '));
+  }
+
+  return dedupeArticles(articles).sort((a, b) => (articleTime(b) || 0) - (articleTime(a) || 0));
+}
+
+module.exports = {
+  createNewsProviders,
+  fetchFromProviders,
+  dedupeArticles,
+  normalizeUrl,
+  normalizeTitle,
+  safeLink,
+  redactSecrets
+};
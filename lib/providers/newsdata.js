@@ -0,0 +1,70 @@
+// Newsdata.io adapter (https://newsdata.io/api/1/news)
+
+const { fetchFromProvider } = require('./http');
+
+function createNewsdataProvider(options) {
+  const baseUrl = options.baseUrl || 'https://newsdata.io/api/1/news';
+  const symbolRegistry = options.symbolRegistry;
+
+  // sinceMs: start of the requested window (see lib/time.js)
+  function buildUrl({ symbols, keywords, sinceMs }) {
+    const params = new URLSearchParams({
+      apikey: options.apiKey
+    });
+
+    // Build crypto search query
+    const searchTerms = [];
+
+    // Add coin symbols as search terms
+    if (symbols) {
+      const coinNames = symbols.split(',').map(s => {
+        const symbol = s.trim().toUpperCase();
+        const coinName = symbolRegistry.getName(symbol);
+        return `${symbol} OR ${coinName}`;
+      });
+      searchTerms.push(...coinNames);
+    }
+
+    // Add keywords
+    if (keywords) {
+      searchTerms.push(keywords);
+    }
+
+    // Add general crypto terms if no specific search
+    if (searchTerms.length === 0) {
+      searchTerms.push('cryptocurrency OR bitcoin OR crypto OR blockchain');
+    }
+
+    params.append('q', searchTerms.join(' OR '));
+    params.append('category', 'business,technology');
+
+    // Regular news endpoint uses 'from' instead of 'timeframe'. It only takes a
+    // UTC date, so results are trimmed to the exact window after fetching.
+    if (sinceMs) {
+      params.append('from', new Date(sinceMs).toISOString().split('T')[0]); // Format: YYYY-MM-DD
+    }
+
+    // Add language filter
+    params.append('language', 'en');
+
+    return `${baseUrl}?${params.toString()}`;
+  }
+
+  return {
+    name: 'newsdata',
+    buildUrl,
+    async fetch(query) {
+      const data = await fetchFromProvider('Newsdata.io', buildUrl(query));
+      return (data.results || []).map(item => ({
+        title: item.title,
+        description: item.description || '',
+        content: item.content || '',
+        link: item.link,
+        pubDate: item.pubDate,
+        source_id: item.source_id
+      }));
+    }
+  };
+}
+
+module.exports = createNewsdataProvider;
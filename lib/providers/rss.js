@@ -0,0 +1,92 @@
+// Generic RSS 2.0 / Atom adapter
+// Feeds carry no query syntax, so symbols/keywords are not sent upstream;
+// the caller's symbol detection does the filtering.
+
+const { fetchFromProvider } = require('./http');
+const log = require('../logger');
+
+// XML entities plus the HTML ones common in feed text; numeric references are decoded separately
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', euro: '€', pound: '£'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return code <= 0x10FFFF ? String.fromCodePoint(code) : match; // Out-of-range references stay as written
+    }
+    return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : match;
+  });
+}
+
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return '';
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  // Feeds often escape HTML inside CDATA too, so decode before stripping tags
+  return decodeEntities(cdata ? cdata[1] : match[1])
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function atomLink(xml) {
+  const links = xml.match(/<link\b[^>]*>/gi) || [];
+  const preferred = links.find(l => /rel=["']alternate["']/i.test(l)) || links.find(l => !/rel=/i.test(l)) || links[0];
+  const href = preferred && preferred.match(/href=["']([^"']+)["']/i);
+  return href ? decodeEntities(href[1]) : '';
+}
+
+function parseFeed(xml, feedName) {
+  const items = xml.match(/<item\b[\s\S]*?<\/item>/gi);
+  if (items) {
+    return items.map(item => ({
+      title: tagText(item, 'title'),
+      description: tagText(item, 'description'),
+      content: tagText(item, 'content:encoded'),
+      link: tagText(item, 'link') || tagText(item, 'guid'),
+      pubDate: tagText(item, 'pubDate') || tagText(item, 'dc:date'),
+      source_id: feedName
+    }));
+  }
+
+  const entries = xml.match(/<entry\b[\s\S]*?<\/entry>/gi) || [];
+  return entries.map(entry => ({
+    title: tagText(entry, 'title'),
+    description: tagText(entry, 'summary'),
+    content: tagText(entry, 'content'),
+    link: atomLink(entry),
+    pubDate: tagText(entry, 'published') || tagText(entry, 'updated'),
+    source_id: feedName
+  }));
+}
+
+function createRssProvider(options) {
+  const feeds = options.feeds || [];
+
+  return {
+    name: options.name || 'rss',
+    async fetch() {
+      const results = await Promise.allSettled(feeds.map(async url => {
+        const xml = await fetchFromProvider(`RSS ${url}`, url, { text: true });
+        return parseFeed(xml, new URL(url).hostname);
+      }));
+
+      const failures = results.filter(r => r.status === 'rejected');
+      if (feeds.length > 0 && failures.length === feeds.length) {
+        throw failures[0].reason;
+      }
+      failures.forEach(f => log.warn('RSS feed error', { error: f.reason }));
+
+      return results
+        .filter(r => r.status === 'fulfilled')
+        .reduce((all, r) => all.concat(r.value), []);
+    }
+  };
+}
+
+module.exports = createRssProvider;
+module.exports.parseFeed = parseFeed;
@@ -0,0 +1,43 @@
+// Daily request quota persisted in the store's counters map
+// Each tracker keeps `<name>:count` and `<name>:date`, resetting when the day changes.
+
+const log = require('./logger');
+
+function createQuota(counters, name, limit) {
+  const countKey = `${name}:count`;
+  const dateKey = `${name}:date`;
+
+  function resetIfNeeded() {
+    const today = new Date().toDateString();
+    if (counters.get(dateKey) !== today) {
+      const hadCount = counters.get(countKey) > 0;
+      counters.set(countKey, 0);
+      counters.set(dateKey, today);
+      if (hadCount) {
+        log.info('Daily request count reset', { quota: name });
+      }
+    }
+  }
+
+  return {
+    name,
+    limit,
+    resetIfNeeded,
+    used() {
+      resetIfNeeded();
+      return counters.get(countKey) || 0;
+    },
+    remaining() {
+      return Math.max(0, limit - this.used());
+    },
+    exhausted() {
+      return this.used() >= limit;
+    },
+    increment() {
+      resetIfNeeded();
+      counters.set(countKey, (counters.get(countKey) || 0) + 1);
+    }
+  };
+}
+
+module.exports = { createQuota };
@@ -0,0 +1,109 @@
+// Replay archived webhook payloads through the current normalizer
+//
+// planReplay() compares what the pipeline produces today with what was stored
+// at ingest time; applyReplay() writes the corrections. Result statuses:
+//   unchanged     stored event matches the new output
+//   changed       stored event differs (see diff)
+//   new           payload was unrecognized before and is recognized now
+//   dropped       stored event, but the payload is no longer recognized
+//   expired       recognized, but the stored event has aged out of retention
+//   unrecognized  still not recognized; nothing stored
+//   skipped       payload failed signature/IP verification at ingest
+
+const DIFF_FIELDS = [
+  'type', 'symbol', 'title', 'amount', 'chain', 'txHash', 'tokenAddress', 'from', 'to',
+  'tokenAmount', 'usdValue', 'alertName', 'sentiment', 'impact', 'score', 'priceUsd', 'volumeShare'
+];
+
+function diffEvents(before, after) {
+  const diff = {};
+  DIFF_FIELDS.forEach(field => {
+    const a = before[field] === undefined ? null : before[field];
+    const b = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(a) !== JSON.stringify(b)) {
+      diff[field] = { before: a, after: b };
+    }
+  });
+  return diff;
+}
+
+// records: archive records, oldest first
+// process(payload, receivedAt) -> event | { recognized: false, reason } | null, or a promise of one
+// findStored(id) -> stored event or undefined
+async function planReplay(records, { process, findStored }) {
+  const results = [];
+  for (const record of records) {
+    results.push(await planRecord(record, process, findStored));
+  }
+  return results;
+}
+
+async function planRecord(record, process, findStored) {
+  const base = { archiveId: record.id, receivedAt: new Date(record.receivedAt).toISOString() };
+  if (record.outcome === 'rejected') {
+    return { ...base, status: 'skipped', reason: record.reason };
+  }
+
+  const result = await process(record.payload, record.receivedAt);
+  const recognized = Boolean(result && result.recognized);
+  // Events recognized only after a fix have no ingest-time id; match on the new id
+  const storedId = record.eventId || (recognized ? result.id : null);
+  const stored = storedId ? findStored(storedId) : undefined;
+
+  if (!recognized) {
+    const reason = result ? result.reason : 'Processing failed';
+    return stored
+      ? { ...base, status: 'dropped', storedId, reason }
+      : { ...base, status: 'unrecognized', reason };
+  }
+
+  const { raw, ...event } = result;
+  if (!stored) {
+    return record.eventId
+      ? { ...base, status: 'expired', storedId, event }
+      : { ...base, status: 'new', event };
+  }
+
+  const diff = diffEvents(stored, event);
+  return Object.keys(diff).length > 0
+    ? { ...base, status: 'changed', storedId, diff, event }
+    : { ...base, status: 'unchanged', storedId };
+}
+
+// store: { update(id, updater), insert(event), remove(id) }; returns the number of writes.
+// Corrected events keep their stored id and timestamp so links and ordering stay stable.
+function applyReplay(results, records, store) {
+  const payloads = new Map(records.map(record => [record.id, record.payload]));
+  const correctedAt = Math.floor(Date.now() / 1000);
+  let applied = 0;
+
+  results.forEach(result => {
+    if (result.status === 'changed') {
+      store.update(result.storedId, stored => ({
+        ...result.event,
+        id: stored.id,
+        timestamp: stored.timestamp,
+        raw: stored.raw || payloads.get(result.archiveId),
+        correctedAt
+      }));
+    } else if (result.status === 'new') {
+      store.insert({ ...result.event, raw: payloads.get(result.archiveId), correctedAt });
+    } else if (result.status === 'dropped') {
+      store.remove(result.storedId);
+    } else {
+      return;
+    }
+    result.applied = true;
+    applied++;
+  });
+  return applied;
+}
+
+function summarize(results) {
+  return results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+module.exports = { planReplay, applyReplay, diffEvents, summarize };
@@ -0,0 +1,123 @@
+// Background news polling with quota-aware budgeting
+//
+// Watchlists are polled round-robin. After each poll the next delay is the
+// time left until the daily quota reset divided by the requests still
+// available after the on-demand reserve, so the budget is spread evenly over
+// the rest of the day instead of being spent by noon.
+
+const log = require('./logger');
+const time = require('./time');
+
+function msUntilMidnight() {
+  const now = new Date();
+  const midnight = new Date(now);
+  midnight.setHours(24, 0, 0, 0);
+  return midnight.getTime() - now.getTime();
+}
+
+// options: watchlists [{ name, symbols, keywords, timeframe }], providers,
+// poll(watchlist) -> Promise<articles>, reserve, minIntervalMs, maxIntervalMs
+function createNewsScheduler(options) {
+  const watchlists = options.watchlists || [];
+  const reserve = options.reserve || 0;
+  const minIntervalMs = options.minIntervalMs || 5 * 60 * 1000;
+  const maxIntervalMs = options.maxIntervalMs || 60 * 60 * 1000;
+
+  let timer = null;
+  let cursor = 0;
+  let nextPollAt = null;
+  const status = new Map(watchlists.map(w => [w.name, { lastPollAt: null, lastSuccessAt: null, lastError: null, articles: 0, newArticles: 0 }]));
+  const windows = new Map(watchlists.map(w => [w.name, time.parseTimeframe(w.timeframe)]));
+
+  // Requests each provider can still spend on polling today
+  function availableRequests() {
+    const remaining = options.providers.map(provider => provider.quota.remaining());
+    return remaining.length > 0 ? Math.max(0, Math.min(...remaining) - reserve) : 0;
+  }
+
+  function nextDelay() {
+    const available = availableRequests();
+    if (available === 0) {
+      return msUntilMidnight() + 1000; // Wait for the quota reset
+    }
+    const spread = msUntilMidnight() / available;
+    return Math.min(maxIntervalMs, Math.max(minIntervalMs, spread));
+  }
+
+  // Time for the round-robin to come back to the same watchlist at the current pace
+  function cycleMs() {
+    return watchlists.length * Math.min(nextDelay(), maxIntervalMs);
+  }
+
+  async function pollNext() {
+    if (watchlists.length === 0) return;
+    const watchlist = watchlists[cursor % watchlists.length];
+    cursor++;
+    const entry = status.get(watchlist.name);
+    entry.lastPollAt = Date.now();
+
+    if (availableRequests() === 0) {
+      entry.lastError = 'Skipped: polling budget exhausted for today';
+      return;
+    }
+
+    try {
+      const result = await options.poll(watchlist);
+      entry.lastSuccessAt = Date.now();
+      entry.lastError = null;
+      entry.articles = result.articles;
+      entry.newArticles = result.newArticles;
+      log.info('Scheduled poll complete', { watchlist: watchlist.name, articles: result.articles, newArticles: result.newArticles });
+    } catch (error) {
+      entry.lastError = error.message;
+      log.error('Scheduled poll failed', { watchlist: watchlist.name, error });
+    }
+  }
+
+  function schedule(delay) {
+    nextPollAt = Date.now() + delay;
+    timer = setTimeout(async () => {
+      await pollNext();
+      if (timer) schedule(nextDelay());
+    }, delay);
+    timer.unref();
+  }
+
+  return {
+    start() {
+      if (timer || watchlists.length === 0) return;
+      schedule(0);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextPollAt = null;
+    },
+    pollNext,
+    // True when the pool can answer a request for `symbols` (every watchlist when
+    // null) over the last timeframeMs: each symbol must be in a watchlist whose
+    // window spans timeframeMs and whose last successful poll is within one cycle
+    covers(symbols, timeframeMs) {
+      const freshSince = Date.now() - cycleMs();
+      const usable = watchlists.filter(w => {
+        const entry = status.get(w.name);
+        return entry.lastSuccessAt !== null && entry.lastSuccessAt >= freshSince && windows.get(w.name) >= timeframeMs;
+      });
+      if (!symbols) return watchlists.length > 0 && usable.length === watchlists.length;
+      const watched = new Set(usable.flatMap(w => (w.symbols || '').split(',').map(s => s.trim().toUpperCase())));
+      return Array.from(symbols).every(symbol => watched.has(symbol));
+    },
+    status() {
+      return {
+        running: Boolean(timer),
+        nextPollAt: nextPollAt ? new Date(nextPollAt).toISOString() : null,
+        availableRequests: availableRequests(),
+        reserve,
+        currentIntervalMinutes: Math.round(nextDelay() / 60000),
+        watchlists: watchlists.map(w => ({ ...w, ...status.get(w.name) }))
+      };
+    }
+  };
+}
+
+module.exports = { createNewsScheduler };
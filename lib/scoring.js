@@ -0,0 +1,139 @@
+// Local sentiment and impact scoring (no external services)
+//
+// News: lexicon-based. Sentiment comes from weighted positive/negative terms
+// with simple negation handling; impact from market-moving topics, damped for
+// listicles and price-prediction filler.
+// On-chain: size-and-entity based. Impact grows with log(USD value); moves
+// into exchanges read as bearish (supply to sell), out of exchanges as bullish.
+//
+// Every scorer returns { sentiment: -1..1, impact: 0..100, score } where
+// score is the impact signed by sentiment direction (neutral counts as +).
+
+const SENTIMENT_LEXICON = {
+  // Positive
+  approve: 2, approves: 2, approved: 2, approval: 2, surge: 2, surges: 2, surged: 2, soar: 2,
+  soars: 2, soared: 2, rally: 2, rallies: 2, rallied: 2, gain: 1, gains: 1, gained: 1, rise: 1,
+  rises: 1, jump: 1, jumps: 1, jumped: 1, bullish: 2, record: 1, high: 1, adoption: 1,
+  partnership: 1, launch: 1, launches: 1, upgrade: 1, inflow: 1, inflows: 1, win: 1, wins: 1,
+  recover: 1, recovers: 1, breakout: 2, accumulate: 1, accumulation: 1, integrate: 1, integrates: 1,
+  listing: 1,
+  // Negative
+  hack: -3, hacked: -3, exploit: -3, exploited: -3, drained: -3, scam: -2, fraud: -3, lawsuit: -2,
+  sue: -2, sues: -2, sued: -2, ban: -2, bans: -2, banned: -2, crash: -3, crashes: -3, crashed: -3,
+  plunge: -2, plunges: -2, plunged: -2, drop: -1, drops: -1, dropped: -1, fall: -1, falls: -1,
+  fell: -1, bearish: -2, selloff: -2, liquidation: -2, liquidations: -2, outflow: -1, outflows: -1,
+  reject: -2, rejects: -2, rejected: -2, delay: -1, delays: -1, delist: -2, delisting: -2,
+  bankrupt: -3, bankruptcy: -3, insolvent: -3, investigation: -2, probe: -2, fine: -1, fined: -2,
+  warning: -1, risk: -1, low: -1
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "isn't", "won't", "doesn't", "didn't", 'without', 'denies', 'denied']);
+
+// Topics that historically move markets, with impact points
+const IMPACT_TOPICS = [
+  { pattern: /\betfs?\b/i, points: 30 },
+  { pattern: /\b(sec|cftc|doj|regulator|regulation|regulatory)\b/i, points: 25 },
+  { pattern: /\b(fed|fomc|interest rates?|cpi|inflation)\b/i, points: 20 },
+  { pattern: /\b(hack(ed)?|exploit(ed)?|drained|breach)\b/i, points: 30 },
+  { pattern: /\b(bankrupt(cy)?|insolven(t|cy)|collapse)\b/i, points: 30 },
+  { pattern: /\b(lawsuit|sues?|sued|court|ruling|settlement)\b/i, points: 20 },
+  { pattern: /\b(halving|hard fork|mainnet|upgrade)\b/i, points: 15 },
+  { pattern: /\b(listing|delist(ing)?|listed)\b/i, points: 15 },
+  { pattern: /\b(blackrock|fidelity|microstrategy|tesla|grayscale)\b/i, points: 15 },
+  { pattern: /\b(ban|bans|banned|sanction(s|ed)?)\b/i, points: 20 },
+  { pattern: /\b(approv(e|ed|al)|reject(s|ed)?)\b/i, points: 15 }
+];
+
+// Low-signal content patterns and the factor they multiply impact by
+const LOW_SIGNAL = [
+  { pattern: /\b(top|best) \d+\b/i, factor: 0.3 },
+  { pattern: /\bprice predictions?\b/i, factor: 0.4 },
+  { pattern: /\bhow to\b/i, factor: 0.3 },
+  { pattern: /\b(sponsored|press release|promo)\b/i, factor: 0.3 },
+  { pattern: /\b(could|might|may)\b.*\?$/i, factor: 0.6 }
+];
+
+const EXCHANGE_NAMES = /\b(binance|coinbase|kraken|okx|bybit|bitfinex|huobi|htx|kucoin|gemini|bitstamp|crypto\.com|upbit|gate\.io|bitget|mexc|deribit)\b/i;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function finish(sentiment, impact) {
+  const s = Math.round(clamp(sentiment, -1, 1) * 100) / 100;
+  const i = Math.round(clamp(impact, 0, 100));
+  return { sentiment: s, impact: i, score: s < 0 ? -i : i };
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/[a-z][a-z'.]*/g) || [];
+}
+
+function lexiconSentiment(text) {
+  const words = tokenize(text);
+  let total = 0;
+  let hits = 0;
+  words.forEach((word, i) => {
+    const weight = SENTIMENT_LEXICON[word.replace(/\.$/, '')];
+    if (!weight) return;
+    const negated = NEGATIONS.has(words[i - 1]) || NEGATIONS.has(words[i - 2]);
+    total += negated ? -weight : weight;
+    hits++;
+  });
+  // Normalize so a couple of strong terms saturate but long texts don't dominate
+  return hits === 0 ? 0 : Math.tanh(total / 3);
+}
+
+function scoreArticle(article) {
+  const title = article.title || '';
+  const body = article.description || '';
+
+  // Title carries more signal than the description
+  const sentiment = lexiconSentiment(title) * 0.7 + lexiconSentiment(body) * 0.3;
+
+  let impact = 10;
+  IMPACT_TOPICS.forEach(topic => {
+    if (topic.pattern.test(title)) impact += topic.points;
+    else if (topic.pattern.test(body)) impact += topic.points / 2;
+  });
+  impact += Math.abs(sentiment) * 20;
+  LOW_SIGNAL.forEach(rule => {
+    if (rule.pattern.test(title)) impact *= rule.factor;
+  });
+
+  return finish(sentiment, impact);
+}
+
+function isExchange(party) {
+  if (!party) return false;
+  if (party.type && /^(cex|exchange)$/i.test(party.type)) return true;
+  return EXCHANGE_NAMES.test(`${party.entity || ''} ${party.label || ''}`);
+}
+
+// Impact from size: $100K ~ 20, $1M ~ 40, $10M ~ 60, $100M ~ 80, $1B+ ~ 100
+function sizeImpact(usdValue) {
+  if (!usdValue || usdValue <= 0) return 10;
+  return clamp((Math.log10(usdValue) - 4) * 20, 5, 100);
+}
+
+function scoreOnchainEvent(event) {
+  let impact = sizeImpact(event.usdValue);
+  let sentiment = 0;
+
+  if (event.type === 'transfer') {
+    const fromExchange = isExchange(event.from);
+    const toExchange = isExchange(event.to);
+    if (toExchange && !fromExchange) sentiment = -0.5; // Deposit, likely to sell
+    else if (fromExchange && !toExchange) sentiment = 0.5; // Withdrawal to custody
+    // Named entities on either side make a move more meaningful
+    if ((event.from && event.from.entity) || (event.to && event.to.entity)) impact += 10;
+  } else if (event.type === 'balance_change' && event.tokenAmount !== null && event.tokenAmount !== undefined) {
+    sentiment = event.tokenAmount < 0 ? -0.3 : 0.3;
+  } else if (event.type === 'entity_alert') {
+    sentiment = lexiconSentiment(event.title);
+  }
+
+  return finish(sentiment, impact);
+}
+
+module.exports = { scoreArticle, scoreOnchainEvent };
@@ -0,0 +1,197 @@
+// TradingView seed repository publisher
+//
+// request.seed() reads daily CSVs from a GitHub seed repository, so this writes
+// two series per symbol into a local git working copy and commits them:
+//
+//   data/<SYMBOL>_EVENTS.csv  open = news count, high = total events,
+//                             low = min(news, onchain), close = onchain count,
+//                             volume = summed on-chain USD
+//   data/<SYMBOL>_SCORE.csv   OHLC of event scores through the day, volume = event count
+//
+// Rows are `YYYYMMDDT,open,high,low,close,volume` (the seed EOD format, no header).
+// Only the last `rewriteDays` days are recomputed; older rows already in the
+// file are kept, since the article pool does not retain that far back.
+// symbol_info/<repo>.json lists every series as the seed format requires.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const log = require('./logger');
+
+const DAY = 86400;
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+function seedDate(dayStart) {
+  return new Date(dayStart * 1000).toISOString().slice(0, 10).replace(/-/g, '') + 'T';
+}
+
+// records: history records for one symbol; returns { EVENTS: row, SCORE: row } per day
+function dailyRows(records, days) {
+  const rows = new Map(days.map(day => [day, {
+    EVENTS: [0, 0, 0, 0, 0],
+    SCORE: [0, 0, 0, 0, 0]
+  }]));
+
+  const byDay = new Map();
+  records.forEach(record => {
+    const day = Math.floor(record.timestamp / DAY) * DAY;
+    if (!rows.has(day)) return;
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(record);
+  });
+
+  byDay.forEach((dayRecords, day) => {
+    dayRecords.sort((a, b) => a.timestamp - b.timestamp);
+    const news = dayRecords.filter(r => r.category === 'NEWS').length;
+    const onchain = dayRecords.length - news;
+    const usd = dayRecords.reduce((sum, r) => sum + (r.category === 'ONCHAIN' ? r.usdValue || 0 : 0), 0);
+    const scores = dayRecords.map(r => r.score || 0);
+
+    rows.set(day, {
+      EVENTS: [news, dayRecords.length, Math.min(news, onchain), onchain, Math.round(usd)],
+      SCORE: [scores[0], Math.max(...scores), Math.min(...scores), scores[scores.length - 1], dayRecords.length]
+    });
+  });
+
+  return rows;
+}
+
+// Existing file rows (date -> line), then recomputed days replace theirs
+function mergeCsv(file, updates) {
+  const lines = new Map();
+  if (fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      lines.set(line.split(',')[0], line);
+    });
+  }
+  updates.forEach((values, date) => lines.set(date, [date, ...values].join(',')));
+  return Array.from(lines.keys()).sort().map(date => lines.get(date)).join('\n') + '\n';
+}
+
+function writeIfChanged(file, content) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return true;
+}
+
+// options: repoDir, symbols() -> string[], records() -> history records,
+// rewriteDays, intervalMs, push, remote, branch, authorName, authorEmail
+function createSeedPublisher(options) {
+  const rewriteDays = options.rewriteDays || 2;
+  let timer = null;
+  let publishing = null;
+  const state = { lastRunAt: null, lastCommit: null, lastPushAt: null, lastError: null, filesChanged: 0 };
+
+  async function publishOnce() {
+    const repoDir = options.repoDir;
+    if (!fs.existsSync(path.join(repoDir, '.git'))) {
+      throw new Error(`Seed repository is not a git working copy: ${repoDir}`);
+    }
+
+    const today = Math.floor(Date.now() / 1000 / DAY) * DAY;
+    const days = Array.from({ length: rewriteDays }, (_, i) => today - (rewriteDays - 1 - i) * DAY);
+    const records = options.records();
+    const symbols = options.symbols();
+    const series = [];
+    let changed = 0;
+
+    symbols.forEach(symbol => {
+      const rows = dailyRows(records.filter(r => r.symbols.includes(symbol)), days);
+      ['EVENTS', 'SCORE'].forEach(kind => {
+        const updates = new Map(days.map(day => [seedDate(day), rows.get(day)[kind]]));
+        const file = path.join(repoDir, 'data', `${symbol}_${kind}.csv`);
+        if (writeIfChanged(file, mergeCsv(file, updates))) changed++;
+        series.push({ name: `${symbol}_${kind}`, description: `${symbol} ${kind === 'EVENTS' ? 'news/on-chain event counts' : 'event sentiment scores'}` });
+      });
+    });
+
+    const symbolInfo = {
+      symbol: series.map(s => s.name),
+      description: series.map(s => s.description),
+      pricescale: series.map(() => 1)
+    };
+    const infoFile = path.join(repoDir, 'symbol_info', `${path.basename(path.resolve(repoDir))}.json`);
+    if (writeIfChanged(infoFile, JSON.stringify(symbolInfo, null, 2) + '\n')) changed++;
+
+    state.lastRunAt = Date.now();
+    state.filesChanged = changed;
+    if (changed === 0) {
+      return { committed: false, filesChanged: 0 };
+    }
+
+    await git(repoDir, ['add', 'data', 'symbol_info']);
+    await git(repoDir, [
+      '-c', `user.name=${options.authorName || 'Crypto Bridge'}`,
+      '-c', `user.email=${options.authorEmail || 'crypto-bridge@localhost'}`,
+      'commit', '-q', '-m', `Update seed data ${new Date().toISOString()}`
+    ]);
+    state.lastCommit = await git(repoDir, ['rev-parse', 'HEAD']);
+    log.info('Seed data committed', { files: changed, commit: state.lastCommit.slice(0, 7) });
+
+    if (options.push) {
+      await git(repoDir, ['push', '-q', options.remote || 'origin', `HEAD:${options.branch || 'master'}`]);
+      state.lastPushAt = Date.now();
+      log.info('Seed data pushed', { remote: options.remote || 'origin', branch: options.branch || 'master' });
+    }
+    return { committed: true, filesChanged: changed, commit: state.lastCommit, pushed: Boolean(options.push) };
+  }
+
+  // Concurrent calls share the run in progress
+  function publish() {
+    if (!publishing) {
+      publishing = publishOnce()
+        .then(result => {
+          state.lastError = null;
+          return result;
+        })
+        .catch(error => {
+          state.lastError = error.message;
+          log.error('Seed publish failed', { error });
+          throw error;
+        })
+        .finally(() => {
+          publishing = null;
+        });
+    }
+    return publishing;
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      timer = setInterval(() => publish().catch(() => {}), options.intervalMs || 60 * 60 * 1000);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    publish,
+    status() {
+      return {
+        running: Boolean(timer),
+        repoDir: options.repoDir,
+        push: Boolean(options.push),
+        lastRunAt: state.lastRunAt ? new Date(state.lastRunAt).toISOString() : null,
+        lastCommit: state.lastCommit,
+        lastPushAt: state.lastPushAt ? new Date(state.lastPushAt).toISOString() : null,
+        lastError: state.lastError,
+        filesChanged: state.filesChanged
+      };
+    }
+  };
+}
+
+module.exports = { createSeedPublisher, dailyRows, seedDate };
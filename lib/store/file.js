@@ -0,0 +1,71 @@
+// File driver: one JSON document per collection under options.dir
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated collection behind.
+//
+// Saves are debounced: a collection changed many times within flushMs
+// (default 1s) is serialized and written once. flush() writes everything
+// pending immediately and also runs when the process exits.
+
+const fs = require('fs');
+const path = require('path');
+const log = require('../logger');
+
+function createFileDriver(options = {}) {
+  const dir = path.resolve(options.dir || './data');
+  const flushMs = options.flushMs !== undefined ? options.flushMs : 1000;
+  const pending = new Map(); // name -> () => current contents
+  let timer = null;
+  fs.mkdirSync(dir, { recursive: true });
+
+  function fileFor(name) {
+    return path.join(dir, `${name}.json`);
+  }
+
+  function write(name, data) {
+    const file = fileFor(name);
+    const tmpFile = `${file}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(data));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      log.error('Could not write store file', { file, error });
+    }
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const names = Array.from(pending.keys());
+    names.forEach(name => {
+      const snapshot = pending.get(name);
+      pending.delete(name);
+      write(name, snapshot());
+    });
+  }
+
+  process.on('exit', flush);
+
+  return {
+    load(name) {
+      const file = fileFor(name);
+      if (!fs.existsSync(file)) return undefined;
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        log.error('Could not read store file, starting empty', { file, error });
+        return undefined;
+      }
+    },
+    // snapshot() returns the collection's contents at write time
+    save(name, snapshot) {
+      pending.set(name, snapshot);
+      if (!timer) {
+        timer = setTimeout(flush, flushMs);
+        timer.unref();
+      }
+    },
+    flush
+  };
+}
+
+module.exports = createFileDriver;
@@ -0,0 +1,165 @@
+// Pluggable storage layer
+// Collections (lists and maps) share one implementation; the driver only
+// decides where their contents are loaded from and saved to. Collections hand
+// the driver a snapshot function so it can defer serializing until it writes.
+
+const createMemoryDriver = require('./memory');
+const createFileDriver = require('./file');
+
+const DRIVERS = {
+  memory: createMemoryDriver,
+  file: createFileDriver
+};
+
+// Newest-first list with optional count and age retention
+function createList(name, driver, options = {}) {
+  const max = options.max || 0;
+  const maxAgeMs = options.maxAgeMs || 0;
+  const timestampOf = options.timestampOf || (item => item.timestamp);
+  let items = driver.load(name) || [];
+  let generation = 0;
+
+  function prune() {
+    if (maxAgeMs) {
+      const cutoff = Date.now() - maxAgeMs;
+      items = items.filter(item => timestampOf(item) >= cutoff);
+    }
+    if (max && items.length > max) {
+      items = items.slice(0, max);
+    }
+  }
+
+  function save() {
+    generation++;
+    driver.save(name, () => items);
+  }
+
+  prune();
+
+  return {
+    get length() {
+      return items.length;
+    },
+    // Increases on every change, so callers can cache values derived from the contents
+    get generation() {
+      return generation;
+    },
+    unshift(item) {
+      items.unshift(item);
+      prune();
+      save();
+    },
+    // Same as unshift() for each item in order (the last ends up first), pruned and saved once
+    unshiftMany(newItems) {
+      if (newItems.length === 0) return;
+      items = newItems.slice().reverse().concat(items);
+      prune();
+      save();
+    },
+    all() {
+      return items.slice();
+    },
+    filter(predicate) {
+      return items.filter(predicate);
+    },
+    find(predicate) {
+      return items.find(predicate);
+    },
+    update(predicate, updater) {
+      let changed = 0;
+      items = items.map(item => {
+        if (!predicate(item)) return item;
+        changed++;
+        return updater(item);
+      });
+      if (changed) save();
+      return changed;
+    },
+    remove(predicate) {
+      const before = items.length;
+      items = items.filter(item => !predicate(item));
+      if (items.length !== before) save();
+      return before - items.length;
+    },
+    clear() {
+      items = [];
+      save();
+    }
+  };
+}
+
+// Key/value collection exposing the subset of the Map API the server uses
+function createMap(name, driver) {
+  const map = new Map(Object.entries(driver.load(name) || {}));
+
+  function save() {
+    driver.save(name, () => Object.fromEntries(map));
+  }
+
+  return {
+    get size() {
+      return map.size;
+    },
+    get(key) {
+      return map.get(key);
+    },
+    has(key) {
+      return map.has(key);
+    },
+    set(key, value) {
+      map.set(key, value);
+      save();
+      return this;
+    },
+    delete(key) {
+      const deleted = map.delete(key);
+      if (deleted) save();
+      return deleted;
+    },
+    clear() {
+      map.clear();
+      save();
+    },
+    keys() {
+      return map.keys();
+    },
+    values() {
+      return map.values();
+    },
+    entries() {
+      return map.entries();
+    }
+  };
+}
+
+function createStore(options = {}) {
+  const driverName = options.driver || 'memory';
+  const createDriver = DRIVERS[driverName];
+  if (!createDriver) {
+    throw new Error(`Unknown store driver: ${driverName}`);
+  }
+
+  const driver = createDriver(options);
+  const collections = new Map();
+
+  function collection(name, factory) {
+    if (!collections.has(name)) {
+      collections.set(name, factory());
+    }
+    return collections.get(name);
+  }
+
+  return {
+    driver: driverName,
+    // Writes pending changes now (the file driver batches them)
+    flush: () => driver.flush(),
+    list(name, listOptions) {
+      return collection(name, () => createList(name, driver, listOptions));
+    },
+    map(name) {
+      return collection(name, () => createMap(name, driver));
+    }
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,13 @@
+// In-memory driver: nothing survives a restart (the original behaviour)
+
+function createMemoryDriver() {
+  return {
+    load() {
+      return undefined;
+    },
+    save() {},
+    flush() {}
+  };
+}
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,192 @@
+// Real-time event streaming over Server-Sent Events and WebSocket
+// Every published message gets a monotonically increasing id and is appended
+// to a bounded log in the store, so clients can resume with Last-Event-ID.
+
+const { WebSocketServer } = require('ws');
+const log = require('./logger');
+
+function parseList(value) {
+  if (!value) return null;
+  const items = (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim().toUpperCase())
+    .filter(Boolean);
+  return items.length > 0 ? new Set(items) : null;
+}
+
+function parseFilters(source) {
+  return {
+    symbols: parseList(source.symbols),
+    categories: parseList(source.categories)
+  };
+}
+
+// options: messageLog (store list), counters (store map), heartbeatMs, matchNews(article, symbol)
+function createEventStream(options) {
+  const messageLog = options.messageLog;
+  const counters = options.counters;
+  const heartbeatMs = options.heartbeatMs || 15000;
+  const matchNews = options.matchNews || (() => false);
+  const clients = new Set();
+
+  function matches(message, filters) {
+    if (filters.categories && !filters.categories.has(message.category)) {
+      return false;
+    }
+    if (!filters.symbols) {
+      return true;
+    }
+    if (message.category === 'NEWS') {
+      return Array.from(filters.symbols).some(symbol => matchNews(message.data, symbol));
+    }
+    return filters.symbols.has(message.symbol) || message.symbol === 'CRYPTO';
+  }
+
+  function deliver(client, message) {
+    if (matches(message, client.filters)) {
+      client.send(message);
+    }
+  }
+
+  // Replay logged messages newer than lastEventId, oldest first
+  function replay(client, lastEventId) {
+    const since = parseInt(lastEventId);
+    if (isNaN(since)) return;
+    messageLog.filter(message => message.id > since)
+      .reverse()
+      .forEach(message => deliver(client, message));
+  }
+
+  function publish(event, category, symbol, data) {
+    const id = (counters.get('streamSeq') || 0) + 1;
+    counters.set('streamSeq', id);
+
+    const message = {
+      id,
+      event,
+      category,
+      symbol,
+      timestamp: Math.floor(Date.now() / 1000),
+      data
+    };
+    messageLog.unshift(message);
+    clients.forEach(client => deliver(client, message));
+    return message;
+  }
+
+  function register(client) {
+    clients.add(client);
+    log.info('Stream client connected', { transport: client.transport, clients: clients.size });
+  }
+
+  function unregister(client) {
+    if (clients.delete(client)) {
+      log.info('Stream client disconnected', { transport: client.transport, clients: clients.size });
+    }
+  }
+
+  // Express handler for GET /stream
+  function sseHandler(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    const client = {
+      transport: 'sse',
+      filters: parseFilters(req.query),
+      send(message) {
+        res.write(`id: ${message.id}\nevent: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`);
+      }
+    };
+
+    replay(client, req.get('Last-Event-ID') || req.query.lastEventId);
+    register(client);
+
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unregister(client);
+    });
+  }
+
+  // Accepts upgrades on `path`; filters come from the query string and can be
+  // changed later with {"type":"subscribe","symbols":[...],"categories":[...]}
+  // authorize(req, query) may return { status, error } to refuse the upgrade
+  function attachWebSocket(server, path = '/stream/ws', authorize) {
+    const wss = new WebSocketServer({
+      server,
+      path,
+      verifyClient: (info, done) => {
+        if (!authorize) return done(true);
+        const query = Object.fromEntries(new URL(info.req.url, 'http://localhost').searchParams);
+        const result = authorize(info.req, query);
+        if (result && result.error) return done(false, result.status, result.error);
+        done(true);
+      }
+    });
+
+    wss.on('connection', (socket, req) => {
+      const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+      const client = {
+        transport: 'websocket',
+        filters: parseFilters(query),
+        send(message) {
+          socket.send(JSON.stringify(message));
+        }
+      };
+
+      socket.isAlive = true;
+      socket.on('pong', () => {
+        socket.isAlive = true;
+      });
+      socket.on('message', raw => {
+        try {
+          const command = JSON.parse(raw.toString());
+          if (command.type === 'subscribe') {
+            client.filters = parseFilters(command);
+            socket.send(JSON.stringify({ event: 'subscribed', filters: {
+              symbols: client.filters.symbols ? Array.from(client.filters.symbols) : null,
+              categories: client.filters.categories ? Array.from(client.filters.categories) : null
+            } }));
+          } else if (command.type === 'resume') {
+            replay(client, command.lastEventId);
+          }
+        } catch (error) {
+          socket.send(JSON.stringify({ event: 'error', message: 'Invalid command' }));
+        }
+      });
+      socket.on('close', () => unregister(client));
+
+      replay(client, query.lastEventId);
+      register(client);
+    });
+
+    // Heartbeat: ping every interval, drop sockets that missed the last pong
+    const heartbeat = setInterval(() => {
+      wss.clients.forEach(socket => {
+        if (!socket.isAlive) {
+          socket.terminate();
+          return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      });
+    }, heartbeatMs);
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+  }
+
+  return {
+    publish,
+    sseHandler,
+    attachWebSocket,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = { createEventStream };
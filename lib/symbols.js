@@ -0,0 +1,158 @@
+// Symbol registry loaded from a JSON config file (config/symbols.json)
+// Each entry: { symbol, name, aliases[], names[], exclude[], caseSensitive?, contracts: { chain: address } }
+//   aliases   tickers; matched case-sensitively unless defaults.tickerCaseSensitive is false
+//   names     full names; matched case-insensitively unless the entry sets caseSensitive
+//   exclude   phrases removed before matching (e.g. "Bitcoin Cash" for BTC, "OP-ED" for OP)
+//   contracts token contract address per chain, used to map Arkham tokens to symbols
+
+const fs = require('fs');
+const path = require('path');
+const log = require('./logger');
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Word-bounded, optionally $-prefixed (cashtags)
+function termPattern(terms, flags) {
+  if (terms.length === 0) return null;
+  const alternation = terms
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  return new RegExp(`(?<![\\w$])\\$?(?:${alternation})(?![\\w])`, flags);
+}
+
+function compileEntry(entry, defaults) {
+  const symbol = entry.symbol.toUpperCase();
+  const aliases = Array.from(new Set([symbol, ...(entry.aliases || []).map(a => a.toUpperCase())]));
+  const names = Array.from(new Set([entry.name, ...(entry.names || [])].filter(Boolean)));
+  const exclude = [...(defaults.excludeWords || []), ...(entry.exclude || [])];
+  const tickerCaseSensitive = entry.caseSensitive !== undefined ? entry.caseSensitive : defaults.tickerCaseSensitive !== false;
+  const tickerPattern = termPattern(aliases, tickerCaseSensitive ? '' : 'i');
+  const namePattern = termPattern(names, entry.caseSensitive ? '' : 'i');
+
+  return {
+    symbol,
+    name: entry.name || symbol,
+    aliases,
+    names,
+    exclude,
+    contracts: entry.contracts || {},
+    caseSensitive: Boolean(entry.caseSensitive),
+    tickerPattern,
+    namePattern,
+    countPatterns: [tickerPattern, namePattern].filter(Boolean).map(pattern => new RegExp(pattern.source, pattern.flags + 'g')),
+    excludePattern: exclude.length > 0 ? new RegExp(exclude.map(escapeRegex).join('|'), 'gi') : null
+  };
+}
+
+function compileRegistry(config) {
+  const defaults = config.defaults || {};
+  const entries = new Map();
+  const byAlias = new Map();
+  const byContract = new Map();
+
+  (config.symbols || []).forEach(raw => {
+    if (!raw.symbol) {
+      throw new Error('Symbol registry entry is missing "symbol"');
+    }
+    const entry = compileEntry(raw, defaults);
+    entries.set(entry.symbol, entry);
+    entry.aliases.forEach(alias => byAlias.set(alias, entry));
+    Object.entries(entry.contracts).forEach(([chain, address]) => {
+      byContract.set(`${chain.toLowerCase()}:${address.toLowerCase()}`, entry);
+    });
+  });
+
+  return { defaults, entries, byAlias, byContract, unknown: new Map() };
+}
+
+function createSymbolRegistry(file) {
+  const configPath = path.resolve(file);
+  let compiled = null;
+  let loadedAt = null;
+  let generation = 0;
+
+  function load() {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    compiled = compileRegistry(config); // Throws before replacing on bad config
+    loadedAt = new Date().toISOString();
+    generation++;
+    log.info('Symbol registry loaded', { symbols: compiled.entries.size, file: configPath });
+  }
+
+  // Unknown symbols still match on their ticker, case-sensitively (compiled once per load)
+  function entryFor(symbol) {
+    const upper = symbol.toUpperCase();
+    const known = compiled.byAlias.get(upper);
+    if (known) return known;
+    if (!compiled.unknown.has(upper)) compiled.unknown.set(upper, compileEntry({ symbol: upper }, compiled.defaults));
+    return compiled.unknown.get(upper);
+  }
+
+  load();
+
+  return {
+    reload: load,
+    get loadedAt() {
+      return loadedAt;
+    },
+    // Increases on every successful load, for callers caching tagging results
+    get generation() {
+      return generation;
+    },
+    get size() {
+      return compiled.entries.size;
+    },
+    has(symbol) {
+      return compiled.byAlias.has(symbol.toUpperCase());
+    },
+    getName(symbol) {
+      return entryFor(symbol).name;
+    },
+    // Search terms for upstream queries (ticker and names)
+    searchTerms(symbol) {
+      const entry = entryFor(symbol);
+      return [entry.symbol, ...entry.names];
+    },
+    matches(text, symbol) {
+      return this.countMatches(text, symbol) > 0;
+    },
+    // Number of ticker/name occurrences, after removing excluded phrases
+    countMatches(text, symbol) {
+      const entry = entryFor(symbol);
+      const cleaned = entry.excludePattern ? (text || '').replace(entry.excludePattern, ' ') : (text || '');
+      return entry.countPatterns.reduce((count, pattern) => count + (cleaned.match(pattern) || []).length, 0);
+    },
+    symbols() {
+      return Array.from(compiled.entries.keys());
+    },
+    // Canonical symbol for an on-chain token: contract address first, then ticker alias
+    resolveToken({ symbol, chain, tokenAddress }) {
+      if (chain && tokenAddress) {
+        const entry = compiled.byContract.get(`${chain.toLowerCase()}:${tokenAddress.toLowerCase()}`);
+        if (entry) return entry.symbol;
+      }
+      if (symbol) {
+        const entry = compiled.byAlias.get(symbol.toUpperCase());
+        return entry ? entry.symbol : symbol.toUpperCase();
+      }
+      return null;
+    },
+    list() {
+      return Array.from(compiled.entries.values()).map(entry => ({
+        symbol: entry.symbol,
+        name: entry.name,
+        aliases: entry.aliases,
+        names: entry.names,
+        exclude: entry.exclude,
+        caseSensitive: entry.caseSensitive,
+        contracts: entry.contracts
+      }));
+    }
+  };
+}
+
+module.exports = { createSymbolRegistry };
@@ -0,0 +1,32 @@
+// Multi-symbol tagging and relevance ranking for news articles
+// Relevance (0-100) weighs where a symbol appears: a title mention dominates,
+// description and content mentions add progressively less, with caps so long
+// articles cannot outrank a headline.
+
+const WEIGHTS = {
+  title: { first: 50, each: 10, max: 60 },
+  description: { first: 8, each: 8, max: 24 },
+  content: { first: 4, each: 4, max: 16 }
+};
+
+function fieldScore(count, weight) {
+  if (count === 0) return 0;
+  return Math.min(weight.max, weight.first + (count - 1) * weight.each);
+}
+
+// Returns [{ symbol, relevance }] for every candidate symbol found, most relevant first
+function tagArticle(article, candidates, symbolRegistry) {
+  const tags = [];
+  candidates.forEach(symbol => {
+    const relevance =
+      fieldScore(symbolRegistry.countMatches(article.title || '', symbol), WEIGHTS.title) +
+      fieldScore(symbolRegistry.countMatches(article.description || '', symbol), WEIGHTS.description) +
+      fieldScore(symbolRegistry.countMatches(article.content || '', symbol), WEIGHTS.content);
+    if (relevance > 0) {
+      tags.push({ symbol, relevance: Math.min(100, relevance) });
+    }
+  });
+  return tags.sort((a, b) => b.relevance - a.relevance);
+}
+
+module.exports = { tagArticle };
@@ -0,0 +1,54 @@
+// Arkham-shaped test payloads for /test-webhook and the dashboard inject form
+// With no fields this is the original fixture: a $5M BTC transfer between two
+// bare addresses. Fields override it; empty strings count as "not given".
+
+const DEFAULTS = {
+  type: 'transfer',
+  token: 'BTC',
+  usdValue: 5000000,
+  from: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
+  to: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2',
+  alertName: 'Large BTC Transfer Alert'
+};
+
+function party(address, entity) {
+  return entity ? { address: address || null, arkhamEntity: { name: entity } } : address;
+}
+
+function buildTestPayload(fields = {}) {
+  const given = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') given[key] = String(value).trim();
+  });
+  const f = { ...DEFAULTS, ...given };
+
+  if (f.type === 'entity_alert') {
+    return {
+      alert: { name: f.alertName, type: 'entity' },
+      entity: { name: f.entity || 'Test Entity' },
+      message: f.message || 'Test entity alert',
+      ...(given.token && { tokenSymbol: f.token })
+    };
+  }
+  if (f.type !== 'transfer') {
+    throw new Error(`Unsupported test event type: ${f.type}`);
+  }
+
+  const usdValue = Number(f.usdValue);
+  if (isNaN(usdValue)) {
+    throw new Error('usdValue must be a number');
+  }
+  const transaction = {
+    usdValue,
+    token: f.token.toUpperCase(),
+    from: party(f.from, f.fromEntity),
+    to: party(f.to, f.toEntity)
+  };
+  if (f.amount !== undefined) transaction.amount = Number(f.amount);
+  if (f.chain) transaction.chain = f.chain;
+  if (f.txHash) transaction.transactionHash = f.txHash;
+
+  return { transaction, alert: { name: f.alertName } };
+}
+
+module.exports = { buildTestPayload, TEST_EVENT_DEFAULTS: DEFAULTS };
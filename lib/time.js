@@ -0,0 +1,112 @@
+// Timestamp parsing and feed timeframes
+//
+// Providers disagree on time formats: Newsdata sends "2024-03-01 10:00:00"
+// in UTC with no zone marker, RSS uses RFC 2822 and Arkham ISO 8601 or unix
+// seconds. Everything here is interpreted in UTC unless the value names its
+// own zone, so results never depend on the server's TZ.
+//
+// Timeframes accept plain hours ("24", the original format), a unit suffix
+// ("30m", "2h", "1d", "1w") or an ISO 8601 duration ("PT90M", "P1DT12H").
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_TIMEFRAME_MS = DAY_MS;
+
+const UNIT_MS = { m: MINUTE_MS, min: MINUTE_MS, h: HOUR_MS, d: DAY_MS, w: 7 * DAY_MS };
+
+// "2024-03-01 10:00", "2024-03-01T10:00:00.123" with an optional zone
+const ISO_LIKE = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(Z|UTC|GMT|[+-]\d{2}:?\d{2})?$/i;
+// Trailing zone in free-form dates such as RFC 2822 ("... +0000", "... GMT", "... EST")
+const HAS_ZONE = /(?:\b(?:Z|UTC|GMT|[ECMP][SD]T)|[+-]\d{2}:?\d{2})$/i;
+
+function normalizeOffset(zone) {
+  if (!zone || /^(Z|UTC|GMT)$/i.test(zone)) return 'Z';
+  return zone.includes(':') ? zone : `${zone.slice(0, 3)}:${zone.slice(3)}`;
+}
+
+// Unix seconds, milliseconds, Date or date string -> epoch milliseconds, or null
+// when the value is missing or unparsable. Zone-less strings are UTC.
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const numeric = Number(text);
+    return numeric > 1e12 ? Math.floor(numeric) : Math.floor(numeric * 1000);
+  }
+
+  const iso = text.match(ISO_LIKE);
+  if (iso) {
+    const parsed = Date.parse(`${iso[1]}T${iso[2]}${normalizeOffset(iso[3])}`);
+    return isNaN(parsed) ? null : parsed;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const parsed = Date.parse(text); // Date-only ISO strings are already UTC
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  const parsed = Date.parse(HAS_ZONE.test(text) ? text : `${text} GMT`);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Publication time of a provider article in epoch milliseconds; undated
+// articles fall back to when they were fetched, or null
+function articleTime(article) {
+  const published = parseTimestamp(article.pubDate || article.published_at);
+  if (published !== null) return published;
+  return article.fetchedAt || null;
+}
+
+// Timeframe query value -> window length in milliseconds; throws on bad input
+function parseTimeframe(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return DEFAULT_TIMEFRAME_MS;
+  const text = String(value).trim();
+
+  let ms = null;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    ms = Number(text) * HOUR_MS;
+  } else {
+    const unit = text.match(/^(\d+(?:\.\d+)?)\s*(min|m|h|d|w)$/i);
+    const iso = text.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (unit) {
+      ms = Number(unit[1]) * UNIT_MS[unit[2].toLowerCase()];
+    } else if (iso && /\d/.test(text)) {
+      const [weeks, days, hours, minutes, seconds] = iso.slice(1).map(part => Number(part) || 0);
+      ms = weeks * 7 * DAY_MS + days * DAY_MS + hours * HOUR_MS + minutes * MINUTE_MS + seconds * 1000;
+    }
+  }
+
+  if (!ms || ms < MINUTE_MS) {
+    throw new Error(`Invalid timeframe: ${value} (use hours, 30m/2h/1d/1w or an ISO 8601 duration such as PT90M)`);
+  }
+  return Math.round(ms);
+}
+
+// Window length -> shortest exact form ("1d", "36h", "90m", "45s"), used as a canonical cache key part
+function formatTimeframe(ms) {
+  if (ms % DAY_MS === 0) return `${ms / DAY_MS}d`;
+  if (ms % HOUR_MS === 0) return `${ms / HOUR_MS}h`;
+  if (ms % MINUTE_MS === 0) return `${ms / MINUTE_MS}m`;
+  return `${Math.round(ms / 1000)}s`;
+}
+
+// Articles published within the window ending now. Undated articles are kept:
+// they are stamped with their fetch time, which is inside the window.
+function filterToWindow(articles, windowMs, now = Date.now()) {
+  const sinceMs = now - windowMs;
+  return articles.filter(article => {
+    const time = parseTimestamp(article.pubDate || article.published_at);
+    return time === null || time >= sinceMs;
+  });
+}
+
+module.exports = {
+  parseTimestamp,
+  articleTime,
+  parseTimeframe,
+  formatTimeframe,
+  filterToWindow,
+  DEFAULT_TIMEFRAME_MS
+};
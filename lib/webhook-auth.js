@@ -0,0 +1,132 @@
+// Webhook authentication: HMAC signatures, timestamp tolerance, replay
+// rejection and an optional source IP allowlist.
+//
+// Senders sign `${timestamp}.${rawBody}`; the timestamp header is required
+// whenever a secret is set, so every signature expires with its tolerance
+// window. The signature header may carry a bare hex digest or an
+// `<algorithm>=<hex>` prefix (GitHub style). A signature is accepted once:
+// replaying a captured delivery fails until its timestamp falls out of tolerance.
+
+const crypto = require('crypto');
+
+function normalizeIp(ip) {
+  if (!ip) return '';
+  return ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(p => isNaN(p) || p < 0 || p > 255)) return null;
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+// Allowlist entries are exact addresses or IPv4 CIDR ranges
+function ipAllowed(ip, allowlist) {
+  const address = normalizeIp(ip);
+  return allowlist.some(entry => {
+    if (!entry.includes('/')) return normalizeIp(entry) === address;
+    const [range, bits] = entry.split('/');
+    const rangeInt = ipv4ToInt(range);
+    const addressInt = ipv4ToInt(address);
+    const prefix = parseInt(bits);
+    if (rangeInt === null || addressInt === null || isNaN(prefix)) return false;
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    return (rangeInt & mask) === (addressInt & mask);
+  });
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const numeric = Number(value);
+  if (!isNaN(numeric)) {
+    // Accept both seconds and milliseconds
+    return numeric > 1e12 ? Math.floor(numeric / 1000) : Math.floor(numeric);
+  }
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : Math.floor(parsed / 1000);
+}
+
+// options: secret, signatureHeader, algorithm, timestampHeader,
+// toleranceSeconds, ipAllowlist (array), nonceStore (Map-like, signature -> expiry)
+function createWebhookVerifier(options = {}) {
+  const algorithm = (options.algorithm || 'sha256').toLowerCase();
+  const signatureHeader = (options.signatureHeader || 'x-signature').toLowerCase();
+  const timestampHeader = (options.timestampHeader || 'x-timestamp').toLowerCase();
+  const toleranceSeconds = options.toleranceSeconds || 300;
+  const ipAllowlist = options.ipAllowlist || [];
+  const nonceStore = options.nonceStore || new Map();
+
+  // Fail at startup rather than on the first delivery
+  crypto.createHmac(algorithm, 'probe');
+
+  function pruneNonces(now) {
+    for (const [nonce, expiresAt] of nonceStore.entries()) {
+      if (expiresAt <= now) nonceStore.delete(nonce);
+    }
+  }
+
+  function reject(status, reason) {
+    return { ok: false, status, reason };
+  }
+
+  function verify(req) {
+    if (ipAllowlist.length > 0 && !ipAllowed(req.ip, ipAllowlist)) {
+      return reject(403, `Source IP ${normalizeIp(req.ip)} not in allowlist`);
+    }
+
+    if (!options.secret) {
+      return { ok: true };
+    }
+
+    const provided = req.get(signatureHeader);
+    if (!provided) {
+      return reject(401, `Missing ${signatureHeader} header`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const timestampValue = req.get(timestampHeader);
+    if (!timestampValue) {
+      return reject(401, `Missing ${timestampHeader} header`);
+    }
+    const timestamp = parseTimestamp(timestampValue);
+    if (timestamp === null) {
+      return reject(401, `Unparseable ${timestampHeader} header`);
+    }
+    if (Math.abs(now - timestamp) > toleranceSeconds) {
+      return reject(401, `Timestamp outside ${toleranceSeconds}s tolerance`);
+    }
+
+    const signedPayload = `${timestampValue}.${req.rawBody ? req.rawBody.toString('utf8') : ''}`;
+    const expected = crypto.createHmac(algorithm, options.secret).update(signedPayload).digest('hex');
+    const signature = (provided.includes('=') ? provided.split('=').pop() : provided).toLowerCase();
+    if (!safeEqual(signature, expected)) {
+      return reject(401, 'Signature mismatch');
+    }
+
+    // Replay protection keyed on the signature, which covers timestamp and body.
+    // It is remembered until the timestamp leaves the tolerance window, after
+    // which the timestamp check rejects it anyway.
+    pruneNonces(now);
+    if (nonceStore.has(signature)) {
+      return reject(409, 'Replayed delivery (signature already seen)');
+    }
+    nonceStore.set(signature, timestamp + toleranceSeconds + 1);
+
+    return { ok: true };
+  }
+
+  return { verify, enabled: Boolean(options.secret), ipAllowlist };
+}
+
+// Helper for senders and tests
+function signPayload(secret, body, timestamp, algorithm = 'sha256') {
+  return crypto.createHmac(algorithm, secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+module.exports = { createWebhookVerifier, signPayload, ipAllowed };
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Local stand-in for an HTTP price API, serving a price file (CSV or JSON,
+// see lib/prices/file.js) in the format PRICE_SOURCE=http expects.
+//
+//   npm run price-stub -- --file data/prices.csv --port 4100
+//   PRICE_SOURCE=http PRICE_API_URL='http://127.0.0.1:4100/price?symbol={symbol}&time={time}' npm start
+//
+// GET /price?symbol=BTC&time=<unix seconds> answers with the points from
+// --window-days (default 30) before the time up to one day after it.
+
+const http = require('http');
+const { createFilePriceSource } = require('../lib/prices/file');
+
+function parseArgs(argv) {
+  const options = { file: 'data/prices.csv', port: 4100, windowDays: 30 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--file') options.file = next();
+    else if (arg === '--port') options.port = parseInt(next());
+    else if (arg === '--window-days') options.windowDays = parseInt(next());
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const source = createFilePriceSource({ file: options.file });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const symbol = (url.searchParams.get('symbol') || '').toUpperCase();
+    const at = parseInt(url.searchParams.get('time')) || Math.floor(Date.now() / 1000);
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname !== '/price' || !symbol) {
+      return send(404, { error: 'Use GET /price?symbol=&time=' });
+    }
+    try {
+      const points = (await source.series(symbol))
+        .filter(p => p.time >= at - options.windowDays * 86400 && p.time <= at + 86400)
+        .map(({ time, price, volume }) => ({ time, price, volume }));
+      send(200, { symbol, points }); // Empty when the symbol or time is not covered
+    } catch (error) {
+      send(500, { error: error.message });
+    }
+  });
+
+  server.listen(options.port, () => {
+    console.log(`price-stub: serving ${options.file} on http://127.0.0.1:${options.port}/price`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`price-stub: ${error.message}`);
+  process.exit(1);
+}
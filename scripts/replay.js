@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Replay archived Arkham webhook payloads through the running server's current
+// normalizer and print how stored events would change.
+//
+//   npm run replay -- --from 2024-03-01 --to 2024-03-02
+//   npm run replay -- --id <archive id> --id <archive id> --apply
+//
+// Options: --from, --to (unix seconds or ISO; default the last 24h), --id (repeatable),
+// --apply (write corrections), --all (list unchanged results too),
+// --url (default BRIDGE_URL or http://localhost:3000), --key (default ADMIN_API_KEY)
+
+const fetch = require('node-fetch');
+
+function parseArgs(argv) {
+  const options = { ids: [], apply: false, all: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--from') options.from = next();
+    else if (arg === '--to') options.to = next();
+    else if (arg === '--id') options.ids.push(next());
+    else if (arg === '--apply') options.apply = true;
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--url') options.url = next();
+    else if (arg === '--key') options.key = next();
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  return options;
+}
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function printResult(result) {
+  const target = result.storedId || (result.event && result.event.id) || '';
+  console.log(`${result.receivedAt}  ${result.status.padEnd(12)} ${result.archiveId}  ${target}${result.applied ? '  (applied)' : ''}`);
+  if (result.reason) console.log(`    reason: ${result.reason}`);
+  if (result.status === 'new' || result.status === 'expired') {
+    console.log(`    ${result.event.symbol}: ${result.event.title}`);
+  }
+  Object.entries(result.diff || {}).forEach(([field, change]) => {
+    console.log(`    ${field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const url = (options.url || process.env.BRIDGE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const key = options.key || process.env.ADMIN_API_KEY;
+
+  const response = await fetch(`${url}/admin/replay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(key && { 'X-API-Key': key }) },
+    body: JSON.stringify({
+      from: options.from,
+      to: options.to,
+      ids: options.ids.length > 0 ? options.ids : undefined,
+      apply: options.apply,
+      includeUnchanged: options.all
+    })
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${response.status}: ${body.error || response.statusText}`);
+  }
+
+  body.results.forEach(printResult);
+  const summary = Object.entries(body.summary).map(([status, count]) => `${status} ${count}`).join(', ');
+  console.log(`\n${body.records} payloads replayed: ${summary || 'nothing to do'}`);
+  console.log(options.apply ? `${body.applied} corrections applied` : 'Dry run; pass --apply to write corrections');
+}
+
+main().catch(error => {
+  console.error(`replay: ${error.message}`);
+  process.exit(1);
+});
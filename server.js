@@ -1,311 +1,677 @@
 // Crypto News Bridge Server - Complete Phase 2: Newsdata.io + Arkham Integration
 // All bugs fixed, ready for production deployment
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const log = require('./lib/logger');
 const express = require('express');
-const fetch = require('node-fetch');
 const cors = require('cors');
+const { createStore } = require('./lib/store');
+const { createWebhookVerifier } = require('./lib/webhook-auth');
+const { createNewsProviders, fetchFromProviders, normalizeUrl, normalizeTitle } = require('./lib/providers');
+const { normalizeArkhamPayload, formatUsd } = require('./lib/arkham');
+const { createEventStream } = require('./lib/stream');
+const { scoreArticle, scoreOnchainEvent } = require('./lib/scoring');
+const { createSymbolRegistry } = require('./lib/symbols');
+const { tagArticle } = require('./lib/tagging');
+const { createAlertEngine, createAlertRouter } = require('./lib/alerts');
+const { createAuth, createKeyRouter } = require('./lib/auth');
+const { createArticlePool, articleKey, keywordMatcher } = require('./lib/article-pool');
+const { createNewsScheduler } = require('./lib/scheduler');
+const { createCache, normalizeCacheKey } = require('./lib/cache');
+const history = require('./lib/history');
+const backtest = require('./lib/backtest');
+const pinescript = require('./lib/pinescript');
+const { createSeedPublisher } = require('./lib/seed-publisher');
+const { clusterOnchainEvents, clusterArticles } = require('./lib/clustering');
+const { createMetrics } = require('./lib/metrics');
+const { createDashboardRouter } = require('./lib/dashboard');
+const { buildTestPayload, TEST_EVENT_DEFAULTS } = require('./lib/test-events');
+const { createPayloadArchive } = require('./lib/payload-archive');
+const replay = require('./lib/replay');
+const time = require('./lib/time');
+const { createProfileStore, createProfileRouter } = require('./lib/profiles');
+const { createPriceService } = require('./lib/prices');
+
+const { createConfig } = require('./lib/config');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Configuration
-const CONFIG = {
-  NEWSDATA_API_KEY: process.env.NEWSDATA_API_KEY || 'your_api_key_here',
-  CACHE_DURATION: 30 * 60 * 1000, // 30 minutes in milliseconds
-  MAX_REQUESTS_PER_DAY: 200,
-  MAX_RESULTS_PER_REQUEST: 10,
-  BASE_URL: 'https://newsdata.io/api/1/news' // FIXED: Using regular news endpoint
-};
 
-// In-memory cache and request tracking
-let cache = new Map();
-let dailyRequestCount = 0;
-let lastResetDate = new Date().toDateString();
+// Configuration: defaults < CONFIG_FILE (JSON) < environment, see lib/config.js
+let config;
+try {
+  config = createConfig({
+    file: process.env.CONFIG_FILE || './config/bridge.json',
+    fileRequired: Boolean(process.env.CONFIG_FILE)
+  });
+} catch (error) {
+  if (require.main !== module) throw error; // Embedders (tests) see the full message
+  log.error(error.message);
+  process.exit(1);
+}
+const CONFIG = config.values; // Reloadable settings change in place
+const PORT = CONFIG.PORT;
+
+function clusterOptions() {
+  return {
+    onchainWindowSeconds: CONFIG.CLUSTER_ONCHAIN_WINDOW_SECONDS,
+    amountTolerance: CONFIG.CLUSTER_AMOUNT_TOLERANCE,
+    newsWindowSeconds: CONFIG.CLUSTER_NEWS_WINDOW_HOURS * 3600,
+    titleSimilarity: CONFIG.CLUSTER_TITLE_SIMILARITY
+  };
+}
+
+log.configure({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT });
+const CLUSTER_OPTIONS = clusterOptions();
+
+// Settings captured in objects at startup are refreshed here on reload
+config.onReload(changed => {
+  if (changed.some(key => key.startsWith('LOG_'))) {
+    log.configure({ level: CONFIG.LOG_LEVEL, format: CONFIG.LOG_FORMAT });
+  }
+  if (changed.some(key => key.startsWith('CLUSTER_'))) {
+    Object.assign(CLUSTER_OPTIONS, clusterOptions());
+  }
+});
+
+// Storage backend (memory by default, file for persistence across restarts)
+const store = createStore({
+  driver: CONFIG.STORE_DRIVER,
+  dir: CONFIG.STORE_DIR
+});
 
-// In-memory storage for Arkham webhook events
-let arkhamEvents = [];
-const MAX_ARKHAM_EVENTS = 100; // Keep last 100 events
+// News cache (LRU + stale-while-revalidate) and per-provider request tracking
+const cache = createCache({
+  backing: store.map('newsCache'),
+  ttlMs: CONFIG.CACHE_DURATION,
+  staleTtlMs: CONFIG.CACHE_STALE_DURATION,
+  maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+  maxBytes: CONFIG.CACHE_MAX_BYTES
+});
+const counters = store.map('counters');
+
+// Arkham webhook events (timestamps are in seconds); retention runs on ingest
+// time so late deliveries of old on-chain events are not pruned on arrival
+const arkhamEvents = store.list('arkhamEvents', {
+  max: CONFIG.ARKHAM_EVENT_RETENTION,
+  maxAgeMs: CONFIG.ARKHAM_EVENT_MAX_AGE_HOURS * 60 * 60 * 1000,
+  timestampOf: event => (event.ingestedAt || event.timestamp) * 1000
+});
 
 // Store raw webhooks for debugging
-let rawWebhooks = [];
-const MAX_RAW_WEBHOOKS = 10;
+const rawWebhooks = store.list('rawWebhooks', {
+  max: CONFIG.RAW_WEBHOOK_RETENTION
+});
+
+// Append-only archive of every webhook payload (JSON Lines per day), replayable via /admin/replay
+const payloadArchive = CONFIG.RAW_ARCHIVE_ENABLED
+  ? createPayloadArchive({ dir: CONFIG.RAW_ARCHIVE_DIR, retentionDays: CONFIG.RAW_ARCHIVE_RETENTION_DAYS })
+  : null;
+
+// Symbol registry (tickers, names, aliases, contracts) used for news matching and token mapping
+const symbolRegistry = createSymbolRegistry(CONFIG.SYMBOLS_FILE);
+
+// PineScript output profiles (?profile=), built on the default line format
+const pineProfiles = pinescript.createProfiles(
+  fs.existsSync(CONFIG.PINESCRIPT_PROFILES_FILE) ? JSON.parse(fs.readFileSync(CONFIG.PINESCRIPT_PROFILES_FILE, 'utf8')) : {}
+);
+
+// News providers, each with its own key and daily quota
+const PROVIDER_SPECS = {
+  newsdata: {
+    type: 'newsdata',
+    apiKey: CONFIG.NEWSDATA_API_KEY,
+    baseUrl: CONFIG.BASE_URL,
+    maxRequestsPerDay: CONFIG.MAX_REQUESTS_PER_DAY
+  },
+  cryptopanic: {
+    type: 'cryptopanic',
+    apiKey: CONFIG.CRYPTOPANIC_API_KEY,
+    baseUrl: CONFIG.CRYPTOPANIC_BASE_URL,
+    maxRequestsPerDay: CONFIG.CRYPTOPANIC_MAX_REQUESTS_PER_DAY
+  },
+  rss: {
+    type: 'rss',
+    feeds: CONFIG.RSS_FEEDS,
+    maxRequestsPerDay: CONFIG.RSS_MAX_REQUESTS_PER_DAY
+  }
+};
+
+const newsProviders = createNewsProviders(
+  CONFIG.NEWS_PROVIDERS.map(name => PROVIDER_SPECS[name] || { type: name }),
+  { counters, symbolRegistry }
+);
+
+// Live event stream (SSE + WebSocket), resumable from the stored message log
+const streamLog = store.list('streamEvents', { max: CONFIG.STREAM_REPLAY_RETENTION });
+const eventStream = createEventStream({
+  messageLog: streamLog,
+  counters,
+  heartbeatMs: CONFIG.STREAM_HEARTBEAT_MS,
+  matchNews: articleMentionsSymbol
+});
+
+// API keys with read/admin/webhook scopes, rate limits and usage counters
+const auth = createAuth({
+  keys: store.map('apiKeys'),
+  counters,
+  enabled: CONFIG.AUTH_ENABLED,
+  adminKey: CONFIG.ADMIN_API_KEY,
+  defaultRateLimitPerMinute: CONFIG.RATE_LIMIT_PER_MINUTE,
+  defaultUpstreamPerDay: CONFIG.CLIENT_UPSTREAM_PER_DAY
+});
+// With auth on, someone must be able to reach the admin endpoints
+try {
+  config.validate({
+    storedAdminKey: () => auth.listKeys().some(key => key.scopes.includes('admin') && !key.disabled)
+  });
+} catch (error) {
+  if (require.main !== module) throw error;
+  log.error(error.message);
+  process.exit(1);
+}
+const requireRead = auth.requireScope('read');
+const requireAdmin = auth.requireScope('admin');
+const requireWebhook = auth.requireScope('webhook');
+
+// Prices token amounts at event time and sizes events against typical volume
+const priceService = CONFIG.PRICE_SOURCE ? createPriceService({
+  source: { type: CONFIG.PRICE_SOURCE, file: CONFIG.PRICE_FILE, url: CONFIG.PRICE_API_URL, apiKey: CONFIG.PRICE_API_KEY },
+  maxAgeSeconds: CONFIG.PRICE_MAX_AGE_HOURS * 3600,
+  volumeWindowDays: CONFIG.PRICE_VOLUME_WINDOW_DAYS
+}) : null;
+
+// Saved feed profiles owned by API keys
+const feedProfiles = createProfileStore({
+  profiles: store.map('feedProfiles'),
+  maxSymbols: CONFIG.PROFILE_MAX_SYMBOLS,
+  maxPerOwner: CONFIG.PROFILE_MAX_PER_CLIENT,
+  pineProfileNames: () => Object.keys(pineProfiles)
+});
+
+// Alert rules forwarding matching events to outbound webhooks
+const alertDeliveries = store.list('alertDeliveries', {
+  max: CONFIG.ALERT_DELIVERY_RETENTION,
+  timestampOf: delivery => delivery.createdAt
+});
+const alertEngine = createAlertEngine({
+  rules: store.map('alertRules'),
+  deliveries: alertDeliveries,
+  maxAttempts: CONFIG.ALERT_MAX_ATTEMPTS,
+  baseDelayMs: CONFIG.ALERT_RETRY_BASE_MS
+});
+
+// Shared pool of every fetched article, filled by the scheduler and on-demand fetches
+const articlePool = createArticlePool(
+  store.list('articlePool', {
+    max: CONFIG.ARTICLE_POOL_RETENTION,
+    maxAgeMs: CONFIG.ARTICLE_POOL_MAX_AGE_HOURS * 60 * 60 * 1000,
+    timestampOf: article => article.fetchedAt
+  }),
+  articleMentionsSymbol
+);
+
+// Background polling of configured watchlists into the pool
+const newsScheduler = createNewsScheduler({
+  watchlists: CONFIG.SCHEDULER_ENABLED ? JSON.parse(fs.readFileSync(CONFIG.WATCHLISTS_FILE, 'utf8')) : [],
+  providers: newsProviders,
+  reserve: CONFIG.SCHEDULER_RESERVE_REQUESTS,
+  minIntervalMs: CONFIG.SCHEDULER_MIN_INTERVAL_MINUTES * 60 * 1000,
+  maxIntervalMs: CONFIG.SCHEDULER_MAX_INTERVAL_MINUTES * 60 * 1000,
+  poll: async watchlist => {
+    const sizeBefore = articlePool.size;
+    const articles = await fetchNewsFromAPI(watchlist.symbols, watchlist.keywords, watchlist.timeframe);
+    return { articles: articles.length, newArticles: articlePool.size - sizeBefore };
+  }
+});
+
+// Daily per-symbol CSVs committed to a TradingView seed repository
+const seedPublisher = createSeedPublisher({
+  repoDir: CONFIG.SEED_REPO_DIR,
+  symbols: () => CONFIG.SEED_SYMBOLS.length > 0 ? CONFIG.SEED_SYMBOLS : symbolRegistry.symbols(),
+  records: () => getEventRecords(),
+  rewriteDays: CONFIG.SEED_REWRITE_DAYS,
+  intervalMs: CONFIG.SEED_PUBLISH_INTERVAL_MINUTES * 60 * 1000,
+  push: CONFIG.SEED_PUSH,
+  remote: CONFIG.SEED_REMOTE,
+  branch: CONFIG.SEED_BRANCH
+});
+
+// Articles already pushed to the stream (key -> first seen ms), pruned after 48h
+const seenArticles = store.map('seenArticles');
+const SEEN_ARTICLE_TTL = 48 * 60 * 60 * 1000;
+
+// On-chain times further ahead of receipt than this are distrusted in favour of ingest time
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+// Webhook signature verification (seen signatures persisted so replays fail across restarts)
+const webhookVerifier = createWebhookVerifier({
+  secret: CONFIG.WEBHOOK_SECRET,
+  signatureHeader: CONFIG.WEBHOOK_SIGNATURE_HEADER,
+  algorithm: CONFIG.WEBHOOK_SIGNATURE_ALGORITHM,
+  timestampHeader: CONFIG.WEBHOOK_TIMESTAMP_HEADER,
+  toleranceSeconds: CONFIG.WEBHOOK_TOLERANCE_SECONDS,
+  ipAllowlist: CONFIG.WEBHOOK_IP_ALLOWLIST,
+  nonceStore: store.map('webhookNonces')
+});
+
+// Prometheus metrics; sizes and upstream totals are read at scrape time
+const metrics = createMetrics({ prefix: 'crypto_bridge_' });
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route');
+const webhookIngest = metrics.counter('webhook_ingest_total', 'Arkham webhook deliveries by outcome');
+metrics.counter('cache_lookups_total', 'News cache lookups by result', () => {
+  const stats = cache.stats();
+  return [
+    { labels: { result: 'hit' }, value: stats.hits },
+    { labels: { result: 'stale' }, value: stats.staleHits },
+    { labels: { result: 'miss' }, value: stats.misses },
+    { labels: { result: 'coalesced' }, value: stats.coalesced },
+    { labels: { result: 'stale_on_error' }, value: stats.staleOnError }
+  ];
+});
+metrics.gauge('cache_hit_ratio', 'Share of cache lookups answered from cache (fresh or stale)', () => cache.stats().hitRatio);
+metrics.gauge('cache_bytes', 'Approximate size of cached articles', () => cache.stats().bytes);
+metrics.counter('upstream_requests_total', 'Upstream news API calls by provider and outcome', () =>
+  newsProviders.flatMap(provider => {
+    const health = provider.health();
+    return [
+      { labels: { provider: provider.name, outcome: 'success' }, value: health.calls - health.errors },
+      { labels: { provider: provider.name, outcome: 'error' }, value: health.errors }
+    ];
+  }));
+metrics.gauge('upstream_quota_remaining', 'Requests left in the daily quota', () =>
+  newsProviders.map(provider => ({ labels: { provider: provider.name }, value: provider.quota.remaining() })));
+metrics.gauge('upstream_error_rate', 'Share of recent upstream calls that failed', () =>
+  newsProviders.map(provider => ({ labels: { provider: provider.name }, value: provider.health().errorRate })));
+metrics.gauge('upstream_last_success_timestamp_seconds', 'Unix time of the last successful upstream call', () =>
+  newsProviders
+    .filter(provider => provider.health().lastSuccessAt)
+    .map(provider => ({ labels: { provider: provider.name }, value: Math.floor(provider.health().lastSuccessAt / 1000) })));
+metrics.gauge('buffer_size', 'Entries held in each event buffer', () => [
+  { labels: { buffer: 'arkham_events' }, value: arkhamEvents.length },
+  { labels: { buffer: 'raw_webhooks' }, value: rawWebhooks.length },
+  { labels: { buffer: 'article_pool' }, value: articlePool.size },
+  { labels: { buffer: 'stream_log' }, value: streamLog.length },
+  { labels: { buffer: 'alert_deliveries' }, value: alertDeliveries.length },
+  { labels: { buffer: 'news_cache' }, value: cache.size }
+]);
+metrics.gauge('stream_clients', 'Connected SSE and WebSocket clients', () => eventStream.clientCount());
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.floor(process.uptime()));
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' })); // Increase limit for webhook payloads
+if (CONFIG.TRUST_PROXY) {
+  app.set('trust proxy', CONFIG.TRUST_PROXY === 'true' ? true : CONFIG.TRUST_PROXY);
+}
+// Request IDs (honours an incoming X-Request-Id), access log and latency histogram
+app.use((req, res, next) => {
+  const requestId = String(req.headers['x-request-id'] || '').slice(0, 64) || log.newRequestId();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : (req.baseUrl || 'unmatched');
+    httpDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    log.runWithContext({ requestId }, () => {
+      log[res.statusCode >= 500 ? 'error' : 'info']('Request completed', {
+        method: req.method,
+        path: req.path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        client: req.apiClient ? req.apiClient.id : undefined
+      });
+    });
+  });
+
+  log.runWithContext({ requestId }, next);
+});
+app.use(cors((req, callback) => callback(null, CONFIG.CORS_ORIGINS.length > 0 ? { origin: CONFIG.CORS_ORIGINS } : {})));
+app.use(express.json({
+  limit: '10mb', // Increase limit for webhook payloads
+  verify: (req, res, buf) => {
+    req.rawBody = buf; // Kept for webhook signature verification
+  }
+}));
+
+// Test endpoints only exist in dev mode
+function requireDevMode(req, res, next) {
+  if (!CONFIG.DEV_MODE) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  next();
+}
 
 // Helper Functions
 function resetDailyCountIfNeeded() {
-  const today = new Date().toDateString();
-  if (today !== lastResetDate) {
-    dailyRequestCount = 0;
-    lastResetDate = today;
-    console.log(`[${new Date().toISOString()}] Daily request count reset`);
-  }
+  newsProviders.forEach(provider => provider.quota.resetIfNeeded());
 }
 
+function getQuotaSummary() {
+  return newsProviders.map(provider => ({
+    provider: provider.name,
+    used: provider.quota.used(),
+    limit: provider.quota.limit,
+    remaining: provider.quota.remaining()
+  }));
+}
+
+// "2", "2h" and "PT120M" name the same window and share a cache entry
 function generateCacheKey(symbols, keywords, timeframe) {
-  return `${symbols || 'all'}_${keywords || 'general'}_${timeframe || '24'}`;
-}
-
-function isValidCacheEntry(cacheEntry) {
-  return cacheEntry && (Date.now() - cacheEntry.timestamp < CONFIG.CACHE_DURATION);
-}
-
-function getCoinName(symbol) {
-  const coinNames = {
-    'BTC': 'Bitcoin',
-    'ETH': 'Ethereum', 
-    'ADA': 'Cardano',
-    'DOT': 'Polkadot',
-    'SOL': 'Solana',
-    'MATIC': 'Polygon',
-    'LINK': 'Chainlink',
-    'UNI': 'Uniswap',
-    'AAVE': 'Aave',
-    'DOGE': 'Dogecoin',
-    'XRP': 'Ripple',
-    'LTC': 'Litecoin',
-    'BCH': 'Bitcoin Cash',
-    'DOT': 'Polkadot',
-    'AVAX': 'Avalanche'
-  };
-  return coinNames[symbol.toUpperCase()] || symbol;
+  return normalizeCacheKey(symbols, keywords, time.formatTimeframe(time.parseTimeframe(timeframe)));
 }
 
-// Arkham webhook event processing
-function processArkhamEvent(webhookData) {
+// Short timeframes go stale faster: a quarter of the window, capped at CACHE_DURATION
+function cacheTtlFor(timeframe) {
+  return Math.min(CONFIG.CACHE_DURATION, time.parseTimeframe(timeframe) / 4);
+}
+
+// Rejects unparsable ?timeframe= values before any lookup
+function validateTimeframe(req, res, next) {
   try {
-    // Extract key information from Arkham webhook
-    const timestamp = Math.floor(Date.now() / 1000); // Current timestamp
-    
-    // Try to extract relevant data from webhook (format may vary)
-    let symbol = 'CRYPTO';
-    let title = 'On-chain activity detected';
-    let amount = '';
-    
-    // Parse different possible webhook formats
-    if (webhookData.transaction) {
-      const tx = webhookData.transaction;
-      
-      // Try to detect token/coin from transaction data
-      if (tx.token) {
-        symbol = tx.token.toUpperCase();
-      } else if (tx.asset) {
-        symbol = tx.asset.toUpperCase();
-      } else if (tx.symbol) {
-        symbol = tx.symbol.toUpperCase();
-      }
-      
-      // Format transaction details
-      if (tx.value) {
-        const value = parseFloat(tx.value);
-        if (value > 1000000) { // >$1M
-          amount = `$${(value / 1000000).toFixed(1)}M`;
-          title = `Large ${symbol} transfer: ${amount}`;
-        } else if (value > 1000) {
-          amount = `$${(value / 1000).toFixed(0)}K`;
-          title = `${symbol} transfer: ${amount}`;
-        } else {
-          title = `${symbol} movement detected`;
-        }
-      }
+    time.parseTimeframe(req.query.timeframe);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  next();
+}
+
+// Per-provider health: degraded when recent calls mostly fail, or when the
+// provider is being called but has not succeeded within HEALTH_STALE_MINUTES
+function getUpstreamHealth() {
+  const staleMs = CONFIG.HEALTH_STALE_MINUTES * 60 * 1000;
+  return newsProviders.map(provider => {
+    const health = provider.health();
+    const reasons = [];
+    if (health.recentCalls > 0 && health.errorRate >= CONFIG.HEALTH_MAX_ERROR_RATE) {
+      reasons.push(`${Math.round(health.errorRate * 100)}% of the last ${health.recentCalls} calls failed`);
     }
-    
-    // Fallback parsing for different webhook structures
-    if (!title || title === 'On-chain activity detected') {
-      if (webhookData.alert && webhookData.alert.name) {
-        title = webhookData.alert.name;
-      } else if (webhookData.description) {
-        title = webhookData.description.substring(0, 100);
-      } else if (webhookData.message) {
-        title = webhookData.message.substring(0, 100);
-      }
+    if (health.lastErrorAt && (!health.lastSuccessAt || Date.now() - health.lastSuccessAt > staleMs)) {
+      reasons.push(health.lastSuccessAt
+        ? `no successful fetch for ${Math.round((Date.now() - health.lastSuccessAt) / 60000)} minutes`
+        : 'no successful fetch since startup');
     }
-    
+    return {
+      name: provider.name,
+      status: reasons.length > 0 ? 'degraded' : 'healthy',
+      reasons,
+      errorRate: health.errorRate,
+      lastSuccessAt: health.lastSuccessAt ? new Date(health.lastSuccessAt).toISOString() : null,
+      lastErrorAt: health.lastErrorAt ? new Date(health.lastErrorAt).toISOString() : null,
+      lastError: health.lastError
+    };
+  });
+}
+
+// Cached (or freshly fetched) articles for a feed request, trimmed to the exact
+// timeframe at read time; throws when the upstream fails and nothing is cached
+async function getCachedArticles(symbols, keywords, timeframe, client) {
+  const cacheKey = generateCacheKey(symbols, keywords, timeframe);
+  const result = await cache.getOrFetch(
+    cacheKey,
+    () => fetchNewsFromAPI(symbols, keywords, timeframe, client),
+    { ttlMs: cacheTtlFor(timeframe) }
+  );
+  if (result.state === 'stale-error') {
+    log.warn('Upstream failed, serving stale cache', { cacheKey });
+  } else {
+    log.info('Cache lookup', { cacheKey, state: result.state });
+  }
+  return time.filterToWindow(result.value, time.parseTimeframe(timeframe));
+}
+
+function articleMentionsSymbol(article, symbol) {
+  return symbolRegistry.matches(article.title + ' ' + (article.description || ''), symbol);
+}
+
+function parseSymbolSet(symbols) {
+  return symbols ? new Set(symbols.toUpperCase().split(',').map(s => s.trim())) : null;
+}
+
+// Tags an article with every matching symbol (requested ones, or the whole registry)
+function tagArticleSymbols(article, symbolSet) {
+  return tagArticle(article, symbolSet ? Array.from(symbolSet) : symbolRegistry.symbols(), symbolRegistry);
+}
+
+// Push articles not seen before to stream clients
+function publishNewArticles(articles) {
+  const now = Date.now();
+  for (const [key, seenAt] of seenArticles.entries()) {
+    if (now - seenAt > SEEN_ARTICLE_TTL) seenArticles.delete(key);
+  }
+
+  articles.forEach(article => {
+    const key = normalizeUrl(article.link) || normalizeTitle(article.title);
+    if (!key || seenArticles.has(key)) return;
+    seenArticles.set(key, now);
+
+    const tags = tagArticleSymbols(article, null);
+    eventStream.publish('news', 'NEWS', null, { ...article, symbols: tags });
+    alertEngine.evaluate({
+      category: 'NEWS',
+      symbols: tags.map(tag => tag.symbol),
+      title: article.title,
+      text: article.description,
+      impact: scoreArticle(article).impact,
+      link: article.link,
+      timestamp: Math.floor((time.articleTime(article) || now) / 1000)
+    });
+  });
+}
+
+// Arkham webhook event processing
+// Returns a structured event, `{ recognized: false, reason }` for payloads the
+// normalizer does not understand, or null if processing itself failed.
+// `timestamp` is the on-chain time when the payload has one (not later than
+// receipt), otherwise receivedAt; `ingestedAt` is always receivedAt.
+function processArkhamEvent(webhookData, receivedAt = Date.now()) {
+  try {
+    const normalized = normalizeArkhamPayload(webhookData, receivedAt);
+    if (!normalized.recognized) {
+      return normalized;
+    }
+
     // Clean title - remove special characters that could break PineScript parsing
-    title = title.replace(/[|;]/g, ' ').replace(/\s+/g, ' ').trim();
-    
+    const title = normalized.title.replace(/[|;]/g, ' ').replace(/\s+/g, ' ').trim();
+
+    const ingestedAt = Math.floor(receivedAt / 1000);
+    const occurredAt = normalized.occurredAt !== null && normalized.occurredAt <= ingestedAt + MAX_CLOCK_SKEW_SECONDS
+      ? normalized.occurredAt
+      : ingestedAt;
+
     return {
-      timestamp,
+      ...normalized,
+      ...scoreOnchainEvent(normalized),
+      timestamp: occurredAt,
+      ingestedAt,
       category: 'ONCHAIN',
-      symbol,
+      // Map wrapped/aliased tokens and contract addresses onto registry symbols
+      symbol: symbolRegistry.resolveToken(normalized) || 'CRYPTO', // Recognized shape without a token
       title,
-      amount,
+      amount: formatUsd(normalized.usdValue),
       raw: webhookData // Store raw data for debugging
     };
-    
+
   } catch (error) {
-    console.error('Error processing Arkham webhook:', error);
+    log.error('Error processing Arkham webhook', { error });
     return null;
   }
 }
 
+// processArkhamEvent plus price context (see lib/prices); never rejects
+async function buildArkhamEvent(webhookData, receivedAt = Date.now()) {
+  const event = processArkhamEvent(webhookData, receivedAt);
+  if (!event || !event.recognized || !priceService) {
+    return event;
+  }
+  const priced = await priceService.enrich(event);
+  // A size derived from prices also feeds the impact score
+  return priced.usdValueSource === 'price' ? { ...priced, ...scoreOnchainEvent(priced) } : priced;
+}
+
+// Stores and fans out a new event; returns false for a duplicate delivery
+// (event ids are derived from content, see lib/arkham.js)
 function addArkhamEvent(event) {
   if (event) {
-    arkhamEvents.unshift(event); // Add to beginning
-    
-    // Keep only the latest events
-    if (arkhamEvents.length > MAX_ARKHAM_EVENTS) {
-      arkhamEvents = arkhamEvents.slice(0, MAX_ARKHAM_EVENTS);
+    if (arkhamEvents.find(stored => stored.id === event.id)) {
+      log.info('Duplicate Arkham event ignored', { eventId: event.id });
+      return false;
     }
-    
-    console.log(`[${new Date().toISOString()}] New Arkham event: ${event.symbol} - ${event.title}`);
+    arkhamEvents.unshift(event); // Add to beginning, store applies retention
+
+    const { raw, ...streamed } = event; // Raw payloads stay server-side
+    eventStream.publish('onchain', 'ONCHAIN', event.symbol, streamed);
+    alertEngine.evaluate({
+      category: 'ONCHAIN',
+      symbols: [event.symbol],
+      type: event.type,
+      title: event.title,
+      usdValue: event.usdValue,
+      impact: event.impact,
+      timestamp: event.timestamp
+    });
+
+    log.info('New Arkham event', { eventId: event.id, symbol: event.symbol, title: event.title });
   }
+  return true;
 }
 
-function getRecentArkhamEvents(hoursBack = 24) {
+function getRecentArkhamEvents(hoursBack = CONFIG.ARKHAM_FEED_WINDOW_HOURS) {
   const cutoffTime = Math.floor(Date.now() / 1000) - (hoursBack * 3600);
   return arkhamEvents.filter(event => event.timestamp > cutoffTime);
 }
 
-function formatForPineScript(articles, requestSymbols, includeArkham = true) {
+// Query flags like ?scores=1 / ?scores=true
+function isEnabled(value) {
+  return value === '1' || value === 'true';
+}
+
+// ?cluster=0|1, defaulting to CLUSTERING_ENABLED
+function wantsClustering(query) {
+  return query.cluster !== undefined ? isEnabled(query.cluster) : CONFIG.CLUSTERING_ENABLED;
+}
+
+// Formatting options shared by the PineScript endpoints; answers 400 for bad profile options
+function parseFormatOptions(req, res, next) {
+  try {
+    req.formatOptions = {
+      cluster: wantsClustering(req.query),
+      perSymbol: isEnabled(req.query.perSymbol),
+      minRelevance: parseInt(req.query.minRelevance) || 0,
+      profile: pinescript.resolveProfile(pineProfiles, req.query) // Also carries ?scores=
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  next();
+}
+
+// Collects news and recent Arkham events and encodes them with options.profile
+// (see lib/pinescript.js); returns { text, count, dropped }.
+// options.cluster collapses duplicate stories and alerts into one event with a source count;
+// options.perSymbol emits one record per tagged symbol instead of the most relevant one;
+// options.minRelevance (0-100) drops symbol tags, and untagged articles, below it
+function formatForPineScript(articles, requestSymbols, includeArkham = true, options = {}) {
   const events = [];
-  const symbolSet = requestSymbols ? new Set(requestSymbols.toUpperCase().split(',').map(s => s.trim())) : null;
+  const symbolSet = parseSymbolSet(requestSymbols);
 
   // Add news articles
   if (articles && articles.length > 0) {
-    articles.forEach(article => {
+    (options.cluster ? clusterArticles(articles, CLUSTER_OPTIONS) : articles).forEach(article => {
       try {
         // Extract timestamp (convert to Unix timestamp for PineScript)
-        const publishedDate = new Date(article.pubDate || article.published_at || Date.now());
-        const timestamp = Math.floor(publishedDate.getTime() / 1000);
-
-        // Determine relevant symbol from title/content
-        let detectedSymbol = 'CRYPTO';
-        if (symbolSet) {
-          for (const symbol of symbolSet) {
-            const regex = new RegExp(`\\b${symbol}\\b|\\b${getCoinName(symbol)}\\b`, 'i');
-            if (regex.test(article.title + ' ' + (article.description || ''))) {
-              detectedSymbol = symbol;
-              break;
-            }
-          }
-        }
+        const timestamp = Math.floor((time.articleTime(article) || Date.now()) / 1000);
 
-        // Clean title (remove special characters that might break parsing)
-        const cleanTitle = (article.title || 'No title')
-          .replace(/[|;]/g, ' ')
-          .replace(/\s+/g, ' ')
-          .trim()
-          .substring(0, 100); // Limit title length
+        // Determine relevant symbols from title/description/content
+        const tags = tagArticleSymbols(article, symbolSet)
+          .filter(tag => tag.relevance >= (options.minRelevance || 0));
+        if (tags.length === 0 && options.minRelevance > 0) {
+          return; // Unmatched articles have no relevance
+        }
+        const detectedSymbols = tags.length > 0
+          ? (options.perSymbol ? tags : tags.slice(0, 1)).map(tag => tag.symbol)
+          : ['CRYPTO'];
 
-        // Format: timestamp;CATEGORY;SYMBOL;Title
-        events.push(`${timestamp};NEWS;${detectedSymbol};${cleanTitle}`);
+        const score = scoreArticle(article).score;
+        const sources = article.cluster ? article.cluster.sourceCount : 1;
+        detectedSymbols.forEach(symbol => {
+          events.push({ timestamp, category: 'NEWS', symbol, title: article.title, score, sources });
+        });
 
       } catch (error) {
-        console.error('Error formatting article:', error);
+        log.error('Error formatting article', { error });
       }
     });
   }
 
   // Add recent Arkham events
   if (includeArkham) {
-    const recentArkhamEvents = getRecentArkhamEvents(24);
-    
-    recentArkhamEvents.forEach(arkhamEvent => {
-      try {
-        // Filter by symbol if requested
-        if (symbolSet && !symbolSet.has(arkhamEvent.symbol) && arkhamEvent.symbol !== 'CRYPTO') {
-          return; // Skip this event if it doesn't match requested symbols
-        }
-
-        // Format: timestamp;CATEGORY;SYMBOL;Title
-        events.push(`${arkhamEvent.timestamp};ONCHAIN;${arkhamEvent.symbol};${arkhamEvent.title}`);
-      } catch (error) {
-        console.error('Error formatting Arkham event:', error);
+    const recentArkhamEvents = getRecentArkhamEvents();
+    (options.cluster ? clusterOnchainEvents(recentArkhamEvents, CLUSTER_OPTIONS) : recentArkhamEvents).forEach(arkhamEvent => {
+      // Filter by symbol if requested
+      if (symbolSet && !symbolSet.has(arkhamEvent.symbol) && arkhamEvent.symbol !== 'CRYPTO') {
+        return; // Skip this event if it doesn't match requested symbols
       }
+
+      events.push({
+        timestamp: arkhamEvent.timestamp,
+        category: 'ONCHAIN',
+        symbol: arkhamEvent.symbol,
+        title: arkhamEvent.title,
+        // Events stored before scoring existed are scored on the fly
+        score: arkhamEvent.score !== undefined ? arkhamEvent.score : scoreOnchainEvent(arkhamEvent).score,
+        sources: arkhamEvent.cluster ? arkhamEvent.cluster.sourceCount : 1
+      });
     });
   }
 
-  // Sort all events by timestamp (newest first)
-  events.sort((a, b) => {
-    const timestampA = parseInt(a.split(';')[0]);
-    const timestampB = parseInt(b.split(';')[0]);
-    return timestampB - timestampA;
-  });
-
-  return events.join('|');
+  return pinescript.encodeEvents(events, options.profile || pineProfiles.default, symbolRegistry.symbols());
 }
 
-async function fetchNewsFromAPI(symbols, keywords, timeframe) {
+// client is the calling API key (req.apiClient); its share of the upstream budget is enforced
+async function fetchNewsFromAPI(symbols, keywords, timeframe, client) {
   resetDailyCountIfNeeded();
 
-  // Check rate limits
-  if (dailyRequestCount >= CONFIG.MAX_REQUESTS_PER_DAY) {
+  const available = newsProviders.filter(provider => !provider.quota.exhausted());
+  if (available.length === 0) {
     throw new Error('Daily API rate limit exceeded');
   }
 
-  // Build API URL
-  const params = new URLSearchParams({
-    apikey: CONFIG.NEWSDATA_API_KEY
-  });
-
-  // Build crypto search query
-  let searchTerms = [];
-
-  // Add coin symbols as search terms
-  if (symbols) {
-    const coinNames = symbols.split(',').map(s => {
-      const symbol = s.trim().toUpperCase();
-      const coinName = getCoinName(symbol);
-      return `${symbol} OR ${coinName}`;
-    });
-    searchTerms.push(...coinNames);
+  const clientQuota = client ? auth.upstreamQuota(client) : null;
+  if (clientQuota && clientQuota.exhausted()) {
+    throw new Error(`Upstream budget for API key "${client.name}" exceeded (${clientQuota.limit}/day)`);
   }
 
-  // Add keywords
-  if (keywords) {
-    searchTerms.push(keywords);
-  }
+  log.info('Fetching from providers', { providers: available.map(p => p.name) });
 
-  // Add general crypto terms if no specific search
-  if (searchTerms.length === 0) {
-    searchTerms.push('cryptocurrency OR bitcoin OR crypto OR blockchain');
+  const sinceMs = Date.now() - time.parseTimeframe(timeframe);
+  const articles = await fetchFromProviders(available, { symbols, keywords, timeframe, sinceMs });
+  // Charged only once the upstream call succeeded, like the provider quotas
+  if (clientQuota) {
+    clientQuota.increment();
   }
+  publishNewArticles(articles);
+  articlePool.merge(articles);
+  return articles;
+}
 
-  params.append('q', searchTerms.join(' OR '));
-  params.append('category', 'business,technology');
-
-  // FIXED: Add date filtering (regular news endpoint uses 'from' instead of 'timeframe')
-  if (timeframe) {
-    const hoursAgo = parseInt(timeframe) || 24;
-    const fromDate = new Date(Date.now() - (hoursAgo * 60 * 60 * 1000));
-    const dateString = fromDate.toISOString().split('T')[0]; // Format: YYYY-MM-DD
-    params.append('from', dateString);
-  }
-
-  // Add language filter
-  params.append('language', 'en');
-
-  const url = `${CONFIG.BASE_URL}?${params.toString()}`;
-  
-  console.log(`[${new Date().toISOString()}] Fetching from API: ${url.replace(CONFIG.NEWSDATA_API_KEY, 'API_KEY_HIDDEN')}`);
-
-  try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'CryptoBridgeServer/2.0'
-      },
-      timeout: 10000 // 10 second timeout
-    });
-
-    if (!response.ok) {
-      throw new Error(`API responded with status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    dailyRequestCount++;
-
-    console.log(`[${new Date().toISOString()}] API Success. Articles: ${data.results?.length || 0}, Requests today: ${dailyRequestCount}`);
-
-    return data.results || [];
-
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] API Error:`, error.message);
-    throw error;
+// Answers from the article pool when recently polled watchlists cover the
+// request's symbols and timeframe; returns null when the caller should fetch
+// on demand instead
+function getPooledArticles(symbols, keywords, timeframe) {
+  const symbolSet = parseSymbolSet(symbols);
+  const timeframeMs = time.parseTimeframe(timeframe);
+  if (!newsScheduler.covers(symbolSet, timeframeMs)) {
+    return null;
   }
+  return articlePool.filter({
+    symbols: symbolSet,
+    keywords,
+    sinceMs: Date.now() - timeframeMs
+  });
 }
 
 // Routes
@@ -313,61 +679,60 @@ async function fetchNewsFromAPI(symbols, keywords, timeframe) {
 // Health check endpoint
 app.get('/health', (req, res) => {
   resetDailyCountIfNeeded();
+  const quotas = getQuotaSummary();
+  const upstream = getUpstreamHealth();
   res.json({
-    status: 'healthy',
+    status: upstream.some(provider => provider.status === 'degraded') ? 'degraded' : 'healthy',
+    upstream,
     timestamp: new Date().toISOString(),
     version: '2.0',
-    dailyRequests: dailyRequestCount,
-    remainingRequests: CONFIG.MAX_REQUESTS_PER_DAY - dailyRequestCount,
+    dailyRequests: quotas.reduce((sum, q) => sum + q.used, 0),
+    remainingRequests: quotas.reduce((sum, q) => sum + q.remaining, 0),
+    providers: quotas,
     cacheEntries: cache.size,
     arkhamEvents: arkhamEvents.length,
-    features: ['news', 'arkham-webhooks', 'symbol-detection', 'caching']
+    streamClients: eventStream.clientCount(),
+    articlePool: articlePool.size,
+    scheduler: newsScheduler.status().running ? 'running' : 'stopped',
+    features: ['news', 'arkham-webhooks', 'symbol-detection', 'caching', 'streaming']
   });
 });
 
+// Prometheus scrape endpoint (admin key as a bearer token)
+app.get('/metrics', requireAdmin, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 // Main crypto news endpoint for PineScript
-app.get('/crypto-news', async (req, res) => {
+app.get('/crypto-news', requireRead, validateTimeframe, parseFormatOptions, async (req, res) => {
   try {
     const { symbols, keywords, timeframe } = req.query;
+    const formatOptions = req.formatOptions;
     
     // Input validation
-    if (symbols && symbols.split(',').length > 5) {
+    if (symbols && symbols.split(',').length > CONFIG.MAX_SYMBOLS_PER_REQUEST) {
       return res.status(400).json({ 
-        error: 'Maximum 5 symbols allowed' 
+        error: `Maximum ${CONFIG.MAX_SYMBOLS_PER_REQUEST} symbols allowed; save a profile under /profiles and use /feeds/:name for longer lists` 
       });
     }
 
-    // Generate cache key
-    const cacheKey = generateCacheKey(symbols, keywords, timeframe);
-    
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (isValidCacheEntry(cachedData)) {
-      console.log(`[${new Date().toISOString()}] Cache hit for key: ${cacheKey}`);
-      // Even with cached news, include fresh Arkham events
-      const cachedArticles = JSON.parse(cachedData.articles || '[]');
-      const formattedData = formatForPineScript(cachedArticles, symbols, true);
-      return res.type('text/plain').send(formattedData || '');
+    // Serve from the scheduler-filled pool when it covers this request
+    const pooledArticles = getPooledArticles(symbols, keywords, timeframe);
+    if (pooledArticles) {
+      log.info('Pool hit', { articles: pooledArticles.length, symbols: symbols || 'all' });
+      return res.type('text/plain').send(formatForPineScript(pooledArticles, symbols, true, formatOptions).text);
     }
 
-    // Fetch from API
+    // Cache (fresh, stale-while-revalidate, or stale fallback) or coalesced API fetch
     let articles;
     try {
-      articles = await fetchNewsFromAPI(symbols, keywords, timeframe);
+      articles = await getCachedArticles(symbols, keywords, timeframe, req.apiClient);
     } catch (apiError) {
-      // If API fails and we have old cached data, use it
-      if (cachedData && cachedData.articles) {
-        console.log(`[${new Date().toISOString()}] API failed, serving stale cache for key: ${cacheKey}`);
-        const cachedArticles = JSON.parse(cachedData.articles || '[]');
-        const formattedData = formatForPineScript(cachedArticles, symbols, true);
-        return res.type('text/plain').send(formattedData || '');
-      }
-      
       // No cache available, but still return Arkham events if available
-      console.error(`[${new Date().toISOString()}] API failed with no cache backup:`, apiError.message);
-      const formattedData = formatForPineScript([], symbols, true);
-      if (formattedData) {
-        return res.type('text/plain').send(formattedData);
+      log.error('Upstream failed with no cache backup', { error: apiError });
+      const formatted = formatForPineScript([], symbols, true, formatOptions);
+      if (formatted.count > 0) {
+        return res.type('text/plain').send(formatted.text);
       }
       
       return res.status(503).json({ 
@@ -377,29 +742,15 @@ app.get('/crypto-news', async (req, res) => {
     }
 
     // Format data for PineScript (includes both news and Arkham events)
-    const formattedData = formatForPineScript(articles, symbols, true);
-    
-    // Update cache
-    cache.set(cacheKey, {
-      data: formattedData,
-      articles: JSON.stringify(articles),
-      timestamp: Date.now()
-    });
-
-    // Clean old cache entries (keep cache size manageable)
-    if (cache.size > 50) {
-      const oldestKey = cache.keys().next().value;
-      cache.delete(oldestKey);
-    }
+    const formatted = formatForPineScript(articles, symbols, true, formatOptions);
 
-    const eventCount = formattedData ? formattedData.split('|').length : 0;
-    console.log(`[${new Date().toISOString()}] Served fresh data for key: ${cacheKey}, events: ${eventCount}`);
+    log.info('Served feed', { events: formatted.count, dropped: formatted.dropped, symbols: symbols || 'all' });
     
     // Return formatted data as plain text for PineScript
-    res.type('text/plain').send(formattedData || '');
+    res.type('text/plain').send(formatted.text);
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Endpoint error:`, error);
+    log.error('Endpoint error', { error });
     res.status(500).json({ 
       error: 'Internal server error',
       details: error.message 
@@ -408,72 +759,161 @@ app.get('/crypto-news', async (req, res) => {
 });
 
 // Debug endpoint to see raw API response
-app.get('/debug', async (req, res) => {
+app.get('/debug', requireAdmin, validateTimeframe, parseFormatOptions, async (req, res) => {
   try {
     const { symbols, keywords, timeframe } = req.query;
-    const articles = await fetchNewsFromAPI(symbols, keywords, timeframe);
-    const recentArkhamEvents = getRecentArkhamEvents(24);
+    const windowMs = time.parseTimeframe(timeframe);
+    const fetched = await fetchNewsFromAPI(symbols, keywords, timeframe, req.apiClient);
+    const articles = time.filterToWindow(fetched, windowMs);
+    const recentArkhamEvents = getRecentArkhamEvents();
     
     res.json({
-      requestParams: { symbols, keywords, timeframe },
+      requestParams: { symbols, keywords, timeframe, window: time.formatTimeframe(windowMs) },
+      fetchedArticleCount: fetched.length, // Before trimming to the window
       newsArticleCount: articles.length,
       arkhamEventCount: recentArkhamEvents.length,
-      articles: articles.slice(0, 3), // Show first 3 articles
+      articles: articles.slice(0, 3).map(a => ({ // Show first 3 articles
+        ...a,
+        ...scoreArticle(a),
+        symbols: tagArticleSymbols(a, parseSymbolSet(symbols))
+      })),
       arkhamEvents: recentArkhamEvents.slice(0, 3), // Show first 3 Arkham events
-      formatted: formatForPineScript(articles, symbols, true)
+      formatted: formatForPineScript(articles, symbols, true, req.formatOptions).text
     });
   } catch (error) {
     res.status(500).json({ 
       error: error.message,
-      arkhamEvents: getRecentArkhamEvents(24).slice(0, 3)
+      arkhamEvents: getRecentArkhamEvents().slice(0, 3)
     });
   }
 });
 
 // Cache management endpoint
-app.get('/cache', (req, res) => {
-  const cacheStats = Array.from(cache.entries()).map(([key, value]) => ({
-    key,
-    age: Math.floor((Date.now() - value.timestamp) / 1000 / 60) + ' minutes',
-    dataLength: value.data ? value.data.length : 0
-  }));
-
+app.get('/cache', requireAdmin, (req, res) => {
   res.json({
     totalEntries: cache.size,
-    entries: cacheStats
+    stats: cache.stats(),
+    entries: cache.entries()
   });
 });
 
+// Invalidate one entry by its normalized key (as listed by GET /cache)
+app.delete('/cache/:key', requireAdmin, (req, res) => {
+  const removed = cache.invalidate(req.params.key);
+  res.status(removed ? 200 : 404).json({ success: removed, key: req.params.key });
+});
+
+// Flush everything, only keys starting with ?prefix=, or the entry for
+// ?symbols=&keywords=&timeframe= (normalized the same way as the feeds)
+app.delete('/cache', requireAdmin, validateTimeframe, (req, res) => {
+  const { symbols, keywords, timeframe, prefix } = req.query;
+  if (symbols || keywords || timeframe) {
+    const key = generateCacheKey(symbols, keywords, timeframe);
+    const removed = cache.invalidate(key);
+    return res.status(removed ? 200 : 404).json({ success: removed, key });
+  }
+  res.json({ success: true, removed: cache.flush(prefix) });
+});
+
+// Records a received payload in the recent rawWebhooks list and the archive under one id.
+// entry: { outcome: accepted|unrecognized|invalid|rejected, reason, eventId, source, payload, receivedAt }
+function recordRawWebhook(req, entry) {
+  const id = crypto.randomUUID();
+  const receivedAt = entry.receivedAt || Date.now();
+  const payload = entry.payload !== undefined ? entry.payload : req.body;
+
+  rawWebhooks.unshift({
+    id,
+    timestamp: receivedAt,
+    sourceIp: req.ip,
+    source: entry.source,
+    rejected: entry.outcome === 'rejected',
+    unrecognized: entry.outcome === 'unrecognized',
+    reason: entry.reason,
+    payload
+  });
+
+  if (payloadArchive) {
+    try {
+      payloadArchive.append({
+        id,
+        receivedAt,
+        source: entry.source,
+        sourceIp: req.ip,
+        outcome: entry.outcome,
+        reason: entry.reason,
+        eventId: entry.eventId,
+        headers: {
+          'user-agent': req.headers['user-agent'],
+          'content-type': req.headers['content-type'],
+          signed: Boolean(req.headers[CONFIG.WEBHOOK_SIGNATURE_HEADER.toLowerCase()])
+        },
+        payload
+      }, entry.payload === undefined ? req.rawBody : undefined);
+    } catch (error) {
+      log.error('Could not archive webhook payload', { id, error });
+    }
+  }
+  return id;
+}
+
 // Arkham webhook endpoint (for real Arkham alerts)
-app.post('/arkham-webhook', (req, res) => {
+app.post('/arkham-webhook', requireWebhook, async (req, res) => {
   try {
-    console.log(`[${new Date().toISOString()}] Arkham webhook received:`, JSON.stringify(req.body, null, 2));
-    
-    // Store raw webhook for debugging (keep last 10)
-    rawWebhooks.unshift({
-      timestamp: Date.now(),
-      payload: req.body
-    });
-    if (rawWebhooks.length > MAX_RAW_WEBHOOKS) {
-      rawWebhooks = rawWebhooks.slice(0, MAX_RAW_WEBHOOKS);
+    const verification = webhookVerifier.verify(req);
+    if (!verification.ok) {
+      log.warn('Arkham webhook rejected', { sourceIp: req.ip, reason: verification.reason });
+      webhookIngest.inc({ outcome: 'rejected' });
+      recordRawWebhook(req, { outcome: 'rejected', reason: verification.reason });
+      return res.status(verification.status).json({
+        success: false,
+        message: 'Webhook rejected',
+        reason: verification.reason
+      });
     }
+
+    log.debug('Arkham webhook received', { payload: req.body });
     
-    // Process the webhook data
-    const event = processArkhamEvent(req.body);
+    // Process the webhook data; the same receipt time is archived so reprocessing reproduces the id
+    const receivedAt = Date.now();
+    const event = await buildArkhamEvent(req.body, receivedAt);
+    const unrecognized = Boolean(event && !event.recognized);
+
+    // Recent list for debugging plus the durable archive used by /admin/replay
+    recordRawWebhook(req, {
+      receivedAt,
+      outcome: unrecognized ? 'unrecognized' : (event ? 'accepted' : 'invalid'),
+      reason: unrecognized ? event.reason : (event ? undefined : 'Processing failed'),
+      eventId: event && event.recognized ? event.id : null
+    });
     
-    if (event) {
-      addArkhamEvent(event);
+    if (unrecognized) {
+      // Keep unrecognized payloads out of the feed but flag them for debugging
+      log.warn('Unrecognized Arkham payload', { reason: event.reason });
+      webhookIngest.inc({ outcome: 'unrecognized' });
+      res.status(202).json({
+        success: false,
+        flagged: true,
+        message: event.reason
+      });
+    } else if (event) {
+      const added = addArkhamEvent(event);
+      webhookIngest.inc({ outcome: added ? 'accepted' : 'duplicate' });
       res.status(200).json({ 
         success: true, 
-        message: 'Webhook processed successfully',
+        duplicate: !added,
+        message: added ? 'Webhook processed successfully' : 'Duplicate delivery ignored',
         event: {
+          id: event.id,
+          type: event.type,
           symbol: event.symbol,
           title: event.title,
           timestamp: event.timestamp
         }
       });
     } else {
-      console.log(`[${new Date().toISOString()}] Failed to process webhook data`);
+      log.warn('Failed to process webhook data');
+      webhookIngest.inc({ outcome: 'invalid' });
       res.status(400).json({ 
         success: false, 
         message: 'Could not process webhook data' 
@@ -481,7 +921,8 @@ app.post('/arkham-webhook', (req, res) => {
     }
     
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Webhook error:`, error);
+    log.error('Webhook error', { error });
+    webhookIngest.inc({ outcome: 'error' });
     res.status(500).json({ 
       success: false, 
       message: 'Internal webhook processing error' 
@@ -490,143 +931,546 @@ app.post('/arkham-webhook', (req, res) => {
 });
 
 // Raw webhook debug endpoint
-app.get('/raw-webhooks', (req, res) => {
+app.get('/raw-webhooks', requireAdmin, (req, res) => {
   res.json({
     totalWebhooks: rawWebhooks.length,
-    webhooks: rawWebhooks.map(w => ({
+    webhooks: rawWebhooks.all().map(w => ({
+      id: w.id,
       timestamp: w.timestamp,
       ago: Math.floor((Date.now() - w.timestamp) / 1000 / 60) + ' minutes ago',
+      sourceIp: w.sourceIp,
+      rejected: Boolean(w.rejected),
+      unrecognized: Boolean(w.unrecognized),
+      reason: w.reason,
       payload: w.payload
     }))
   });
 });
 
 // TradingView seed endpoint for PineScript integration
-app.get('/tradingview-seed', async (req, res) => {
+// (request.seed() itself reads the seed repository written by the seed publisher)
+app.get('/tradingview-seed', requireRead, validateTimeframe, parseFormatOptions, async (req, res) => {
   try {
     // Extract parameters from TradingView request
     const { symbols, keywords, timeframe } = req.query;
+    const formatOptions = req.formatOptions;
     
-    console.log(`[${new Date().toISOString()}] TradingView seed request: symbols=${symbols}, keywords=${keywords}`);
-    
-    // Use existing crypto-news logic but format for TradingView
-    const cacheKey = generateCacheKey(symbols, keywords, timeframe);
+    log.info('TradingView seed request', { symbols, keywords });
     
-    // Check cache first
-    const cachedData = cache.get(cacheKey);
-    if (isValidCacheEntry(cachedData)) {
-      console.log(`[${new Date().toISOString()}] Serving cached data to TradingView`);
-      return res.type('text/plain').send(cachedData.data || '');
+    // Serve from the scheduler-filled pool when it covers this request
+    const pooledArticles = getPooledArticles(symbols, keywords, timeframe);
+    if (pooledArticles) {
+      return res.type('text/plain').send(formatForPineScript(pooledArticles, symbols, true, formatOptions).text);
     }
 
-    // Fetch fresh data
+    // Use existing crypto-news logic but format for TradingView
     let articles = [];
     try {
-      articles = await fetchNewsFromAPI(symbols, keywords, timeframe);
+      articles = await getCachedArticles(symbols, keywords, timeframe, req.apiClient);
     } catch (apiError) {
-      console.error(`[${new Date().toISOString()}] API failed for TradingView request:`, apiError.message);
-      // Return cached data or empty if no cache
-      if (cachedData && cachedData.data) {
-        return res.type('text/plain').send(cachedData.data);
-      }
+      // Still serve Arkham events when no news is available
+      log.error('Upstream failed for TradingView request', { error: apiError });
     }
 
     // Format data for PineScript (includes both news and Arkham events)
-    const formattedData = formatForPineScript(articles, symbols, true);
-    
-    // Update cache
-    cache.set(cacheKey, {
-      data: formattedData,
-      articles: JSON.stringify(articles),
-      timestamp: Date.now()
-    });
+    const formatted = formatForPineScript(articles, symbols, true, formatOptions);
 
-    console.log(`[${new Date().toISOString()}] Serving fresh data to TradingView: ${formattedData ? formattedData.split('|').length : 0} events`);
+    log.info('Serving data to TradingView', { events: formatted.count });
     
     // Return data in format PineScript can parse
-    res.type('text/plain').send(formattedData || '');
+    res.type('text/plain').send(formatted.text);
 
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] TradingView endpoint error:`, error);
+    log.error('TradingView endpoint error', { error });
     res.type('text/plain').send(''); // Return empty string on error
   }
 });
 
-// Arkham events endpoint (for debugging)
-app.get('/arkham-events', (req, res) => {
+// PineScript profiles, the format hash each one produces and the compact symbol table
+app.get('/pinescript/profiles', requireRead, (req, res) => {
+  const symbolTable = symbolRegistry.symbols();
+  const profiles = {};
+  Object.entries(pineProfiles).forEach(([name, profile]) => {
+    profiles[name] = { ...profile, formatHash: pinescript.formatHash(profile, symbolTable) };
+  });
+  res.json({
+    version: pinescript.FORMAT_VERSION,
+    categoryCodes: pinescript.CATEGORY_CODES,
+    symbolIndex: ['CRYPTO', ...symbolTable], // Compact records use positions in this list
+    profiles
+  });
+});
+
+// Symbol registry admin: list entries and reload the config file
+app.get('/admin/symbols', requireAdmin, (req, res) => {
+  res.json({
+    file: CONFIG.SYMBOLS_FILE,
+    loadedAt: symbolRegistry.loadedAt,
+    totalSymbols: symbolRegistry.size,
+    symbols: symbolRegistry.list()
+  });
+});
+
+app.post('/admin/symbols/reload', requireAdmin, (req, res) => {
+  try {
+    symbolRegistry.reload();
+    res.json({ success: true, loadedAt: symbolRegistry.loadedAt, totalSymbols: symbolRegistry.size });
+  } catch (error) {
+    // The previous registry stays active when the new file is invalid
+    log.error('Symbol registry reload failed', { error });
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// Scheduler status and manual poll trigger
+app.get('/admin/scheduler', requireAdmin, (req, res) => {
+  res.json({ ...newsScheduler.status(), articlePool: articlePool.size });
+});
+
+app.post('/admin/scheduler/poll', requireAdmin, async (req, res) => {
+  await newsScheduler.pollNext();
+  res.json(newsScheduler.status());
+});
+
+// Seed repository publisher status and manual publish
+app.get('/admin/seed', requireAdmin, (req, res) => {
+  res.json(seedPublisher.status());
+});
+
+app.post('/admin/seed/publish', requireAdmin, async (req, res) => {
+  try {
+    res.json({ ...(await seedPublisher.publish()), status: seedPublisher.status() });
+  } catch (error) {
+    res.status(500).json({ error: error.message, status: seedPublisher.status() });
+  }
+});
+
+// Admin dashboard (HTML); authenticates with the admin key or its login cookie
+app.use('/admin/ui', createDashboardRouter({
+  auth,
+  cache,
+  rawWebhooks,
+  arkhamEvents,
+  getEventRecords,
+  buildArkhamEvent,
+  addArkhamEvent,
+  recordRawWebhook,
+  getQuotaSummary,
+  getUpstreamHealth,
+  buildTestPayload,
+  testEventDefaults: TEST_EVENT_DEFAULTS,
+  bufferSizes: () => ({
+    arkhamEvents: arkhamEvents.length,
+    rawWebhooks: rawWebhooks.length,
+    articlePool: articlePool.size,
+    streamLog: streamLog.length,
+    streamClients: eventStream.clientCount(),
+    alertDeliveries: alertDeliveries.length,
+    cacheEntries: cache.size
+  })
+}));
+
+// Replay archived payloads through the current normalizer and diff against stored events
+// Body: { from, to (unix seconds/ms or ISO; default the last 24h), ids: [archive ids],
+//         apply (write corrections), includeUnchanged }
+app.get('/admin/replay', requireAdmin, (req, res) => {
+  res.json({ archive: payloadArchive ? payloadArchive.stats() : null });
+});
+
+app.post('/admin/replay', requireAdmin, async (req, res) => {
+  if (!payloadArchive) {
+    return res.status(409).json({ error: 'Payload archive is disabled (RAW_ARCHIVE_ENABLED=false)' });
+  }
+  const body = req.body || {};
+  let fromMs, toMs;
+  try {
+    const from = history.parseTime(body.from);
+    const to = history.parseTime(body.to);
+    fromMs = from !== null ? from * 1000 : (body.ids ? null : Date.now() - 24 * 60 * 60 * 1000);
+    toMs = to !== null ? to * 1000 : null;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (body.ids !== undefined && !Array.isArray(body.ids)) {
+    return res.status(400).json({ error: 'ids must be an array of archive ids' });
+  }
+
+  const records = payloadArchive.read({ fromMs, toMs, ids: body.ids });
+  const results = await replay.planReplay(records, {
+    process: buildArkhamEvent,
+    findStored: id => arkhamEvents.find(event => event.id === id)
+  });
+  const applied = body.apply ? replay.applyReplay(results, records, {
+    update: (id, updater) => arkhamEvents.update(event => event.id === id, updater),
+    insert: event => arkhamEvents.unshift(event),
+    remove: id => arkhamEvents.remove(event => event.id === id)
+  }) : 0;
+
+  if (applied > 0) {
+    log.info('Replay corrections applied', { applied, records: records.length });
+  }
+  res.json({
+    records: records.length,
+    summary: replay.summarize(results),
+    applied,
+    results: body.includeUnchanged ? results : results.filter(r => !['unchanged', 'skipped', 'unrecognized'].includes(r.status))
+  });
+});
+
+// Price source status; ?symbol=&time= (unix seconds or ISO, default now) shows a quote
+app.get('/admin/prices', requireAdmin, async (req, res) => {
+  if (!priceService) {
+    return res.status(409).json({ error: 'Price enrichment is disabled (set PRICE_SOURCE to file or http)' });
+  }
+  const status = priceService.status();
+  if (!req.query.symbol) {
+    return res.json(status);
+  }
+  try {
+    const at = history.parseTime(req.query.time) || Math.floor(Date.now() / 1000);
+    const symbol = String(req.query.symbol).toUpperCase();
+    res.json({ ...status, symbol, at, quote: await priceService.quote(symbol, at) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Effective settings with their source (default, file or env); secrets are redacted
+app.get('/config', requireAdmin, (req, res) => {
+  res.json(config.describe());
+});
+
+// Same as SIGHUP: re-reads the config file and environment
+app.post('/config/reload', requireAdmin, (req, res) => {
+  const result = config.reload('api');
+  res.status(result.ok ? 200 : 400).json(result);
+});
+
+// API key management
+app.use('/admin/keys', requireAdmin, createKeyRouter(auth));
+
+// Alert rules CRUD and delivery log
+app.use('/alerts', requireAdmin, createAlertRouter(alertEngine));
+
+// Live event stream (Server-Sent Events); WebSocket clients use /stream/ws
+// Query: symbols, categories (NEWS,ONCHAIN), lastEventId (or Last-Event-ID header)
+app.get('/stream', requireRead, eventStream.sseHandler);
+
+// Saved feed profiles: CRUD for the caller's own profiles (admin keys see all)
+app.use('/profiles', requireRead, createProfileRouter(feedProfiles));
+
+// News for a saved profile. Long watchlists are queried upstream in chunks of
+// PROFILE_FETCH_CHUNK symbols, each cached like an ad-hoc request; the fetch
+// only fails when every chunk fails. Keywords are matched locally as well,
+// since providers treat them as a hint (RSS ignores them) and the pool requires them.
+async function getProfileArticles(profile, client) {
+  const pooled = getPooledArticles(profile.symbols.join(',') || undefined, profile.keywords, profile.timeframe);
+  if (pooled) return pooled;
+
+  const chunks = [];
+  for (let i = 0; i < profile.symbols.length; i += CONFIG.PROFILE_FETCH_CHUNK) {
+    chunks.push(profile.symbols.slice(i, i + CONFIG.PROFILE_FETCH_CHUNK).join(','));
+  }
+  const results = await Promise.allSettled((chunks.length > 0 ? chunks : [undefined])
+    .map(symbols => getCachedArticles(symbols, profile.keywords, profile.timeframe, client)));
+
+  const fetched = results.filter(result => result.status === 'fulfilled');
+  if (fetched.length === 0) {
+    throw results[0].reason;
+  }
+  const matchesKeywords = keywordMatcher(profile.keywords);
+  const unique = new Map();
+  fetched.forEach(result => result.value.forEach(article => {
+    const key = articleKey(article);
+    if (!unique.has(key) && (!matchesKeywords || matchesKeywords(article))) unique.set(key, article);
+  }));
+  return Array.from(unique.values());
+}
+
+// Feed for a saved profile: PineScript text or JSON records, per the profile's
+// output.format unless ?format= overrides it. PineScript query overrides
+// (sep, maxEvents, ...) apply on top of the profile's PineScript profile;
+// JSON takes limit and cursor like /events. Profile keywords select news
+// articles (see getProfileArticles) rather than going through the `q` text
+// filter, so "a OR b" lists work and on-chain events, which have no
+// keywords to match, are still included.
+app.get('/feeds/:profile', requireRead, async (req, res) => {
+  const profile = feedProfiles.get(req.params.profile);
+  if (!profile || !feedProfiles.canRead(profile, req.apiClient)) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  const format = String(req.query.format || profile.output.format).toLowerCase();
+  let filters, pineProfile;
+  try {
+    if (!['json', 'pinescript'].includes(format)) {
+      throw new Error('format must be json or pinescript');
+    }
+    filters = history.parseEventQuery({
+      symbols: profile.symbols.join(','),
+      categories: profile.categories.join(','),
+      from: Math.floor((Date.now() - time.parseTimeframe(profile.timeframe)) / 1000),
+      limit: req.query.limit || (format === 'pinescript' ? '1000' : undefined),
+      cursor: req.query.cursor
+    });
+    if (format === 'pinescript') {
+      pineProfile = pinescript.resolveProfile(pineProfiles, { ...req.query, profile: profile.output.profile });
+    }
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  let articles = [];
+  let upstreamError = null;
+  if (profile.categories.includes('NEWS')) {
+    try {
+      articles = await getProfileArticles(profile, req.apiClient);
+    } catch (error) {
+      upstreamError = error;
+      log.error('Upstream failed for profile feed', { profile: profile.name, error });
+    }
+  }
+
+  // minUsd is a transfer-size floor, so it filters on-chain events only
+  const onchain = profile.categories.includes('ONCHAIN')
+    ? arkhamEvents.filter(event => profile.minUsd === null || event.usdValue >= profile.minUsd)
+    : [];
+  const cluster = profile.output.cluster !== undefined ? profile.output.cluster : CONFIG.CLUSTERING_ENABLED;
+  const symbolSet = profile.symbols.length > 0 ? new Set(profile.symbols) : null;
+  const result = history.queryEvents(toEventRecords(articles, onchain, cluster, symbolSet), filters);
+
+  if (upstreamError && result.total === 0) {
+    return res.status(503).json({
+      error: 'News service temporarily unavailable',
+      details: upstreamError.message
+    });
+  }
+
+  log.info('Served profile feed', { profile: profile.name, format, events: result.events.length });
+  if (format === 'pinescript') {
+    return res.type('text/plain').send(pinescript.encodeEvents(result.events, pineProfile, symbolRegistry.symbols()).text);
+  }
+  if (result.nextCursor) {
+    res.set('X-Next-Cursor', result.nextCursor);
+  }
+  res.json({
+    profile: profile.name,
+    total: result.total,
+    count: result.events.length,
+    nextCursor: result.nextCursor,
+    events: result.events
+  });
+});
+
+// Arkham events endpoint (for debugging); duplicates are clustered unless ?cluster=0
+app.get('/arkham-events', requireRead, (req, res) => {
   const { hours } = req.query;
-  const hoursBack = parseInt(hours) || 24;
-  const events = getRecentArkhamEvents(hoursBack);
+  const hoursBack = parseInt(hours) || CONFIG.ARKHAM_FEED_WINDOW_HOURS;
+  const recent = getRecentArkhamEvents(hoursBack);
+  const events = wantsClustering(req.query) ? clusterOnchainEvents(recent, CLUSTER_OPTIONS) : recent;
   
   res.json({
     totalEvents: arkhamEvents.length,
-    recentEvents: events.length,
+    recentEvents: recent.length,
+    clusters: events.length,
     hoursBack,
     events: events.map(e => ({
+      id: e.id,
       timestamp: e.timestamp,
+      type: e.type,
       symbol: e.symbol,
       title: e.title,
+      chain: e.chain,
+      txHash: e.txHash,
+      from: e.from,
+      to: e.to,
+      tokenAmount: e.tokenAmount,
+      usdValue: e.usdValue,
+      sentiment: e.sentiment,
+      impact: e.impact,
+      score: e.score,
+      cluster: e.cluster, // Representative of duplicate alerts: { size, sourceCount, members }
       age: Math.floor((Date.now() / 1000 - e.timestamp) / 60) + ' minutes ago'
     }))
   });
 });
 
+// Stored news and on-chain events as history records; cluster collapses duplicates
+// (members stay available under record.cluster). Tagging and clustering the
+// whole pool is quadratic, so the records (shared, do not mutate) are rebuilt
+// only when the pool, the events, the symbol registry or the cluster settings change.
+const eventRecordCache = new Map(); // cluster flag -> { key, records }
+function getEventRecords(cluster = false) {
+  const key = [articlePool.generation, arkhamEvents.generation, symbolRegistry.generation, JSON.stringify(CLUSTER_OPTIONS)].join(':');
+  const cached = eventRecordCache.get(cluster);
+  if (cached && cached.key === key) {
+    return cached.records;
+  }
+  const records = toEventRecords(articlePool.all(), arkhamEvents.all(), cluster, null);
+  eventRecordCache.set(cluster, { key, records });
+  return records;
+}
+
+// symbolSet limits article tagging to those symbols (null = whole registry)
+function toEventRecords(articles, onchain, cluster, symbolSet) {
+  const news = cluster ? clusterArticles(articles, CLUSTER_OPTIONS) : articles;
+  const events = cluster ? clusterOnchainEvents(onchain, CLUSTER_OPTIONS) : onchain;
+  return [
+    ...news.map(article => history.newsRecord(article, tagArticleSymbols(article, symbolSet), scoreArticle(article).score)),
+    ...events.map(history.onchainRecord)
+  ];
+}
+
+// Historical query over stored news (article pool) and on-chain events
+// Query: from, to (unix seconds/ms or ISO), symbols, categories, source, minUsd, q,
+// limit (max 1000), cursor (from nextCursor), format (json|csv|pinescript; pinescript takes ?profile=),
+// cluster (0 to list duplicate alerts/stories individually)
+app.get('/events', requireRead, (req, res) => {
+  let filters;
+  try {
+    filters = history.parseEventQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const result = history.queryEvents(getEventRecords(wantsClustering(req.query)), filters);
+
+  if (result.nextCursor) {
+    res.set('X-Next-Cursor', result.nextCursor);
+  }
+  if (filters.format === 'csv') {
+    return res.type('text/csv').send(history.toCsv(result.events));
+  }
+  if (filters.format === 'pinescript') {
+    let profile;
+    try {
+      profile = pinescript.resolveProfile(pineProfiles, req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.type('text/plain').send(pinescript.encodeEvents(result.events, profile, symbolRegistry.symbols()).text);
+  }
+  res.json({
+    total: result.total,
+    count: result.events.length,
+    nextCursor: result.nextCursor,
+    events: result.events
+  });
+});
+
+// Backtest export: stored events bucketed into OHLC candles for one symbol
+// Query: symbol, resolution (1m-1D or TradingView intervals, default 1h), from, to,
+// format (json|csv), file (CSV name inside OHLC_DIR). POST sends the candle CSV as
+// the body (text/csv) or as { csv }; without candles, bars are built from events alone.
+function handleBacktest(req, res) {
+  const symbol = (req.query.symbol || '').trim().toUpperCase();
+  if (!symbol) {
+    return res.status(400).json({ error: 'symbol is required' });
+  }
+  const resolution = backtest.parseResolution(req.query.resolution || '1h');
+  if (!resolution) {
+    return res.status(400).json({ error: `resolution must be one of ${Object.keys(backtest.RESOLUTIONS).join(', ')}` });
+  }
+
+  let csvText = typeof req.body === 'string' ? req.body : (req.body && req.body.csv);
+  if (!csvText && req.query.file) {
+    const file = path.join(CONFIG.OHLC_DIR, path.basename(req.query.file)); // No directory traversal
+    if (!fs.existsSync(file)) {
+      return res.status(404).json({ error: `OHLC file not found: ${path.basename(req.query.file)}` });
+    }
+    csvText = fs.readFileSync(file, 'utf8');
+  }
+
+  let filters, buckets;
+  try {
+    filters = history.parseEventQuery({ from: req.query.from, to: req.query.to });
+    const candles = csvText ? backtest.parseOhlcCsv(csvText) : null;
+    const events = getEventRecords().filter(record =>
+      record.symbols.includes(symbol) &&
+      (filters.from === null || record.timestamp >= filters.from) &&
+      (filters.to === null || record.timestamp <= filters.to));
+    buckets = backtest.bucketEvents(candles, events, resolution);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (filters.from !== null || filters.to !== null) {
+    buckets = buckets.filter(bucket =>
+      (filters.from === null || bucket.time + resolution > filters.from) &&
+      (filters.to === null || bucket.time <= filters.to));
+  }
+
+  if ((req.query.format || '').toLowerCase() === 'csv') {
+    return res.type('text/csv').send(backtest.toCsv(buckets));
+  }
+  res.json({
+    symbol,
+    resolution,
+    candles: buckets.length,
+    events: buckets.reduce((sum, bucket) => sum + bucket.eventCount, 0),
+    buckets
+  });
+}
+
+app.get('/backtest', requireRead, handleBacktest);
+app.post('/backtest', requireRead, express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), handleBacktest);
+
+// Test webhook endpoints: the original $5M BTC transfer fixture, or a custom
+// one from query/body fields (type, token, usdValue, amount, from, fromEntity,
+// to, toEntity, chain, txHash, alertName; entity and message for entity_alert).
+// Resolves to { event, added } (added is false for an already stored id) or null.
+async function injectTestEvent(fields) {
+  const event = await buildArkhamEvent(buildTestPayload(fields));
+  if (!event || !event.recognized) {
+    return null;
+  }
+  return { event, added: addArkhamEvent(event) };
+}
+
+function duplicateTestEvent(res, event) {
+  res.status(409).json({ success: false, duplicate: true, message: `Event ${event.id} is already stored`, testEvent: event });
+}
+
 // Test webhook endpoint - POST version (for real webhook testing)
-app.post('/test-webhook', (req, res) => {
-  // Simulate an Arkham webhook for testing
-  const testEvent = {
-    transaction: {
-      value: 5000000, // $5M
-      token: 'BTC',
-      from: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
-      to: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'
-    },
-    alert: {
-      name: 'Large BTC Transfer Alert'
+app.post('/test-webhook', requireDevMode, requireAdmin, async (req, res) => {
+  try {
+    const result = await injectTestEvent({ ...req.query, ...req.body });
+    if (result && !result.added) {
+      duplicateTestEvent(res, result.event);
+    } else if (result) {
+      res.json({ success: true, testEvent: result.event });
+    } else {
+      res.status(400).json({ success: false, message: 'Failed to process test event' });
     }
-  };
-  
-  const event = processArkhamEvent(testEvent);
-  if (event) {
-    addArkhamEvent(event);
-    res.json({ success: true, testEvent: event });
-  } else {
-    res.status(400).json({ success: false, message: 'Failed to process test event' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
   }
 });
 
 // Test webhook endpoint - GET version (for browser testing)
-app.get('/test-webhook', (req, res) => {
-  // Simulate an Arkham webhook for testing
-  const testEvent = {
-    transaction: {
-      value: 5000000, // $5M
-      token: 'BTC',
-      from: '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa',
-      to: '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2'
-    },
-    alert: {
-      name: 'Large BTC Transfer Alert'
+app.get('/test-webhook', requireDevMode, requireAdmin, async (req, res) => {
+  try {
+    const result = await injectTestEvent(req.query);
+    if (result && !result.added) {
+      duplicateTestEvent(res, result.event);
+    } else if (result) {
+      res.json({ 
+        success: true, 
+        message: 'Test event created successfully',
+        testEvent: result.event,
+        instructions: 'Check /arkham-events to see stored events, and /crypto-news?symbols=BTC to see it in the feed'
+      });
+    } else {
+      res.status(400).json({ success: false, message: 'Failed to process test event' });
     }
-  };
-  
-  const event = processArkhamEvent(testEvent);
-  if (event) {
-    addArkhamEvent(event);
-    res.json({ 
-      success: true, 
-      message: 'Test event created successfully',
-      testEvent: event,
-      instructions: 'Check /arkham-events to see stored events, and /crypto-news?symbols=BTC to see it in the feed'
-    });
-  } else {
-    res.status(400).json({ success: false, message: 'Failed to process test event' });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
   }
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error(`[${new Date().toISOString()}] Unhandled error:`, error);
+  log.error('Unhandled error', { error });
   res.status(500).json({ 
     error: 'Server error',
     timestamp: new Date().toISOString()
@@ -639,25 +1483,76 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       '/health', 
+      '/metrics',
       '/crypto-news', 
       '/debug', 
       '/cache', 
+      '/config',
       '/arkham-webhook', 
       '/arkham-events', 
+      '/events',
+      '/backtest',
       '/test-webhook',
       '/raw-webhooks',
-      '/tradingview-seed'
+      '/tradingview-seed',
+      '/pinescript/profiles',
+      '/feeds/:profile',
+      '/profiles',
+      '/stream',
+      '/stream/ws',
+      '/admin/ui',
+      '/admin/prices',
+      '/admin/symbols',
+      '/admin/keys',
+      '/admin/scheduler',
+      '/admin/seed',
+      '/admin/replay',
+      '/alerts/rules',
+      '/alerts/deliveries'
     ]
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`[${new Date().toISOString()}] Crypto Bridge Server v2.0 running on port ${PORT}`);
-  console.log(`[${new Date().toISOString()}] Cache duration: ${CONFIG.CACHE_DURATION / 60000} minutes`);
-  console.log(`[${new Date().toISOString()}] Daily request limit: ${CONFIG.MAX_REQUESTS_PER_DAY}`);
-  console.log(`[${new Date().toISOString()}] Arkham webhook endpoint: /arkham-webhook`);
-  console.log(`[${new Date().toISOString()}] Test webhook: GET/POST /test-webhook`);
-});
+// Start server when run directly; tests and embedders use the exported app
+function start() {
+  const server = app.listen(PORT, () => {
+    log.info('Crypto Bridge Server v2.0 started', {
+      port: PORT,
+      cacheMinutes: CONFIG.CACHE_DURATION / 60000,
+      providers: newsProviders.map(p => `${p.name} (${p.quota.limit}/day)`),
+      storage: store.driver,
+      arkhamEventRetention: CONFIG.ARKHAM_EVENT_RETENTION,
+      auth: auth.enabled ? `enabled (default ${CONFIG.RATE_LIMIT_PER_MINUTE} req/min per key)` : 'DISABLED',
+      webhookSignatures: webhookVerifier.enabled ? CONFIG.WEBHOOK_SIGNATURE_ALGORITHM : 'DISABLED (set WEBHOOK_SECRET)',
+      devMode: CONFIG.DEV_MODE
+    });
+    if (CONFIG.SCHEDULER_ENABLED) {
+      newsScheduler.start();
+      log.info('News scheduler started', { watchlists: newsScheduler.status().watchlists.length, reserve: CONFIG.SCHEDULER_RESERVE_REQUESTS });
+    }
+    if (CONFIG.SEED_PUBLISH_ENABLED) {
+      seedPublisher.start();
+      log.info('Seed publisher started', {
+        repoDir: CONFIG.SEED_REPO_DIR,
+        intervalMinutes: CONFIG.SEED_PUBLISH_INTERVAL_MINUTES,
+        push: CONFIG.SEED_PUSH ? `${CONFIG.SEED_REMOTE}/${CONFIG.SEED_BRANCH}` : false
+      });
+    }
+  });
+
+  eventStream.attachWebSocket(server, '/stream/ws', (req, query) => auth.authenticate(req.headers, query, 'read'));
+  return server;
+}
+
+if (require.main === module) {
+  start();
+
+  // Hot reload keeps every store, cache and connection; see lib/config.js for what reloads
+  process.on('SIGHUP', () => config.reload('SIGHUP'));
+  config.watch();
+
+  // Exiting through process.exit lets the file store write batched changes
+  ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
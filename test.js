@@ -0,0 +1,10 @@
+// Test runner: loads every test/*.test.js file, node:test reports the results
+const fs = require('fs');
+const path = require('path');
+
+const testDir = path.join(__dirname, 'test');
+
+fs.readdirSync(testDir)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(testDir, file)));
@@ -0,0 +1,191 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const fetch = require('node-fetch');
+const { createStore } = require('../lib/store');
+const { createAlertEngine, createAlertRouter } = require('../lib/alerts');
+const { validateRule, ruleMatches } = require('../lib/alerts/rules');
+
+const whaleRule = validateRule({
+  name: 'ETH over $10M',
+  match: { categories: ['ONCHAIN'], symbols: 'eth', minUsdValue: 10000000 },
+  target: { type: 'webhook', url: 'http://localhost/hook' }
+});
+
+test('alerts: on-chain rule matches by symbol and size', () => {
+  assert.ok(ruleMatches(whaleRule, { category: 'ONCHAIN', symbols: ['ETH'], usdValue: 12000000, title: 'x' }));
+  assert.ok(!ruleMatches(whaleRule, { category: 'ONCHAIN', symbols: ['ETH'], usdValue: 900000, title: 'x' }));
+  assert.ok(!ruleMatches(whaleRule, { category: 'ONCHAIN', symbols: ['BTC'], usdValue: 12000000, title: 'x' }));
+  assert.ok(!ruleMatches(whaleRule, { category: 'NEWS', symbols: ['ETH'], title: 'x' }));
+});
+
+test('alerts: keyword rules match whole words in title or text', () => {
+  const rule = validateRule({
+    name: 'SEC news',
+    match: { categories: 'NEWS', symbols: ['BTC'], keywords: ['SEC'] },
+    target: { type: 'slack', url: 'http://localhost/slack' }
+  });
+  assert.ok(ruleMatches(rule, { category: 'NEWS', symbols: ['BTC'], title: 'SEC delays decision' }));
+  assert.ok(!ruleMatches(rule, { category: 'NEWS', symbols: ['BTC'], title: 'Bitcoin secures new high' }));
+});
+
+test('alerts: invalid rules are rejected with a reason', () => {
+  assert.throws(() => validateRule({ name: 'x', target: { type: 'telegram' } }), /botToken/);
+  assert.throws(() => validateRule({ name: 'x', match: { categories: ['FOO'] }, target: { type: 'webhook', url: 'u' } }), /categories/);
+});
+
+// Delivery target: each path fails with its queued responses ('hang' never
+// answers), then succeeds. Every request is recorded with its JSON body.
+const target = { requests: [], failures: {} };
+let targetServer;
+
+before(async () => {
+  targetServer = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => (body += chunk));
+    req.on('end', () => {
+      target.requests.push({ path: req.url, at: Date.now(), body: JSON.parse(body) });
+      const failure = (target.failures[req.url] || []).shift();
+      if (failure === 'hang') return; // Left open until the client times out
+      res.writeHead(failure || 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => targetServer.listen(0, '127.0.0.1', resolve));
+  target.baseUrl = `http://127.0.0.1:${targetServer.address().port}`;
+});
+
+after(() => {
+  targetServer.closeAllConnections();
+  return new Promise(resolve => targetServer.close(resolve));
+});
+
+function createEngine(store = createStore()) {
+  return createAlertEngine({
+    rules: store.map('alertRules'),
+    deliveries: store.list('alertDeliveries'),
+    maxAttempts: 3,
+    baseDelayMs: 40,
+    timeoutMs: 150
+  });
+}
+
+async function settled(engine, deliveryId) {
+  const started = Date.now();
+  for (;;) {
+    const delivery = engine.listDeliveries().find(d => d.id === deliveryId);
+    if (delivery && ['delivered', 'failed'].includes(delivery.status)) return delivery;
+    if (Date.now() - started > 3000) throw new Error(`Delivery still ${delivery && delivery.status}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const ethTransfer = { category: 'ONCHAIN', symbols: ['ETH'], title: 'Large ETH transfer', link: 'https://arkm.example.com/tx/1', usdValue: 2e7, timestamp: 1709294400 };
+
+test('alerts: Discord, Slack, Telegram and webhook payload formats', async () => {
+  const engine = createEngine();
+  engine.createRule({ name: 'Discord whales', target: { type: 'discord', url: `${target.baseUrl}/discord` } });
+  engine.createRule({ name: 'Slack whales', target: { type: 'slack', url: `${target.baseUrl}/slack` } });
+  engine.createRule({ name: 'Telegram whales', target: { type: 'telegram', botToken: '123:abc', chatId: '-100', apiBaseUrl: target.baseUrl } });
+  engine.createRule({ name: 'Webhook whales', target: { type: 'webhook', url: `${target.baseUrl}/hook`, headers: { 'X-Token': 't' } } });
+
+  assert.strictEqual(engine.evaluate(ethTransfer), 4);
+  await Promise.all(engine.listDeliveries().map(d => settled(engine, d.id)));
+  const bodies = Object.fromEntries(target.requests.map(r => [r.path, r.body]));
+
+  const line = '[ONCHAIN] ETH: Large ETH transfer\nhttps://arkm.example.com/tx/1';
+  assert.deepStrictEqual(bodies['/discord'], { content: `**Discord whales**\n${line}`, allowed_mentions: { parse: [] } });
+  assert.deepStrictEqual(bodies['/slack'], { text: `*Slack whales*\n${line}` });
+  assert.deepStrictEqual(bodies['/bot123:abc/sendMessage'], { chat_id: '-100', text: `Telegram whales\n${line}`, disable_web_page_preview: true });
+  assert.deepStrictEqual(bodies['/hook'].event, ethTransfer);
+  assert.strictEqual(bodies['/hook'].rule.name, 'Webhook whales');
+  assert.ok(engine.listDeliveries().every(d => d.status === 'delivered' && d.attempts.length === 1));
+});
+
+test('alerts: failed attempts are retried with backoff until delivered', async () => {
+  target.requests = [];
+  target.failures['/flaky'] = [500, 'hang'];
+  const engine = createEngine();
+  const rule = engine.createRule({ name: 'Flaky', target: { type: 'slack', url: `${target.baseUrl}/flaky` } });
+
+  const delivery = await settled(engine, engine.deliver(rule, ethTransfer).id);
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.deepStrictEqual(delivery.attempts.map(a => a.httpStatus), [500, null, 200]);
+  assert.match(delivery.attempts[1].error, /timeout/i);
+
+  // 40ms then 80ms base delays with +/- 20% jitter; the second attempt also waited out the 150ms timeout
+  const [first, second, third] = target.requests.map(r => r.at);
+  assert.ok(second - first >= 32, `first retry after ${second - first}ms`);
+  assert.ok(third - second >= 150 + 64, `second retry after ${third - second}ms`);
+});
+
+test('alerts: client errors fail at once, server errors fail after the last attempt', async () => {
+  target.failures['/gone'] = [404];
+  target.failures['/down'] = [503, 503, 503];
+  const engine = createEngine();
+  const gone = engine.createRule({ name: 'Gone', target: { type: 'webhook', url: `${target.baseUrl}/gone` } });
+  const down = engine.createRule({ name: 'Down', target: { type: 'webhook', url: `${target.baseUrl}/down` } });
+
+  const [notFound, unavailable] = await Promise.all([
+    settled(engine, engine.deliver(gone, ethTransfer).id),
+    settled(engine, engine.deliver(down, ethTransfer).id)
+  ]);
+  assert.strictEqual(notFound.status, 'failed');
+  assert.strictEqual(notFound.attempts.length, 1);
+  assert.strictEqual(unavailable.status, 'failed');
+  assert.deepStrictEqual(unavailable.attempts.map(a => a.httpStatus), [503, 503, 503]);
+});
+
+test('alerts: the delivery log is inspectable over HTTP', async () => {
+  target.failures['/log'] = [404];
+  const engine = createEngine();
+  const ok = engine.createRule({ name: 'Ok', target: { type: 'slack', url: `${target.baseUrl}/slack` } });
+  const bad = engine.createRule({ name: 'Bad', target: { type: 'slack', url: `${target.baseUrl}/log` } });
+  const delivered = await settled(engine, engine.deliver(ok, ethTransfer).id);
+  await settled(engine, engine.deliver(bad, ethTransfer).id);
+
+  const app = express();
+  app.use('/alerts', createAlertRouter(engine));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/alerts`;
+  const failed = await (await fetch(`${base}/deliveries?status=failed`)).json();
+  const byRule = await (await fetch(`${base}/deliveries?ruleId=${ok.id}`)).json();
+  const one = await (await fetch(`${base}/deliveries/${delivered.id}`)).json();
+  await new Promise(resolve => server.close(resolve));
+
+  assert.strictEqual(failed.totalDeliveries, 1);
+  assert.strictEqual(failed.deliveries[0].ruleName, 'Bad');
+  assert.strictEqual(failed.deliveries[0].attempts[0].httpStatus, 404);
+  assert.deepStrictEqual(byRule.deliveries.map(d => d.id), [delivered.id]);
+  assert.strictEqual(one.event.title, 'Large ETH transfer');
+  assert.strictEqual(one.status, 'delivered');
+});
+
+test('alerts: deliveries left unfinished by a restart are resumed or failed', async () => {
+  target.requests = [];
+  const store = createStore();
+  const rules = store.map('alertRules');
+  const deliveries = store.list('alertDeliveries');
+  rules.set('r1', { id: 'r1', ...validateRule({ name: 'Resumed', target: { type: 'slack', url: `${target.baseUrl}/resumed` } }) });
+  const unfinished = (id, ruleId, status, attempts) => ({
+    id, ruleId, ruleName: 'x', targetType: 'slack', event: ethTransfer, status, createdAt: 1, updatedAt: 1,
+    attempts: Array.from({ length: attempts }, (_, i) => ({ attempt: i + 1, httpStatus: 500, error: 'Target responded with status: 500' }))
+  });
+  deliveries.unshift(unfinished('retrying', 'r1', 'retrying', 1));
+  deliveries.unshift(unfinished('pending', 'r1', 'pending', 0));
+  deliveries.unshift(unfinished('orphan', 'deleted-rule', 'retrying', 1));
+  deliveries.unshift(unfinished('spent', 'r1', 'retrying', 3));
+
+  const engine = createEngine(store); // As on startup
+  const retried = await settled(engine, 'retrying');
+  assert.strictEqual(retried.status, 'delivered');
+  assert.deepStrictEqual(retried.attempts.map(a => a.attempt), [1, 2]);
+  assert.strictEqual((await settled(engine, 'pending')).attempts.length, 1);
+  assert.deepStrictEqual(['orphan', 'spent'].map(id => engine.listDeliveries().find(d => d.id === id).reason), [
+    'Rule deleted before delivery resumed',
+    'Out of attempts when delivery resumed'
+  ]);
+  assert.strictEqual(target.requests.filter(r => r.path === '/resumed').length, 2);
+});
@@ -0,0 +1,44 @@
+// Fixture-driven tests for the Arkham payload normalizer
+// Each test/fixtures/arkham/*.json holds { description, payload, expected };
+// only the fields listed in `expected` are compared.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { normalizeArkhamPayload } = require('../lib/arkham');
+
+const fixtureDir = path.join(__dirname, 'fixtures', 'arkham');
+
+fs.readdirSync(fixtureDir)
+  .filter(file => file.endsWith('.json'))
+  .sort()
+  .forEach(file => {
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+
+    test(`arkham normalizer: ${file} - ${fixture.description}`, () => {
+      const result = normalizeArkhamPayload(fixture.payload);
+      for (const [field, value] of Object.entries(fixture.expected)) {
+        assert.deepStrictEqual(result[field], value, `field "${field}"`);
+      }
+    });
+  });
+
+test('arkham normalizer: event id is stable for the same transaction', () => {
+  const payload = { transfer: { transactionHash: '0xabc', tokenSymbol: 'BTC', chain: 'bitcoin' } };
+  assert.strictEqual(normalizeArkhamPayload(payload).id, normalizeArkhamPayload({ ...payload }).id);
+});
+
+test('arkham normalizer: content identifies an event only with a hash, delivery id or time', () => {
+  const alert = { entity: { name: 'Jump' }, alert: { name: 'Large outflow' }, message: 'Moved funds' };
+  // The same alert firing twice is two events
+  assert.notStrictEqual(normalizeArkhamPayload(alert, 1000).id, normalizeArkhamPayload(alert, 2000).id);
+  assert.strictEqual(normalizeArkhamPayload(alert, 1000).id, normalizeArkhamPayload({ ...alert }, 1000).id); // Reprocessing
+
+  const timed = { ...alert, timestamp: 1709294400 };
+  assert.strictEqual(normalizeArkhamPayload(timed, 1000).id, normalizeArkhamPayload(timed, 2000).id);
+  assert.notStrictEqual(normalizeArkhamPayload(timed).id, normalizeArkhamPayload({ ...timed, timestamp: 1709298000 }).id);
+
+  const delivered = { ...alert, id: 'dlv_1' };
+  assert.strictEqual(normalizeArkhamPayload(delivered, 1000).id, normalizeArkhamPayload(delivered, 2000).id);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/store');
+const { createAuth } = require('../lib/auth');
+
+function setup() {
+  const store = createStore({ driver: 'memory' });
+  return createAuth({
+    keys: store.map('apiKeys'),
+    counters: store.map('counters'),
+    enabled: true,
+    adminKey: 'admin-secret',
+    defaultRateLimitPerMinute: 2,
+    defaultUpstreamPerDay: 1
+  });
+}
+
+test('auth: scopes and key transport are enforced', () => {
+  const auth = setup();
+  const { key } = auth.createKey({ name: 'pine', scopes: ['read'] });
+
+  assert.strictEqual(auth.authenticate({}, {}, 'read').status, 401);
+  assert.ok(auth.authenticate({}, { apikey: key }, 'read').client);
+  assert.strictEqual(auth.authenticate({ 'x-api-key': key }, {}, 'admin').status, 403);
+  // Admin keys are never accepted from the query string
+  assert.strictEqual(auth.authenticate({}, { apikey: 'admin-secret' }, 'admin').status, 401);
+  assert.ok(auth.authenticate({ authorization: 'Bearer admin-secret' }, {}, 'admin').client);
+});
+
+test('auth: per-key rate limit returns 429 with Retry-After', () => {
+  const auth = setup();
+  const { key } = auth.createKey({ name: 'burst', scopes: ['read'] });
+  auth.authenticate({ 'x-api-key': key }, {}, 'read');
+  auth.authenticate({ 'x-api-key': key }, {}, 'read');
+  const limited = auth.authenticate({ 'x-api-key': key }, {}, 'read');
+  assert.strictEqual(limited.status, 429);
+  assert.ok(Number(limited.headers['Retry-After']) > 0);
+});
+
+test('auth: usage and upstream budget are tracked per key', () => {
+  const auth = setup();
+  const { client } = auth.createKey({ name: 'script', scopes: ['read'] });
+  const quota = auth.upstreamQuota(client);
+  assert.ok(!quota.exhausted());
+  quota.increment();
+  assert.ok(quota.exhausted());
+  assert.strictEqual(auth.getKey(client.id).usage.upstreamToday, 1);
+});
+
+test('auth: per-key limits must be non-negative integers', () => {
+  const auth = setup();
+  ['lots', 'NaN', -1, 1.5, Infinity, '', null, true].forEach(value => {
+    assert.throws(() => auth.createKey({ name: 'bad', rateLimitPerMinute: value }), /rateLimitPerMinute must be a non-negative integer/);
+  });
+  assert.throws(() => auth.createKey({ name: 'bad', upstreamPerDay: '2x' }), /upstreamPerDay must be a non-negative integer/);
+  assert.strictEqual(auth.listKeys().length, 0);
+
+  const { client } = auth.createKey({ name: 'script', rateLimitPerMinute: '30', upstreamPerDay: 0 });
+  assert.strictEqual(client.rateLimitPerMinute, 30);
+  assert.strictEqual(client.upstreamPerDay, 0);
+  assert.throws(() => auth.updateKey(client.id, { rateLimitPerMinute: 'unlimited', disabled: true }), /non-negative integer/);
+  assert.strictEqual(auth.getKey(client.id).disabled, false); // Rejected updates change nothing
+  assert.strictEqual(auth.updateKey(client.id, { rateLimitPerMinute: 5 }).rateLimitPerMinute, 5);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const backtest = require('../lib/backtest');
+
+const CSV = [
+  'timestamp,open,high,low,close,volume',
+  '2024-03-01T00:00:00Z,100,110,95,105,10',
+  '2024-03-01T00:30:00Z,105,120,100,115,5',
+  '2024-03-01T01:00:00Z,115,116,90,92,7'
+].join('\n');
+
+test('backtest: parses resolutions including TradingView intervals', () => {
+  assert.strictEqual(backtest.parseResolution('1h'), 3600);
+  assert.strictEqual(backtest.parseResolution('240'), 14400);
+  assert.strictEqual(backtest.parseResolution('D'), 86400);
+  assert.strictEqual(backtest.parseResolution('7m'), null);
+});
+
+test('backtest: resamples candles and buckets events into them', () => {
+  const candles = backtest.parseOhlcCsv(CSV);
+  const base = Date.parse('2024-03-01T00:00:00Z') / 1000;
+  const events = [
+    { timestamp: base + 2000, category: 'ONCHAIN', title: 'Whale move', usdValue: 2000000, score: -40 },
+    { timestamp: base + 100, category: 'NEWS', title: 'ETF news', score: 20 },
+    { timestamp: base + 3700, category: 'NEWS', title: 'Later', score: 0 },
+    { timestamp: base + 99999, category: 'NEWS', title: 'Outside range', score: 0 }
+  ];
+
+  const buckets = backtest.bucketEvents(candles, events, 3600);
+  assert.strictEqual(buckets.length, 2);
+  assert.deepStrictEqual(
+    [buckets[0].open, buckets[0].high, buckets[0].low, buckets[0].close, buckets[0].volume],
+    [100, 120, 95, 115, 15]
+  );
+  assert.strictEqual(buckets[0].newsCount, 1);
+  assert.strictEqual(buckets[0].onchainCount, 1);
+  assert.strictEqual(buckets[0].onchainUsd, 2000000);
+  assert.strictEqual(buckets[0].avgScore, -10);
+  assert.deepStrictEqual(buckets[0].headlines, ['NEWS: ETF news', 'ONCHAIN: Whale move']);
+  assert.strictEqual(buckets[1].eventCount, 1);
+
+  assert.throws(() => backtest.bucketEvents(candles, events, 60), /finer/);
+});
+
+test('backtest: headerless CSV and CSV export', () => {
+  const candles = backtest.parseOhlcCsv('1709251200,1,2,0.5,1.5\n1709254800,1.5,2,1,1');
+  assert.strictEqual(candles.length, 2);
+  assert.strictEqual(candles[0].volume, 0);
+  assert.throws(() => backtest.parseOhlcCsv('time,open,close\n1,2,3'), /missing columns: high, low/);
+
+  const lines = backtest.toCsv(backtest.bucketEvents(candles, [], 3600)).split('\n');
+  assert.strictEqual(lines.length, 3);
+  assert.ok(lines[1].startsWith('1709251200,2024-03-01T00:00:00.000Z,1,2,0.5,1.5,0,0,0,0,0,0,'));
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createCache, normalizeCacheKey } = require('../lib/cache');
+
+test('cache: keys are order and case insensitive for symbols', () => {
+  assert.strictEqual(normalizeCacheKey('BTC,ETH'), normalizeCacheKey('eth, btc'));
+  assert.notStrictEqual(normalizeCacheKey('BTC', null, '1'), normalizeCacheKey('BTC', null, '24'));
+});
+
+test('cache: concurrent misses share one fetch', async () => {
+  const cache = createCache();
+  let calls = 0;
+  const fetcher = () => new Promise(resolve => setTimeout(() => resolve(++calls), 20));
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrFetch('k', fetcher)));
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(results.map(r => r.value), [1, 1, 1]);
+  assert.strictEqual(cache.stats().coalesced, 2);
+});
+
+test('cache: stale entries are served while refreshing in the background', async () => {
+  const cache = createCache({ ttlMs: 10, staleTtlMs: 10000 });
+  let version = 0;
+  const fetcher = async () => ++version;
+  await cache.getOrFetch('k', fetcher);
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const stale = await cache.getOrFetch('k', fetcher);
+  assert.strictEqual(stale.state, 'stale');
+  assert.strictEqual(stale.value, 1);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(cache.get('k'), 2);
+});
+
+test('cache: expired entries fall back when the fetch fails', async () => {
+  const cache = createCache({ ttlMs: 1, staleTtlMs: 1 });
+  cache.set('k', ['old']);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const result = await cache.getOrFetch('k', async () => {
+    throw new Error('upstream down');
+  });
+  assert.strictEqual(result.state, 'stale-error');
+  assert.deepStrictEqual(result.value, ['old']);
+  await assert.rejects(cache.getOrFetch('missing', async () => {
+    throw new Error('upstream down');
+  }), /upstream down/);
+});
+
+test('cache: least recently used entries are evicted first', () => {
+  const cache = createCache({ maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  return cache.getOrFetch('a', async () => 0).then(() => {
+    cache.set('c', 3);
+    assert.deepStrictEqual(cache.entries().map(e => e.key), ['a', 'c']);
+    assert.strictEqual(cache.stats().evictions, 1);
+  });
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { clusterOnchainEvents, clusterArticles } = require('../lib/clustering');
+
+test('clustering: on-chain alerts group by tx hash or by amount/symbol/time', () => {
+  const events = [
+    { id: 'a', timestamp: 1000, symbol: 'BTC', type: 'transfer', txHash: '0xAA', usdValue: 5000000, alertName: 'Whales' },
+    { id: 'b', timestamp: 1030, symbol: 'BTC', type: 'transfer', txHash: '0xaa', usdValue: 5000000, alertName: 'Exchanges' },
+    { id: 'c', timestamp: 1100, symbol: 'BTC', type: 'transfer', usdValue: 5050000, alertName: 'Large BTC' },
+    { id: 'd', timestamp: 1100, symbol: 'ETH', type: 'transfer', usdValue: 5000000 },
+    { id: 'e', timestamp: 9000, symbol: 'BTC', type: 'transfer', usdValue: 5000000 },
+    { id: 'f', timestamp: 1050, symbol: 'BTC', type: 'transfer', txHash: '0xbb', usdValue: 5000000 }
+  ];
+
+  const clusters = clusterOnchainEvents(events);
+  const btc = clusters.find(c => c.cluster.members.some(m => m.id === 'a'));
+  assert.deepStrictEqual(btc.cluster.members.map(m => m.id).sort(), ['a', 'b', 'c']);
+  assert.strictEqual(btc.cluster.sourceCount, 3);
+  assert.strictEqual(btc.id, 'c'); // Largest USD value represents the cluster
+  assert.strictEqual(clusters.length, 4);
+  assert.strictEqual(clusters[0].id, 'e'); // Newest first
+});
+
+test('clustering: syndicated headlines collapse with a source count', () => {
+  const articles = [
+    { title: 'Bitcoin ETFs see record $1B inflows', pubDate: '2024-03-01T10:00:00Z', source_id: 'coindesk', link: 'https://a/1' },
+    { title: 'Bitcoin ETF sees record $1B inflows as price climbs', pubDate: '2024-03-01T11:00:00Z', source_id: 'decrypt', link: 'https://b/1' },
+    { title: 'Solana outage halts block production', pubDate: '2024-03-01T12:00:00Z', source_id: 'coindesk', link: 'https://a/2', providers: ['newsdata', 'rss'] },
+    { title: 'Bitcoin ETFs see record $1B inflows', pubDate: '2024-03-05T10:00:00Z', source_id: 'theblock', link: 'https://c/1' }
+  ];
+
+  const clusters = clusterArticles(articles);
+  assert.strictEqual(clusters.length, 3);
+  const etf = clusters.find(c => c.cluster.size === 2);
+  assert.strictEqual(etf.link, 'https://a/1'); // Earliest report represents the story
+  assert.strictEqual(etf.cluster.sourceCount, 2);
+  assert.deepStrictEqual(etf.cluster.members.map(m => m.source), ['coindesk', 'decrypt']);
+  // One outlet's article found through two providers is still one source
+  assert.strictEqual(clusters.find(c => c.link === 'https://a/2').cluster.sourceCount, 1);
+});
+
+test('clustering: undated articles are placed at their fetch time', () => {
+  const fetchedAt = Date.parse('2024-03-05T10:30:00Z');
+  const clusters = clusterArticles([
+    { title: 'Bitcoin ETFs see record $1B inflows', pubDate: '2024-03-01T10:00:00Z', source_id: 'coindesk', link: 'https://a/1' },
+    { title: 'Bitcoin ETFs see record $1B inflows', pubDate: '2024-03-05T10:00:00Z', source_id: 'theblock', link: 'https://c/1' },
+    { title: 'Bitcoin ETFs see record $1B inflows', pubDate: 'not a date', fetchedAt, source_id: 'decrypt', link: 'https://b/1' }
+  ]);
+
+  // Joins the March 5 report rather than being treated as 1970
+  assert.deepStrictEqual(clusters.map(c => c.cluster.members.map(m => m.source)), [['theblock', 'decrypt'], ['coindesk']]);
+});
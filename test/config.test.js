@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfig, resolveConfig } = require('../lib/config');
+
+const BASE_ENV = { NEWSDATA_API_KEY: 'k' };
+
+function writeConfig(dir, values) {
+  const file = path.join(dir, 'bridge.json');
+  fs.writeFileSync(file, JSON.stringify(values));
+  return file;
+}
+
+test('config: environment overrides file, file overrides defaults', () => {
+  const { values, sources } = resolveConfig(
+    { ...BASE_ENV, CACHE_MAX_ENTRIES: '80', STORE_DIR: '/srv/bridge' },
+    { CACHE_MAX_ENTRIES: 60, CACHE_TTL_MINUTES: 10, SEED_SYMBOLS: ['btc', 'eth'] }
+  );
+
+  assert.strictEqual(values.CACHE_MAX_ENTRIES, 80);
+  assert.strictEqual(sources.CACHE_MAX_ENTRIES, 'env');
+  assert.strictEqual(values.CACHE_DURATION, 10 * 60 * 1000); // Minutes in the file, ms in code
+  assert.strictEqual(sources.CACHE_DURATION, 'file');
+  assert.deepStrictEqual(values.SEED_SYMBOLS, ['BTC', 'ETH']);
+  assert.strictEqual(values.MAX_SYMBOLS_PER_REQUEST, 5);
+  assert.strictEqual(sources.MAX_SYMBOLS_PER_REQUEST, 'default');
+  assert.strictEqual(values.RAW_ARCHIVE_DIR, path.join('/srv/bridge', 'raw-webhooks')); // Derived default
+  assert.strictEqual(values.AUTH_ENABLED, true);
+  assert.strictEqual(resolveConfig({ ...BASE_ENV, NODE_ENV: 'development' }, {}).values.AUTH_ENABLED, false);
+});
+
+test('config: reports every problem at once', () => {
+  assert.throws(
+    () => resolveConfig({ CACHE_MAX_ENTRIES: 'lots', LOG_LEVEL: 'loud' }, { CACHE_TTL_MINUTES: 0, TYPO: 1 }),
+    error => {
+      assert.match(error.message, /^Invalid configuration/);
+      assert.match(error.message, /TYPO: unknown setting/);
+      assert.match(error.message, /CACHE_MAX_ENTRIES \(env\): must be an integer/);
+      assert.match(error.message, /LOG_LEVEL \(env\): must be one of/);
+      assert.match(error.message, /CACHE_TTL_MINUTES \(file\): must be at least 1/);
+      return true;
+    }
+  );
+  assert.throws(() => resolveConfig({}, {}), /NEWSDATA_API_KEY is required/);
+  assert.throws(() => resolveConfig({ NEWS_PROVIDERS: 'rss,twitter' }, {}), /unknown value\(s\) twitter/);
+  assert.doesNotThrow(() => resolveConfig({ NEWS_PROVIDERS: 'rss', RSS_FEEDS: 'https://example.com/feed' }, {}));
+});
+
+test('config: reload applies reloadable settings in place and keeps the rest', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  const file = writeConfig(dir, { MAX_SYMBOLS_PER_REQUEST: 5, CACHE_MAX_ENTRIES: 50 });
+  const config = createConfig({ file, env: BASE_ENV });
+  const values = config.values;
+  const seen = [];
+  config.onReload(changed => seen.push(changed));
+
+  writeConfig(dir, { MAX_SYMBOLS_PER_REQUEST: 8, CACHE_MAX_ENTRIES: 500 });
+  const result = config.reload();
+  assert.deepStrictEqual(result, { ok: true, changed: ['MAX_SYMBOLS_PER_REQUEST'], requiresRestart: ['CACHE_MAX_ENTRIES'] });
+  assert.strictEqual(config.values, values);
+  assert.strictEqual(values.MAX_SYMBOLS_PER_REQUEST, 8);
+  assert.strictEqual(values.CACHE_MAX_ENTRIES, 50);
+  assert.deepStrictEqual(seen, [['MAX_SYMBOLS_PER_REQUEST']]);
+
+  // Invalid files are rejected whole
+  fs.writeFileSync(file, '{ "MAX_SYMBOLS_PER_REQUEST": 2, ');
+  assert.strictEqual(config.reload().ok, false);
+  assert.strictEqual(values.MAX_SYMBOLS_PER_REQUEST, 8);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('config: describe shows configured units and redacts secrets', () => {
+  const config = createConfig({
+    env: {
+      ...BASE_ENV,
+      PRICE_API_URL: 'https://prices.example.com/q?apikey=abc123&symbol={symbol}',
+      RSS_FEEDS: 'https://feeds.example.com/rss?token=s3cret,https://open.example.org/feed.xml'
+    }
+  });
+  const { settings, file } = config.describe();
+
+  assert.strictEqual(file, null);
+  assert.deepStrictEqual(settings.NEWSDATA_API_KEY, { value: '***', source: 'env', reloadable: false });
+  assert.strictEqual(settings.WEBHOOK_SECRET.value, '');
+  assert.doesNotMatch(settings.PRICE_API_URL.value, /abc123/);
+  assert.deepStrictEqual(settings.RSS_FEEDS.value, ['https://feeds.example.com/rss?token=***', 'https://open.example.org/feed.xml']);
+  assert.deepStrictEqual(settings.CACHE_TTL_MINUTES, { value: 30, source: 'default', reloadable: true });
+  assert.strictEqual(settings.CACHE_MAX_MB.value, 20);
+});
+
+test('config: auth needs an admin key from the environment or the store', () => {
+  const env = { ...BASE_ENV, AUTH_ENABLED: 'true' };
+  const config = createConfig({ env }); // Stored keys are unknown until validate()
+  assert.throws(() => config.validate({ storedAdminKey: () => false }), /ADMIN_API_KEY is required while AUTH_ENABLED/);
+
+  let stored = true;
+  config.validate({ storedAdminKey: () => stored });
+  stored = false;
+  assert.strictEqual(config.reload('test').ok, false); // Facts are kept for reloads
+
+  createConfig({ env: { ...env, ADMIN_API_KEY: 'admin' } }).validate({ storedAdminKey: () => false });
+  createConfig({ env: { ...BASE_ENV, AUTH_ENABLED: 'false' } }).validate({ storedAdminKey: () => false });
+});
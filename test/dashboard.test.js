@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fetch = require('node-fetch');
+const { createStore } = require('../lib/store');
+const { createAuth } = require('../lib/auth');
+const { createDashboardRouter } = require('../lib/dashboard');
+const { buildTestPayload } = require('../lib/test-events');
+const { normalizeArkhamPayload } = require('../lib/arkham');
+const views = require('../lib/dashboard/views');
+
+test('dashboard: test payloads default to the original fixture and accept overrides', () => {
+  const fixture = normalizeArkhamPayload(buildTestPayload());
+  assert.strictEqual(fixture.symbol, 'BTC');
+  assert.strictEqual(fixture.usdValue, 5000000);
+
+  const custom = normalizeArkhamPayload(buildTestPayload({ token: 'eth', usdValue: '2500000', fromEntity: 'Binance', from: '', chain: 'ethereum' }));
+  assert.strictEqual(custom.symbol, 'ETH');
+  assert.strictEqual(custom.usdValue, 2500000);
+  assert.strictEqual(custom.from.entity, 'Binance');
+  assert.strictEqual(custom.chain, 'ethereum');
+
+  const entity = normalizeArkhamPayload(buildTestPayload({ type: 'entity_alert', entity: 'US Government', message: 'Moved funds' }));
+  assert.strictEqual(entity.type, 'entity_alert');
+  assert.throws(() => buildTestPayload({ usdValue: 'lots' }), /usdValue/);
+});
+
+test('dashboard: views escape interpolated values', () => {
+  const html = views.table([['Title', row => views.escapeHtml(row.title)]], [{ title: '<script>alert("x")</script>' }]);
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+  assert.ok(!html.includes('<script>'));
+  assert.ok(views.button('/a"b', 'Go', { key: "k'1" }).includes('value="k&#39;1"'));
+});
+
+test('dashboard: event links render only for http(s) URLs', () => {
+  assert.strictEqual(views.link('https://news.example.com/a?b=1&c=2', 'Story'), '<a href="https://news.example.com/a?b=1&amp;c=2" rel="noreferrer">Story</a>');
+  ['javascript:alert(document.cookie)', ' JavaScript:alert(1)', 'data:text/html,<b>x</b>', '/relative', '', undefined].forEach(href => {
+    assert.strictEqual(views.link(href, 'Story <1>'), 'Story &lt;1&gt;');
+  });
+});
+
+test('dashboard: login cookie, login redirect and in-place reprocessing', async () => {
+  const store = createStore({ driver: 'memory' });
+  const auth = createAuth({ keys: store.map('apiKeys'), counters: store.map('counters'), enabled: true, adminKey: 'admin-secret' });
+  const rawWebhooks = store.list('rawWebhooks', { max: 10 });
+  const arkhamEvents = store.list('arkhamEvents', { max: 10 });
+  const payload = buildTestPayload({ txHash: '0xabc' });
+  const stored = normalizeArkhamPayload(payload, 1000);
+  rawWebhooks.unshift({ id: 'wh-1', timestamp: 1000, payload });
+  arkhamEvents.unshift({ ...stored, title: 'Stale title', timestamp: 42 });
+
+  const app = express();
+  app.use('/admin/ui', createDashboardRouter({
+    auth,
+    rawWebhooks,
+    arkhamEvents,
+    buildArkhamEvent: async (body, receivedAt) => normalizeArkhamPayload(body, receivedAt),
+    addArkhamEvent: event => arkhamEvents.unshift(event)
+  }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/admin/ui`;
+  const form = body => ({ method: 'POST', redirect: 'manual', body: new URLSearchParams(body) });
+
+  try {
+    const anonymous = await fetch(`${base}/webhooks`, { redirect: 'manual' });
+    assert.strictEqual(anonymous.status, 303);
+    assert.strictEqual(new URL(anonymous.headers.get('location')).pathname, '/admin/ui/login');
+    assert.strictEqual((await fetch(`${base}/webhooks/wh-1/reprocess`, form({}))).status, 401);
+
+    const wrong = await fetch(`${base}/login`, form({ key: 'nope' }));
+    assert.match(wrong.headers.get('location'), /\/admin\/ui\/login\?error=1$/);
+    assert.strictEqual(wrong.headers.get('set-cookie'), null);
+
+    const login = await fetch(`${base}/login`, form({ key: 'admin-secret' }));
+    const cookie = login.headers.get('set-cookie');
+    assert.strictEqual(login.status, 303);
+    assert.match(cookie, /^bridge_admin=admin-secret;/);
+    assert.match(cookie, /Path=\/admin\/ui/);
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /SameSite=Strict/);
+    const session = { headers: { cookie: cookie.split(';')[0] } };
+
+    const page = await fetch(`${base}/webhooks`, { ...session, redirect: 'manual' });
+    assert.strictEqual(page.status, 200);
+    assert.ok((await page.text()).includes('/admin/ui/webhooks/wh-1/reprocess'));
+
+    const reprocess = await fetch(`${base}/webhooks/wh-1/reprocess`, { ...form({}), ...session });
+    assert.strictEqual(reprocess.status, 303);
+    assert.match(new URL(reprocess.headers.get('location')).searchParams.get('notice'), /^Updated event /);
+    assert.strictEqual(arkhamEvents.length, 1);
+    assert.strictEqual(arkhamEvents.all()[0].id, stored.id);
+    assert.strictEqual(arkhamEvents.all()[0].title, stored.title);
+    assert.strictEqual(arkhamEvents.all()[0].timestamp, 42); // Keeps its place in the timeline
+    assert.ok(rawWebhooks.all()[0].reprocessedAt);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const history = require('../lib/history');
+
+const records = [
+  history.newsRecord({ title: 'Bitcoin ETF inflows, again', link: 'https://a.example/1', pubDate: '2024-03-01T10:00:00Z', provider: 'newsdata', source_id: 'coindesk' }, [{ symbol: 'BTC', relevance: 90 }], 2),
+  history.newsRecord({ title: 'Ether upgrade ships', link: 'https://a.example/2', pubDate: '2024-03-01T12:00:00Z', provider: 'rss' }, [{ symbol: 'ETH', relevance: 80 }], 1),
+  history.onchainRecord({ id: 'x1', timestamp: 1709290000, symbol: 'BTC', title: '$5.0M BTC transfer', usdValue: 5000000, type: 'transfer', score: -3 }),
+  history.onchainRecord({ id: 'x2', timestamp: 1709290000, symbol: 'ETH', title: '$200K ETH transfer', usdValue: 200000, type: 'transfer', score: 0 })
+];
+
+test('history: filters by symbol, category, source, value and text', () => {
+  const query = q => history.queryEvents(records, history.parseEventQuery(q)).events.map(e => e.id);
+  assert.deepStrictEqual(query({ symbols: 'btc', categories: 'ONCHAIN' }), ['x1']);
+  assert.deepStrictEqual(query({ minUsd: '1000000' }), ['x1']);
+  assert.strictEqual(query({ source: 'coindesk' }).length, 1);
+  assert.strictEqual(query({ q: 'upgrade' }).length, 1);
+  assert.deepStrictEqual(query({ from: '2024-03-01T11:00:00Z', to: '2024-03-01T13:00:00Z' }), [records[1].id]);
+});
+
+test('history: cursor pages through ties without gaps or repeats', () => {
+  const seen = [];
+  let cursor;
+  do {
+    const result = history.queryEvents(records, history.parseEventQuery({ limit: '1', cursor }));
+    seen.push(...result.events.map(e => e.id));
+    cursor = result.nextCursor;
+  } while (cursor);
+  assert.strictEqual(seen.length, records.length);
+  assert.strictEqual(new Set(seen).size, records.length);
+  assert.deepStrictEqual(seen.slice(1, 3), ['x2', 'x1']);
+});
+
+test('history: rejects bad input and escapes CSV fields', () => {
+  assert.throws(() => history.parseEventQuery({ format: 'xml' }));
+  assert.throws(() => history.parseEventQuery({ from: 'yesterday-ish' }));
+  const csv = history.toCsv([records[0]]).split('\n');
+  assert.strictEqual(csv.length, 2);
+  assert.ok(csv[1].includes('"Bitcoin ETF inflows, again"'));
+});
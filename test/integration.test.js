@@ -0,0 +1,241 @@
+// End-to-end: the exported app against the fake Newsdata server, with
+// recorded Arkham payloads replayed through the signed webhook endpoint.
+// Tests share one app instance and run in order; webhook replay comes last
+// because on-chain events appear in every feed once ingested.
+
+const { describe, test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const { createFakeNewsdata, newsdataArticle } = require('./support/fake-newsdata');
+const { replayRecorded, sendWebhook, loadRecordedPayload } = require('./support/webhook-sender');
+
+const WEBHOOK_SECRET = 'integration-secret';
+
+// default profile records: timestamp;CATEGORY;SYMBOL;Title joined by |
+function parseRecords(text) {
+  return text.split('|').filter(Boolean).map(record => {
+    const [timestamp, category, symbol, title] = record.split(';');
+    return { timestamp: Number(timestamp), category, symbol, title };
+  });
+}
+
+function unixSeconds(pubDate) {
+  return Math.floor(Date.parse(`${pubDate.replace(' ', 'T')}Z`) / 1000);
+}
+
+describe('integration', () => {
+  const newsdata = createFakeNewsdata();
+  const savedEnv = { ...process.env };
+  let server;
+  let baseUrl;
+
+  async function get(pathname) {
+    const response = await fetch(`${baseUrl}${pathname}`);
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('json') ? JSON.parse(text) : null;
+    return { status: response.status, text, json };
+  }
+
+  before(async () => {
+    Object.assign(process.env, {
+      NEWS_PROVIDERS: 'newsdata',
+      NEWSDATA_API_KEY: 'integration-key',
+      NEWSDATA_BASE_URL: await newsdata.start(),
+      AUTH_ENABLED: 'false',
+      DEV_MODE: 'true',
+      WEBHOOK_SECRET,
+      STORE_DRIVER: 'memory',
+      RAW_ARCHIVE_ENABLED: 'false',
+      SCHEDULER_ENABLED: 'false',
+      PRICE_SOURCE: '',
+      CACHE_STALE_MINUTES: '1',
+      LOG_LEVEL: 'error'
+    });
+    const app = require('../server');
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    mock.timers.reset();
+    await new Promise(resolve => server.close(resolve));
+    await newsdata.stop();
+    process.env = savedEnv;
+  });
+
+  test('upstream errors with nothing cached answer 503', async () => {
+    newsdata.failWith(500);
+    const failed = await get('/crypto-news?symbols=BTC&timeframe=2h');
+    assert.strictEqual(failed.status, 503);
+    assert.strictEqual(failed.json.error, 'News service temporarily unavailable');
+    assert.match(failed.json.details, /status: 500/);
+
+    newsdata.exhaustQuota();
+    const limited = await get('/crypto-news?symbols=BTC&timeframe=3h');
+    assert.strictEqual(limited.status, 503);
+    assert.match(limited.json.details, /status: 429/);
+    assert.doesNotMatch(limited.json.details, /integration-key/);
+
+    const health = await get('/health');
+    assert.strictEqual(health.json.status, 'degraded');
+    assert.deepStrictEqual(health.json.upstream[0].reasons, ['100% of the last 2 calls failed', 'no successful fetch since startup']);
+  });
+
+  test('articles are tagged with symbols and encoded as PineScript records', async () => {
+    newsdata.reset();
+    const articles = [
+      newsdataArticle({ title: 'Ethereum ETF inflows hit a record', minutesAgo: 10 }),
+      newsdataArticle({ title: 'Solana validators ship an outage fix', minutesAgo: 20, source: 'theblock' }),
+      newsdataArticle({ title: 'BTC | ETH; which one leads the rally?', minutesAgo: 30, source: 'decrypt' }),
+      newsdataArticle({ title: 'Fed leaves rates unchanged', minutesAgo: 40, source: 'reuters' }),
+      newsdataArticle({ title: 'Bitcoin miners sell reserves', minutesAgo: 30 * 60 }) // Outside the 24h window
+    ];
+    newsdata.respondWith(articles);
+
+    const { status, text } = await get('/crypto-news');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(parseRecords(text), [
+      { timestamp: unixSeconds(articles[0].pubDate), category: 'NEWS', symbol: 'ETH', title: 'Ethereum ETF inflows hit a record' },
+      { timestamp: unixSeconds(articles[1].pubDate), category: 'NEWS', symbol: 'SOL', title: 'Solana validators ship an outage fix' },
+      { timestamp: unixSeconds(articles[2].pubDate), category: 'NEWS', symbol: 'BTC', title: 'BTC ETH which one leads the rally?' },
+      { timestamp: unixSeconds(articles[3].pubDate), category: 'NEWS', symbol: 'CRYPTO', title: 'Fed leaves rates unchanged' }
+    ]);
+
+    const [request] = newsdata.requests;
+    assert.strictEqual(request.query.apikey, 'integration-key');
+    assert.strictEqual(request.query.from, new Date(Date.now() - 24 * 3600 * 1000).toISOString().slice(0, 10));
+
+    const tradingview = await get('/crypto-news?profile=tradingview');
+    const [header, first] = tradingview.text.split('|');
+    assert.match(header, /^#1;[0-9a-f]{8};4;0$/);
+    assert.match(first, /^\d+;NEWS;ETH;Ethereum ETF inflows hit a record;\d+$/);
+    assert.strictEqual(newsdata.requests.length, 1); // Same cache entry, only the encoding differs
+  });
+
+  test('equivalent requests share one cached upstream fetch', async () => {
+    newsdata.reset();
+    newsdata.delay(100);
+    newsdata.respondWith([newsdataArticle({ title: 'Bitcoin funding rates flip negative' })]);
+
+    const concurrent = await Promise.all([
+      get('/crypto-news?symbols=BTC,ETH&timeframe=6h'),
+      get('/crypto-news?symbols=eth,%20btc&timeframe=360m')
+    ]);
+    const again = await get('/crypto-news?symbols=ETH,BTC&timeframe=PT6H');
+
+    assert.ok(concurrent.every(response => response.status === 200));
+    assert.strictEqual(concurrent[0].text, concurrent[1].text);
+    assert.strictEqual(again.text, concurrent[0].text);
+    assert.strictEqual(newsdata.requests.length, 1);
+
+    const { json } = await get('/cache');
+    assert.strictEqual(json.stats.coalesced, 1);
+    assert.ok(json.entries.some(entry => entry.key === 'BTC,ETH_general_6h'));
+  });
+
+  test('profile feeds keep only news matching the profile keywords', async () => {
+    newsdata.reset();
+    newsdata.respondWith([
+      newsdataArticle({ title: 'SEC delays spot ETF decision', minutesAgo: 5 }),
+      newsdataArticle({ title: 'EU finalises stablecoin regulation', minutesAgo: 15 }),
+      newsdataArticle({ title: 'NFT floor prices slide', minutesAgo: 25 })
+    ]);
+    const created = await fetch(`${baseUrl}/profiles`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'policy', keywords: 'regulation OR ETF', timeframe: '1h', output: { format: 'json' } })
+    });
+    assert.strictEqual(created.status, 201);
+
+    const feed = await get('/feeds/policy');
+    assert.strictEqual(feed.status, 200);
+    assert.deepStrictEqual(feed.json.events.map(e => e.title), ['SEC delays spot ETF decision', 'EU finalises stablecoin regulation']);
+    assert.strictEqual(newsdata.requests[0].query.q, 'regulation OR ETF');
+  });
+
+  test('expired entries are served when the refresh fails', async () => {
+    newsdata.reset();
+    newsdata.respondWith([newsdataArticle({ title: 'Solana ETF filing amended', minutesAgo: 10 })]);
+    const fresh = await get('/crypto-news?symbols=SOL');
+    assert.strictEqual(fresh.status, 200);
+
+    newsdata.failWith(502);
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    mock.timers.tick(45 * 60 * 1000); // Past the 30 minute TTL and 1 minute stale window
+    const fallback = await get('/crypto-news?symbols=SOL');
+    mock.timers.reset();
+
+    assert.strictEqual(fallback.status, 200);
+    assert.strictEqual(fallback.text, fresh.text);
+    assert.match(fallback.text, /;NEWS;SOL;Solana ETF filing amended$/);
+    assert.strictEqual(newsdata.requests.length, 2); // The refresh was attempted
+    assert.strictEqual((await get('/cache')).json.stats.staleOnError, 1);
+  });
+
+  test('replayed Arkham payloads join the feed for their symbol', async () => {
+    newsdata.reset();
+    newsdata.respondWith([]);
+    const at = Date.now() - 10 * 60 * 1000;
+
+    const results = await replayRecorded(baseUrl, ['transfer', 'legacy-transaction-usd', 'unrecognized-message'], {
+      secret: WEBHOOK_SECRET,
+      at
+    });
+    assert.deepStrictEqual(results.map(result => result.status), [200, 200, 202]);
+
+    const unsigned = await sendWebhook(baseUrl, loadRecordedPayload('swap'));
+    assert.strictEqual(unsigned.status, 401);
+    const forged = await sendWebhook(baseUrl, loadRecordedPayload('swap'), { secret: 'wrong' });
+    assert.strictEqual(forged.status, 401);
+
+    const { status, text } = await get('/crypto-news?symbols=ETH&timeframe=2h');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(parseRecords(text), [{
+      timestamp: Math.floor(at / 1000), // Block time, not arrival time
+      category: 'ONCHAIN',
+      symbol: 'ETH',
+      title: 'Large ETH transfer: $12.8M (Binance → Coinbase)'
+    }]);
+
+    const events = await get('/arkham-events');
+    assert.strictEqual(events.json.recentEvents, 2);
+  });
+
+  test('duplicate deliveries of one transaction are stored once', async () => {
+    // A redelivery is signed afresh (new block time, so a new signature) but is the same transaction
+    const [redelivered] = await replayRecorded(baseUrl, ['transfer'], { secret: WEBHOOK_SECRET, at: Date.now() - 11 * 60 * 1000 });
+    assert.strictEqual(redelivered.status, 200);
+    assert.strictEqual(redelivered.body.duplicate, true);
+
+    const [batch] = await replayRecorded(baseUrl, ['transfers-batch'], { secret: WEBHOOK_SECRET });
+    assert.strictEqual(batch.status, 202);
+
+    assert.strictEqual((await get('/arkham-events')).json.recentEvents, 2);
+  });
+
+  test('identical alerts without a transaction hash are separate events', async () => {
+    // A minute apart, so the second delivery is not a signature replay either
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const first = await replayRecorded(baseUrl, ['entity-alert'], { secret: WEBHOOK_SECRET });
+    mock.timers.tick(60 * 1000);
+    const second = await replayRecorded(baseUrl, ['entity-alert'], { secret: WEBHOOK_SECRET });
+    mock.timers.reset();
+
+    assert.deepStrictEqual([first[0].body.duplicate, second[0].body.duplicate], [false, false]);
+    assert.notStrictEqual(first[0].body.event.id, second[0].body.event.id);
+    assert.strictEqual((await get('/arkham-events')).json.totalEvents, 4);
+  });
+
+  test('test events report an already stored transaction', async () => {
+    const before = (await get('/events?categories=ONCHAIN&cluster=0')).json.total;
+    const created = await get('/test-webhook?txHash=0xintegration');
+    assert.strictEqual(created.status, 200);
+    const again = await get('/test-webhook?txHash=0xintegration');
+    assert.strictEqual(again.status, 409);
+    assert.strictEqual(again.json.duplicate, true);
+    assert.strictEqual(again.json.testEvent.id, created.json.testEvent.id);
+    assert.strictEqual((await get('/arkham-events')).json.totalEvents, 5);
+    assert.strictEqual((await get('/events?categories=ONCHAIN&cluster=0')).json.total, before + 1); // Cached records were rebuilt
+  });
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMetrics } = require('../lib/metrics');
+const log = require('../lib/logger');
+
+test('metrics: renders counters, collected gauges and histograms', () => {
+  const metrics = createMetrics({ prefix: 'app_' });
+  const ingest = metrics.counter('ingest_total', 'Ingested');
+  ingest.inc({ outcome: 'accepted' });
+  ingest.inc({ outcome: 'accepted' });
+  metrics.gauge('quota_remaining', 'Quota', () => [{ labels: { provider: 'news"data' }, value: 7 }]);
+  metrics.histogram('latency_seconds', 'Latency', [0.1, 1]).observe({ route: '/x' }, 0.5);
+
+  const text = metrics.render();
+  assert.match(text, /# TYPE app_ingest_total counter\napp_ingest_total\{outcome="accepted"\} 2/);
+  assert.match(text, /app_quota_remaining\{provider="news\\"data"\} 7/);
+  assert.match(text, /app_latency_seconds_bucket\{route="\/x",le="0.1"\} 0/);
+  assert.match(text, /app_latency_seconds_bucket\{route="\/x",le="1"\} 1/);
+  assert.match(text, /app_latency_seconds_bucket\{route="\/x",le="\+Inf"\} 1/);
+  assert.match(text, /app_latency_seconds_count\{route="\/x"\} 1/);
+});
+
+test('logger: JSON lines carry level, fields and the request context', () => {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = chunk => lines.push(String(chunk));
+  try {
+    log.configure({ level: 'info', format: 'json' });
+    log.debug('hidden');
+    log.runWithContext({ requestId: 'abc' }, () => log.child({ component: 'test' }).info('hello', { count: 2 }));
+  } finally {
+    process.stdout.write = write;
+  }
+
+  assert.strictEqual(lines.length, 1);
+  const entry = JSON.parse(lines[0]);
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'hello');
+  assert.strictEqual(entry.requestId, 'abc');
+  assert.strictEqual(entry.component, 'test');
+  assert.strictEqual(entry.count, 2);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pinescript = require('../lib/pinescript');
+
+const events = [
+  { timestamp: 100, category: 'NEWS', symbol: 'BTC', title: 'Bitcoin | rallies; again', score: 12 },
+  { timestamp: 300, category: 'ONCHAIN', symbol: 'ETH', title: 'x'.repeat(150), score: -40 },
+  { timestamp: 200, category: 'NEWS', symbol: 'DOGE', title: 'Doge', score: 0 }
+];
+
+test('pinescript: default profile keeps the classic line format and truncates every title', () => {
+  const profiles = pinescript.createProfiles();
+  const { text, count } = pinescript.encodeEvents(events, pinescript.resolveProfile(profiles, {}));
+  const records = text.split('|');
+  assert.strictEqual(count, 3);
+  assert.strictEqual(records[0], `300;ONCHAIN;ETH;${'x'.repeat(100)}`);
+  assert.strictEqual(records[2], '100;NEWS;BTC;Bitcoin rallies again');
+
+  const clustered = pinescript.encodeEvents([{ ...events[2], sources: 3 }], pinescript.resolveProfile(profiles, { maxTitle: '3' }));
+  assert.strictEqual(clustered.text, '200;NEWS;DOGE;Dog (3 sources)');
+});
+
+test('pinescript: custom separators with backslash escaping and a header', () => {
+  const profile = pinescript.resolveProfile(pinescript.createProfiles(), { sep: '~', fieldSep: '|', escape: 'backslash', header: '1', maxTitle: '30' });
+  const records = pinescript.encodeEvents(events, profile).text.split('~');
+  assert.match(records[0], /^#1\|[0-9a-f]{8}\|3\|0$/);
+  assert.strictEqual(records[3], '100|NEWS|BTC|Bitcoin \\| rallies; again');
+  assert.throws(() => pinescript.resolveProfile(pinescript.createProfiles(), { sep: ';' }), /must differ/);
+  assert.throws(() => pinescript.resolveProfile(pinescript.createProfiles(), { profile: 'nope' }), /Unknown profile/);
+});
+
+test('pinescript: compact encoding and byte/event limits drop the oldest', () => {
+  const profiles = pinescript.createProfiles({ compact: { compact: true, header: true } });
+  const table = ['BTC', 'ETH'];
+  const compact = pinescript.encodeEvents(events, pinescript.resolveProfile(profiles, { profile: 'compact' }), table);
+  assert.deepStrictEqual(compact.text.split('|').slice(1), ['300;2;2;-40', '200;1;0;0', '100;1;1;12']);
+
+  const limited = pinescript.encodeEvents(events, pinescript.resolveProfile(profiles, { profile: 'compact', maxBytes: '40' }), table);
+  assert.ok(Buffer.byteLength(limited.text) <= 40);
+  assert.strictEqual(limited.count + limited.dropped, 3);
+  assert.ok(limited.text.startsWith(`#1;${pinescript.formatHash(profiles.compact, table)};${limited.count};${limited.dropped}`));
+
+  const byCount = pinescript.encodeEvents(events, pinescript.resolveProfile(profiles, { maxEvents: '1' }));
+  assert.strictEqual(byCount.text, `300;ONCHAIN;ETH;${'x'.repeat(100)}`);
+  assert.notStrictEqual(pinescript.formatHash(profiles.compact, table), pinescript.formatHash(profiles.compact, ['BTC']));
+});
+
+test('pinescript: separators inside symbols and categories cannot add fields or records', () => {
+  const hostile = [{ timestamp: 400, category: 'NEWS;X', symbol: 'BTC|400;NEWS;ETH', title: 'Spoofed', score: 1 }];
+  const replaced = pinescript.encodeEvents(hostile, pinescript.resolveProfile(pinescript.createProfiles(), {}));
+  assert.strictEqual(replaced.text, '400;NEWS X;BTC 400 NEWS ETH;Spoofed');
+  assert.strictEqual(replaced.text.split('|').length, 1);
+
+  const escaped = pinescript.encodeEvents(hostile, pinescript.resolveProfile(pinescript.createProfiles(), { escape: 'backslash' }));
+  assert.strictEqual(escaped.text, '400;NEWS\\;X;BTC\\|400\\;NEWS\\;ETH;Spoofed');
+});
+
+test('pinescript: every text field is truncated by code points', () => {
+  const long = [{ timestamp: 500, category: 'ONCHAIN_TRANSFER_ALERT', symbol: 'S'.repeat(40), title: '🚀🚀🚀 moon', score: 1 }];
+  const defaults = pinescript.encodeEvents(long, pinescript.resolveProfile(pinescript.createProfiles(), {}));
+  assert.strictEqual(defaults.text, `500;ONCHAIN_TRANSFER;${'S'.repeat(20)};🚀🚀🚀 moon`);
+
+  const tight = pinescript.resolveProfile(pinescript.createProfiles(), { maxTitle: '2', maxSymbol: '3', maxCategory: '2' });
+  assert.strictEqual(pinescript.encodeEvents(long, tight).text, '500;ON;SSS;🚀🚀');
+  assert.throws(() => pinescript.resolveProfile(pinescript.createProfiles(), { maxSymbol: '-1' }), /maxSymbol/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPriceService, quoteFromSeries, priceContext } = require('../lib/prices');
+const { parsePriceFile } = require('../lib/prices/file');
+
+const DAY = 86400;
+const T0 = Date.parse('2024-03-01T00:00:00Z') / 1000;
+
+test('prices: parses CSV and JSON price files by symbol, oldest first', () => {
+  const csv = parsePriceFile('Symbol,Date,Close,Volume_USD\neth,2024-03-02,3400,15e9\nETH,2024-03-01,3300,10e9\nBTC,1709251200,61500,\n', 'csv');
+  assert.deepStrictEqual(csv.get('ETH').map(p => [p.time, p.price, p.volume]), [[T0, 3300, 10e9], [T0 + DAY, 3400, 15e9]]);
+  assert.strictEqual(csv.get('BTC')[0].volume, null);
+
+  const json = parsePriceFile(JSON.stringify({ SOL: [{ time: '2024-03-01 00:00', price: 130 }] }), 'json');
+  assert.strictEqual(json.get('SOL')[0].time, T0);
+  assert.throws(() => parsePriceFile('symbol,price\nBTC,1', 'csv'), /missing columns: time/);
+});
+
+test('prices: quotes the nearest point and the median volume before the event', () => {
+  const points = [0, 1, 2, 3].map(d => ({ time: T0 + d * DAY, price: 100 + d, volume: [10, 30, 20, 1000][d] }));
+  const settings = { maxAgeSeconds: DAY, volumeWindowDays: 30 };
+  assert.deepStrictEqual(quoteFromSeries(points, T0 + 2 * DAY + 3600, settings), { priceUsd: 102, priceAt: T0 + 2 * DAY, typicalVolumeUsd: 20 });
+  assert.strictEqual(quoteFromSeries(points, T0 + 10 * DAY, settings), null); // Too far from any point
+});
+
+test('prices: derives USD for token-denominated transfers and sizes against volume', () => {
+  const quote = { priceUsd: 3000, priceAt: T0, typicalVolumeUsd: 1e9 };
+  const derived = priceContext({ title: 'ETH transfer: 1,500 ETH', symbol: 'ETH', tokenAmount: 1500, usdValue: null }, quote);
+  assert.strictEqual(derived.usdValue, 4500000);
+  assert.strictEqual(derived.usdValueSource, 'price');
+  assert.strictEqual(derived.amount, '$4.5M');
+  assert.strictEqual(derived.title, 'ETH transfer: 1,500 ETH [~$4.5M, 0.45% of daily vol]');
+
+  const reported = priceContext({ title: 'Large ETH transfer: $20.0M', symbol: 'ETH', tokenAmount: null, usdValue: 2e7 }, quote);
+  assert.strictEqual(reported.usdValueSource, 'payload');
+  assert.strictEqual(reported.title, 'Large ETH transfer: $20.0M [2.0% of daily vol]');
+});
+
+test('prices: service enriches from a price file and leaves unpriced events alone', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+  try {
+    const file = path.join(dir, 'prices.csv');
+    fs.writeFileSync(file, 'symbol,time,price,volume\nETH,2024-03-01T00:00:00Z,3000,1000000000\n');
+    const service = createPriceService({ source: { type: 'file', file } });
+
+    const event = { title: 'ETH transfer: 100 ETH', symbol: 'ETH', tokenAmount: 100, usdValue: null, timestamp: T0 + 3600 };
+    assert.strictEqual((await service.enrich(event)).usdValue, 300000);
+    const unknown = { ...event, symbol: 'PEPE' };
+    assert.strictEqual(await service.enrich(unknown), unknown);
+    assert.deepStrictEqual([service.status().priced, service.status().missing], [1, 1]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createProfileStore } = require('../lib/profiles');
+
+function createStore() {
+  return createProfileStore({ profiles: new Map(), maxSymbols: 10, maxPerOwner: 2, pineProfileNames: () => ['default', 'compact'] });
+}
+
+const alice = { id: 'k1', scopes: ['read'] };
+const bob = { id: 'k2', scopes: ['read'] };
+const admin = { id: 'k3', scopes: ['read', 'admin'] };
+
+test('profiles: validates and normalizes saved profiles', () => {
+  const store = createStore();
+  const profile = store.create({
+    name: 'Majors',
+    symbols: 'btc, eth,sol,avax,link,dot,btc',
+    minUsd: '1000000',
+    timeframe: 'PT120M',
+    output: { format: 'JSON', profile: 'compact' }
+  }, alice);
+
+  assert.strictEqual(profile.name, 'majors');
+  assert.deepStrictEqual(profile.symbols, ['BTC', 'ETH', 'SOL', 'AVAX', 'LINK', 'DOT']); // More than 5, deduped
+  assert.deepStrictEqual(profile.categories, ['NEWS', 'ONCHAIN']);
+  assert.strictEqual(profile.minUsd, 1000000);
+  assert.strictEqual(profile.timeframe, '2h');
+  assert.deepStrictEqual(profile.output, { format: 'json', profile: 'compact', cluster: undefined });
+  assert.strictEqual(profile.ownerId, 'k1');
+
+  assert.strictEqual(store.create({ name: 'majors', symbols: ['BTC'] }, bob), null); // Name taken
+  [
+    [{ name: 'bad name', symbols: ['BTC'] }, /name/],
+    [{ name: 'x' }, /symbols or keywords/],
+    [{ name: 'x', symbols: Array.from({ length: 11 }, (_, i) => `T${i}`) }, /at most 10 symbols/],
+    [{ name: 'x', symbols: ['BTC'], categories: ['PRICE'] }, /categories/],
+    [{ name: 'x', symbols: ['BTC'], timeframe: 'soon' }, /Invalid timeframe/],
+    [{ name: 'x', symbols: ['BTC'], output: { profile: 'missing' } }, /Unknown PineScript profile/],
+    [{ name: 'x', symbols: ['BTC'], output: { format: 5 } }, /output.format must be one of/],
+    [{ name: 'x', symbols: ['BTC'], output: { format: ['json'] } }, /output.format must be one of/],
+    [{ name: 'x', symbols: ['BTC'], output: 'json' }, /output must be an object/]
+  ].forEach(([input, message]) => assert.throws(() => store.create(input, alice), message));
+});
+
+test('profiles: owners and admins manage, shared profiles are readable by all', () => {
+  const store = createStore();
+  const own = store.create({ name: 'alts', keywords: 'airdrop' }, alice);
+  const shared = store.create({ name: 'team', symbols: ['BTC'], shared: true }, alice);
+
+  assert.ok(store.canManage(own, alice) && store.canManage(own, admin));
+  assert.ok(!store.canManage(own, bob) && !store.canRead(own, bob));
+  assert.ok(store.canRead(shared, bob) && !store.canManage(shared, bob));
+  assert.deepStrictEqual(store.list(bob), []);
+  assert.strictEqual(store.list(admin).length, 2);
+  assert.ok(store.canManage(own, null)); // Auth disabled
+
+  assert.throws(() => store.create({ name: 'third', symbols: ['ETH'] }, alice), /at most 2 profiles/);
+  assert.ok(store.create({ name: 'third', symbols: ['ETH'] }, admin));
+
+  const updated = store.update('alts', { symbols: ['ARB'], name: 'renamed' });
+  assert.strictEqual(updated.name, 'alts');
+  assert.strictEqual(updated.keywords, null);
+  assert.strictEqual(updated.ownerId, 'k1');
+});
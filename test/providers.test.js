@@ -0,0 +1,143 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createNewsProviders, fetchFromProviders, dedupeArticles } = require('../lib/providers');
+const { createSymbolRegistry } = require('../lib/symbols');
+const { createFixtureServer } = require('./support/fixture-server');
+const { createFakeNewsdata, newsdataArticle } = require('./support/fake-newsdata');
+
+const fixtureDir = path.join(__dirname, 'fixtures', 'providers');
+const readFixture = name => fs.readFileSync(path.join(fixtureDir, name), 'utf8');
+const symbolRegistry = createSymbolRegistry(path.join(__dirname, '..', 'config', 'symbols.json'));
+
+const upstream = createFixtureServer({
+  '/rss2.xml': { type: 'application/rss+xml', body: readFixture('rss2.xml') },
+  '/atom.xml': { type: 'application/atom+xml', body: readFixture('atom.xml') },
+  '/api/v1/posts/': { body: readFixture('cryptopanic.json') }
+});
+
+before(() => upstream.start());
+after(() => upstream.stop());
+
+function providers(specs) {
+  return createNewsProviders(specs, { counters: new Map(), symbolRegistry });
+}
+
+test('providers: rss parses RSS 2.0 and Atom, including CDATA and entities', async () => {
+  const [rss] = providers([{ type: 'rss', feeds: [`${upstream.baseUrl}/rss2.xml`, `${upstream.baseUrl}/atom.xml`] }]);
+  const articles = await rss.fetch({});
+
+  assert.deepStrictEqual(articles.map(a => [a.title, a.link, a.pubDate]), [
+    ['Bitcoin & Ether rally as ETF flows turn positive', 'https://chainwire.example.com/markets/etf-flows?utm_source=rss', '2026-10-19T06:30:00.000Z'],
+    ['Solana fees <$0.01 again — validators', 'https://chainwire.example.com/solana-fees', '2026-10-19T05:00:00.000Z'],
+    ['Ethereum Pectra upgrade date set', 'https://ledger.example.org/pectra?a=1&b=2', '2026-10-19T06:15:00.000Z'],
+    ['Bitcoin & Ether rally as ETF flows turn positive - Ledger Notes', 'https://ledger.example.org/syndicated/etf-flows', '2026-10-19T06:45:00.000Z']
+  ]);
+  assert.strictEqual(articles[0].description, 'Inflows hit $1.2B — the most since March.'); // HTML inside CDATA stripped
+  assert.strictEqual(articles[0].content, 'Full story “quoted” here.');
+  assert.strictEqual(articles[3].content, 'Syndicated copy.');
+  assert.strictEqual(articles[0].source_id, '127.0.0.1');
+  assert.ok(articles.every(a => a.provider === 'rss' && a.fetchedAt));
+});
+
+test('providers: rss keeps working feeds when one fails', async () => {
+  const [rss] = providers([{ type: 'rss', feeds: [`${upstream.baseUrl}/missing.xml`, `${upstream.baseUrl}/atom.xml`] }]);
+  assert.strictEqual((await rss.fetch({})).length, 2);
+
+  const [broken] = providers([{ type: 'rss', feeds: [`${upstream.baseUrl}/missing.xml`] }]);
+  await assert.rejects(broken.fetch({}), /status: 404/);
+});
+
+test('providers: rss keeps out-of-range numeric entities as written', async () => {
+  upstream.routes['/entities.xml'] = { type: 'application/rss+xml', body: `<rss><channel>
+    <item><title>Glyphs &#99999999; &#x110000; &#x1F680; &#36;5</title><link>https://chainwire.example.com/glyphs</link></item>
+  </channel></rss>` };
+  const [rss] = providers([{ type: 'rss', feeds: [`${upstream.baseUrl}/entities.xml`] }]);
+  const [article] = await rss.fetch({});
+  assert.strictEqual(article.title, 'Glyphs &#99999999; &#x110000; 🚀 $5');
+});
+
+test('providers: links that are not absolute http(s) URLs are dropped', async () => {
+  upstream.routes['/unsafe.xml'] = { type: 'application/rss+xml', body: `<rss><channel>
+    <item><title>Script link</title><link>javascript:alert(document.cookie)</link></item>
+    <item><title>Relative link</title><link>/markets/1</link></item>
+    <item><title>Plain link</title><link> https://chainwire.example.com/markets/2 </link></item>
+  </channel></rss>` };
+  const [rss] = providers([{ type: 'rss', feeds: [`${upstream.baseUrl}/unsafe.xml`] }]);
+  const articles = await rss.fetch({});
+  assert.deepStrictEqual(articles.map(a => a.link), ['', '', 'https://chainwire.example.com/markets/2']);
+});
+
+test('providers: cryptopanic query, mapping and quota accounting', async () => {
+  const [cryptopanic] = providers([{
+    type: 'cryptopanic',
+    apiKey: 'cp-token',
+    baseUrl: `${upstream.baseUrl}/api/v1/posts/`,
+    maxRequestsPerDay: 2
+  }]);
+
+  const articles = await cryptopanic.fetch({ symbols: 'btc, eth', keywords: 'etf' });
+  const request = upstream.requests[upstream.requests.length - 1];
+  assert.deepStrictEqual(request.query, { auth_token: 'cp-token', public: 'true', kind: 'news', currencies: 'BTC,ETH', filter: 'etf' });
+  assert.deepStrictEqual(articles[0], {
+    title: 'Bitcoin & Ether rally as ETF flows turn positive',
+    description: '',
+    content: '',
+    link: 'https://www.chainwire.example.com/markets/etf-flows/?utm_medium=cp',
+    pubDate: '2026-10-19T06:31:00.000Z',
+    source_id: 'chainwire.example.com',
+    currencies: ['BTC', 'ETH'],
+    fetchedAt: articles[0].fetchedAt,
+    provider: 'cryptopanic'
+  });
+  assert.strictEqual(cryptopanic.quota.used(), 1);
+
+  // Failed calls are recorded for health but do not spend quota; the token is masked
+  upstream.routes['/api/v1/posts/'] = { status: 500, body: { error: 'down' } };
+  await assert.rejects(cryptopanic.fetch({}), error => !error.message.includes('cp-token'));
+  assert.strictEqual(cryptopanic.quota.used(), 1);
+  assert.strictEqual(cryptopanic.health().errors, 1);
+
+  upstream.routes['/api/v1/posts/'] = { body: readFixture('cryptopanic.json') };
+  await cryptopanic.fetch({});
+  const requestsBefore = upstream.requests.length;
+  await assert.rejects(cryptopanic.fetch({}), /Daily API rate limit exceeded/);
+  assert.strictEqual(upstream.requests.length, requestsBefore); // Refused locally, never sent
+});
+
+test('providers: newsdata query and mapping', async () => {
+  const newsdata = createFakeNewsdata();
+  const baseUrl = await newsdata.start();
+  newsdata.respondWith([newsdataArticle({ title: 'Solana ETF filing amended', minutesAgo: 0 })]);
+
+  const [provider] = providers([{ type: 'newsdata', apiKey: 'nd-key', baseUrl }]);
+  const [article] = await provider.fetch({ symbols: 'SOL', sinceMs: Date.parse('2026-10-18T12:00:00Z') });
+  await newsdata.stop();
+
+  assert.strictEqual(newsdata.requests[0].query.q, 'SOL OR Solana');
+  assert.strictEqual(newsdata.requests[0].query.from, '2026-10-18');
+  assert.strictEqual(article.title, 'Solana ETF filing amended');
+  assert.match(article.pubDate, /Z$/); // Zone-less Newsdata time read as UTC
+  assert.strictEqual(provider.quota.used(), 1);
+});
+
+test('providers: the same story from several providers is merged', async () => {
+  upstream.routes['/api/v1/posts/'] = { body: readFixture('cryptopanic.json') };
+  const list = providers([
+    { type: 'cryptopanic', apiKey: 't', baseUrl: `${upstream.baseUrl}/api/v1/posts/` },
+    { type: 'rss', feeds: [`${upstream.baseUrl}/rss2.xml`, `${upstream.baseUrl}/atom.xml`] },
+    { type: 'rss', name: 'offline', feeds: [`${upstream.baseUrl}/missing.xml`] }
+  ]);
+  const articles = await fetchFromProviders(list, {});
+
+  // Same URL after dropping www, tracking parameters and trailing slashes, or same title minus " - Outlet"
+  const etf = articles.filter(a => /ETF flows/.test(a.title));
+  assert.strictEqual(etf.length, 1);
+  assert.deepStrictEqual(etf[0].providers, ['cryptopanic', 'rss']);
+  assert.strictEqual(etf[0].description, 'Inflows hit $1.2B — the most since March.'); // Filled from the RSS copy
+  assert.strictEqual(articles.length, 4);
+  assert.deepStrictEqual(articles.map(a => a.pubDate), articles.map(a => a.pubDate).sort().reverse()); // Newest first
+
+  assert.deepStrictEqual(dedupeArticles([{ title: 'Untitled' }, { title: 'untitled!' }]).length, 1);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPayloadArchive } = require('../lib/payload-archive');
+const { planReplay, applyReplay, summarize } = require('../lib/replay');
+
+test('replay: archive appends JSON lines per day and reads ranges and ids', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-'));
+  try {
+    const archive = createPayloadArchive({ dir });
+    const day1 = Date.parse('2024-03-01T10:00:00Z');
+    const a = archive.append({ receivedAt: day1, outcome: 'accepted', payload: { n: 1 } }, Buffer.from('{"n":1}'));
+    archive.append({ receivedAt: day1 + 86400000, outcome: 'unrecognized', payload: { n: 2 } });
+    fs.appendFileSync(path.join(dir, '2024-03-02.jsonl'), '{"torn');
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['2024-03-01.jsonl', '2024-03-02.jsonl']);
+    assert.strictEqual(a.bytes, 7);
+    assert.strictEqual(archive.read().length, 2);
+    assert.strictEqual(archive.read({ fromMs: day1 + 1 }).length, 1);
+    assert.deepStrictEqual(archive.read({ ids: [a.id] }).map(r => r.payload), [{ n: 1 }]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('replay: diffs against stored events and applies corrections', async () => {
+  const stored = new Map([
+    ['e1', { id: 'e1', timestamp: 100, symbol: 'CRYPTO', title: 'Token movement detected' }],
+    ['e2', { id: 'e2', timestamp: 200, symbol: 'ETH', title: 'Same' }],
+    ['e3', { id: 'e3', timestamp: 300, symbol: 'SOL', title: 'Gone' }]
+  ]);
+  const records = [
+    { id: 'r1', receivedAt: 100000, outcome: 'accepted', eventId: 'e1', payload: { fixed: true } },
+    { id: 'r2', receivedAt: 200000, outcome: 'accepted', eventId: 'e2', payload: { same: true } },
+    { id: 'r3', receivedAt: 300000, outcome: 'accepted', eventId: 'e3', payload: { broken: true } },
+    { id: 'r4', receivedAt: 400000, outcome: 'unrecognized', payload: { nowKnown: true } },
+    { id: 'r5', receivedAt: 500000, outcome: 'rejected', reason: 'Invalid signature', payload: {} }
+  ];
+  const outputs = {
+    fixed: { recognized: true, id: 'new-e1', symbol: 'WBTC', title: 'WBTC transfer' },
+    same: { recognized: true, id: 'e2', symbol: 'ETH', title: 'Same' },
+    broken: { recognized: false, reason: 'Unrecognized Arkham payload shape' },
+    nowKnown: { recognized: true, id: 'e4', symbol: 'ARB', title: 'ARB swap' }
+  };
+  const process = (payload, receivedAt) => {
+    const output = outputs[Object.keys(payload)[0]];
+    return output.recognized ? { ...output, timestamp: Math.floor(receivedAt / 1000) } : output;
+  };
+
+  const results = await planReplay(records, { process, findStored: id => stored.get(id) });
+  assert.deepStrictEqual(results.map(r => r.status), ['changed', 'unchanged', 'dropped', 'new', 'skipped']);
+  assert.deepStrictEqual(results[0].diff.symbol, { before: 'CRYPTO', after: 'WBTC' });
+  assert.deepStrictEqual(summarize(results), { changed: 1, unchanged: 1, dropped: 1, new: 1, skipped: 1 });
+
+  const applied = applyReplay(results, records, {
+    update: (id, updater) => stored.set(id, updater(stored.get(id))),
+    insert: event => stored.set(event.id, event),
+    remove: id => stored.delete(id)
+  });
+  assert.strictEqual(applied, 3);
+  assert.strictEqual(stored.get('e1').symbol, 'WBTC');
+  assert.strictEqual(stored.get('e1').timestamp, 100); // Keeps id and ingest time
+  assert.ok(!stored.has('e3'));
+  assert.strictEqual(stored.get('e4').timestamp, 400);
+
+  // A second replay finds the corrected and inserted events unchanged
+  const again = await planReplay(records, { process, findStored: id => stored.get(id) });
+  assert.deepStrictEqual(again.map(r => r.status), ['unchanged', 'unchanged', 'unrecognized', 'unchanged', 'skipped']);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStore } = require('../lib/store');
+const { createArticlePool, keywordMatcher } = require('../lib/article-pool');
+const { createNewsScheduler } = require('../lib/scheduler');
+
+function fakeProvider(remaining) {
+  return { name: 'fake', quota: { remaining: () => remaining } };
+}
+
+test('scheduler: polls spread the remaining budget and skip when exhausted', async () => {
+  let polls = 0;
+  const scheduler = createNewsScheduler({
+    watchlists: [{ name: 'majors', symbols: 'BTC,ETH' }],
+    providers: [fakeProvider(10)],
+    reserve: 10,
+    poll: async () => {
+      polls++;
+      return { articles: 0, newArticles: 0 };
+    }
+  });
+
+  await scheduler.pollNext();
+  assert.strictEqual(polls, 0, 'reserve leaves no polling budget');
+  assert.match(scheduler.status().watchlists[0].lastError, /budget exhausted/);
+  assert.ok(!scheduler.covers(new Set(['BTC']), 3600000), 'nothing polled yet');
+});
+
+test('scheduler: the pool covers only fresh watchlists with a long enough window', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-10-19T08:00:00Z') });
+  const hour = 3600000;
+  const scheduler = createNewsScheduler({
+    watchlists: [{ name: 'majors', symbols: 'BTC,ETH', timeframe: '24' }, { name: 'alts', symbols: 'SOL', timeframe: '6h' }],
+    providers: [fakeProvider(1000)],
+    minIntervalMs: 5 * 60000,
+    maxIntervalMs: hour,
+    poll: async () => ({ articles: 0, newArticles: 0 })
+  });
+
+  await scheduler.pollNext(); // majors
+  assert.ok(scheduler.covers(new Set(['BTC']), 24 * hour));
+  assert.ok(!scheduler.covers(new Set(['BTC']), 48 * hour), 'window shorter than the request');
+  assert.ok(!scheduler.covers(new Set(['BTC', 'SOL']), hour), 'alts not polled yet');
+  assert.ok(!scheduler.covers(new Set(['BTC', 'PEPE']), hour));
+  assert.ok(!scheduler.covers(null, hour), 'unfiltered requests need every watchlist');
+
+  await scheduler.pollNext(); // alts
+  assert.ok(scheduler.covers(new Set(['BTC', 'SOL']), 6 * hour));
+  assert.ok(!scheduler.covers(new Set(['SOL']), 12 * hour));
+  assert.ok(scheduler.covers(null, hour));
+
+  // Two watchlists at the current pace (capped at an hour each): stale after two hours
+  t.mock.timers.tick(2 * hour + 60000);
+  assert.ok(!scheduler.covers(new Set(['BTC']), hour));
+});
+
+test('article pool: merges duplicates and filters by symbol, keyword and time', () => {
+  const pool = createArticlePool(
+    createStore().list('articlePool'),
+    (article, symbol) => article.title.includes(symbol)
+  );
+  const now = Date.now();
+  const added = pool.merge([
+    { title: 'BTC breaks out', link: 'https://a.com/1', pubDate: new Date(now - 3600000).toISOString() },
+    { title: 'ETH upgrade date set', link: 'https://a.com/2', pubDate: new Date(now - 7200000).toISOString() },
+    { title: 'BTC old news', link: 'https://a.com/3', pubDate: new Date(now - 48 * 3600000).toISOString() }
+  ]);
+  assert.strictEqual(added, 3);
+  assert.strictEqual(pool.merge([{ title: 'BTC breaks out', link: 'https://www.a.com/1?utm_source=x' }]), 0);
+
+  const recentBtc = pool.filter({ symbols: new Set(['BTC']), sinceMs: now - 24 * 3600000 });
+  assert.deepStrictEqual(recentBtc.map(a => a.title), ['BTC breaks out']);
+  assert.strictEqual(pool.filter({ keywords: 'upgrade' }).length, 1);
+  assert.strictEqual(pool.filter({ keywords: 'halving OR upgrade, breaks' }).length, 2);
+
+  const matches = keywordMatcher('crypto regulation OR etf (spot)');
+  assert.ok(matches({ title: 'New crypto regulation in the EU' }));
+  assert.ok(matches({ title: 'Filing', description: 'An ETF (spot) application' }));
+  assert.ok(!matches({ title: 'Crypto ETF approved' }));
+  assert.strictEqual(keywordMatcher(' , '), null);
+});
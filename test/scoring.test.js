@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { scoreArticle, scoreOnchainEvent } = require('../lib/scoring');
+
+test('scoring: regulatory headline outranks a listicle', () => {
+  const etf = scoreArticle({ title: 'SEC approves spot Bitcoin ETF applications' });
+  const listicle = scoreArticle({ title: 'Top 10 altcoins to buy this week' });
+  assert.ok(etf.impact > listicle.impact * 2, `${etf.impact} vs ${listicle.impact}`);
+  assert.ok(etf.sentiment > 0);
+});
+
+test('scoring: negation flips sentiment', () => {
+  assert.ok(scoreArticle({ title: 'Exchange hacked, funds drained' }).sentiment < 0);
+  assert.ok(scoreArticle({ title: 'Regulator does not ban staking' }).sentiment > 0);
+});
+
+test('scoring: exchange deposits read bearish and size drives impact', () => {
+  const deposit = scoreOnchainEvent({
+    type: 'transfer',
+    usdValue: 50000000,
+    from: { entity: null },
+    to: { entity: 'Binance', type: 'cex' }
+  });
+  const small = scoreOnchainEvent({ type: 'transfer', usdValue: 20000 });
+  assert.ok(deposit.sentiment < 0);
+  assert.ok(deposit.score < 0);
+  assert.ok(deposit.impact > small.impact);
+});
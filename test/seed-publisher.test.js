@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createSeedPublisher, dailyRows, seedDate } = require('../lib/seed-publisher');
+
+test('seed publisher: daily rows carry counts, USD and score OHLC', () => {
+  const day = 1709251200; // 2024-03-01
+  const rows = dailyRows([
+    { timestamp: day + 10, category: 'NEWS', score: 5 },
+    { timestamp: day + 20, category: 'ONCHAIN', usdValue: 1500000.4, score: -30 },
+    { timestamp: day + 30, category: 'NEWS', score: 12 }
+  ], [day, day + 86400]);
+
+  assert.strictEqual(seedDate(day), '20240301T');
+  assert.deepStrictEqual(rows.get(day).EVENTS, [2, 3, 1, 1, 1500000]);
+  assert.deepStrictEqual(rows.get(day).SCORE, [5, 12, -30, 12, 3]);
+  assert.deepStrictEqual(rows.get(day + 86400).EVENTS, [0, 0, 0, 0, 0]);
+});
+
+test('seed publisher: commits to a working copy and pushes to a bare remote', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+  const remote = path.join(dir, 'remote.git');
+  const repoDir = path.join(dir, 'seed_crypto_events');
+  execFileSync('git', ['init', '-q', '--bare', remote]);
+  execFileSync('git', ['clone', '-q', remote, repoDir], { stdio: 'ignore' });
+
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const publisher = createSeedPublisher({
+      repoDir,
+      symbols: () => ['BTC'],
+      records: () => [{ timestamp: now, category: 'NEWS', symbols: ['BTC'], score: 7 }],
+      push: true,
+      branch: 'main'
+    });
+
+    const first = await publisher.publish();
+    assert.strictEqual(first.committed, true);
+    assert.strictEqual(first.filesChanged, 3);
+    const events = fs.readFileSync(path.join(repoDir, 'data', 'BTC_EVENTS.csv'), 'utf8').trim().split('\n');
+    assert.strictEqual(events.length, 2);
+    assert.strictEqual(events[1], `${seedDate(now)},1,1,0,0,0`);
+    const info = JSON.parse(fs.readFileSync(path.join(repoDir, 'symbol_info', 'seed_crypto_events.json'), 'utf8'));
+    assert.deepStrictEqual(info.symbol, ['BTC_EVENTS', 'BTC_SCORE']);
+
+    const pushed = execFileSync('git', ['--git-dir', remote, 'log', '--format=%s', 'main'], { encoding: 'utf8' });
+    assert.match(pushed, /^Update seed data/);
+
+    const second = await publisher.publish();
+    assert.strictEqual(second.committed, false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
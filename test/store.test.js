@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+
+test('store: file driver batches writes until flush', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  const store = createStore({ driver: 'file', dir, flushMs: 60000 });
+  const counters = store.map('counters');
+  const list = store.list('events', { max: 3 });
+
+  for (let i = 0; i < 100; i++) counters.set('requests', i);
+  list.unshift({ id: 'a', timestamp: 1 });
+  list.unshiftMany([{ id: 'b', timestamp: 2 }, { id: 'c', timestamp: 3 }, { id: 'd', timestamp: 4 }]);
+  assert.deepStrictEqual(list.all().map(item => item.id), ['d', 'c', 'b']); // Same order as unshift one by one
+  assert.strictEqual(fs.existsSync(path.join(dir, 'counters.json')), false);
+
+  store.flush();
+  const reopened = createStore({ driver: 'file', dir });
+  assert.strictEqual(reopened.map('counters').get('requests'), 99);
+  assert.deepStrictEqual(reopened.list('events').all().map(item => item.id), ['d', 'c', 'b']);
+
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('store: list generation changes only when the contents do', () => {
+  const list = createStore().list('events');
+  const start = list.generation;
+  list.unshiftMany([]);
+  list.update(() => false, item => item);
+  list.remove(() => false);
+  assert.strictEqual(list.generation, start);
+
+  list.unshift({ id: 'a', timestamp: 1 });
+  list.update(item => item.id === 'a', item => ({ ...item, title: 'x' }));
+  assert.strictEqual(list.generation, start + 2);
+});
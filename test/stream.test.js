@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const WebSocket = require('ws');
+const { createStore } = require('../lib/store');
+const { createEventStream } = require('../lib/stream');
+
+// Event stream behind a real HTTP server; call close() when done
+async function startStream(options = {}) {
+  const store = createStore();
+  const stream = createEventStream({
+    messageLog: store.list('streamEvents', { max: 50 }),
+    counters: store.map('counters'),
+    heartbeatMs: options.heartbeatMs || 15000,
+    matchNews: (article, symbol) => article.title.includes(symbol)
+  });
+  const app = express();
+  app.get('/stream', stream.sseHandler);
+  const server = http.createServer(app);
+  const wss = stream.attachWebSocket(server, '/stream/ws');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const port = server.address().port;
+
+  return {
+    stream,
+    port,
+    close: () => new Promise(resolve => {
+      wss.clients.forEach(socket => socket.terminate());
+      wss.close();
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+// Collects SSE frames; next(predicate) resolves with the first raw frame matching it
+function connectSse(port, path = '/stream', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const frames = [];
+    const waiters = [];
+    let buffer = '';
+    const req = http.get({ host: '127.0.0.1', port, path, headers }, res => {
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        parts.forEach(frame => {
+          frames.push(frame);
+          waiters.slice().forEach(waiter => {
+            if (waiter.predicate(frame)) {
+              waiters.splice(waiters.indexOf(waiter), 1);
+              waiter.resolve(frame);
+            }
+          });
+        });
+      });
+      resolve({
+        status: res.statusCode,
+        frames,
+        next: predicate => new Promise(done => {
+          const found = frames.find(predicate);
+          if (found) return done(found);
+          waiters.push({ predicate, resolve: done });
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+function sseData(frame) {
+  const line = frame.split('\n').find(l => l.startsWith('data: '));
+  return line ? JSON.parse(line.slice(6)) : null;
+}
+
+function connectWs(port, query = '') {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/stream/ws${query}`);
+    const messages = [];
+    socket.on('message', raw => messages.push(JSON.parse(raw.toString())));
+    socket.once('open', () => resolve({ socket, messages }));
+    socket.once('error', reject);
+  });
+}
+
+async function waitFor(check, timeoutMs = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error('Timed out waiting for stream');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('stream: SSE and WebSocket clients connect and receive published events', async () => {
+  const { stream, port, close } = await startStream();
+  const sse = await connectSse(port);
+  const ws = await connectWs(port);
+  await waitFor(() => stream.clientCount() === 2);
+
+  stream.publish('onchain', 'ONCHAIN', 'ETH', { title: 'Large ETH transfer' });
+  const frame = await sse.next(f => f.includes('event: onchain'));
+  await waitFor(() => ws.messages.length === 1);
+
+  assert.strictEqual(sse.status, 200);
+  assert.match(frame, /^id: 1\n/);
+  assert.deepStrictEqual(sseData(frame).data, { title: 'Large ETH transfer' });
+  assert.strictEqual(ws.messages[0].id, 1);
+  assert.strictEqual(ws.messages[0].symbol, 'ETH');
+
+  sse.close();
+  ws.socket.close();
+  await waitFor(() => stream.clientCount() === 0);
+  await close();
+});
+
+test('stream: clients resume after lastEventId', async () => {
+  const { stream, port, close } = await startStream();
+  [1, 2, 3].forEach(n => stream.publish('news', 'NEWS', 'CRYPTO', { title: `Story ${n}` }));
+
+  // SSE: Last-Event-ID header, or ?lastEventId for clients that cannot set headers
+  const fromHeader = await connectSse(port, '/stream', { 'Last-Event-ID': '1' });
+  const fromQuery = await connectSse(port, '/stream?lastEventId=2');
+  await waitFor(() => stream.clientCount() === 2);
+  await fromHeader.next(f => f.startsWith('id: 3'));
+  await fromQuery.next(f => f.startsWith('id: 3'));
+  const ids = sse => sse.frames.filter(f => f.startsWith('id: ')).map(f => sseData(f).id);
+  assert.deepStrictEqual(ids(fromHeader), [2, 3]);
+  assert.deepStrictEqual(ids(fromQuery), [3]);
+
+  // WebSocket: ?lastEventId on connect, then a resume command
+  const ws = await connectWs(port, '?lastEventId=1');
+  await waitFor(() => ws.messages.length === 2);
+  ws.socket.send(JSON.stringify({ type: 'resume', lastEventId: 2 }));
+  await waitFor(() => ws.messages.length === 3);
+  assert.deepStrictEqual(ws.messages.map(m => m.id), [2, 3, 3]);
+
+  // Live events continue the same sequence
+  stream.publish('news', 'NEWS', 'CRYPTO', { title: 'Story 4' });
+  await fromHeader.next(f => f.startsWith('id: 4'));
+  await waitFor(() => ws.messages.length === 4);
+
+  fromHeader.close();
+  fromQuery.close();
+  await close();
+});
+
+test('stream: symbol and category filters', async () => {
+  const { stream, port, close } = await startStream();
+  const sse = await connectSse(port, '/stream?symbols=eth&categories=onchain,news');
+  const ws = await connectWs(port, '?categories=signal');
+  await waitFor(() => stream.clientCount() === 2);
+
+  stream.publish('onchain', 'ONCHAIN', 'BTC', { title: 'BTC transfer' }); // Wrong symbol
+  stream.publish('signal', 'SIGNAL', 'ETH', { title: 'ETH signal' }); // Wrong category for SSE
+  stream.publish('news', 'NEWS', 'CRYPTO', { title: 'BTC miners sell' }); // News matched by headline
+  stream.publish('news', 'NEWS', 'CRYPTO', { title: 'ETH gas spikes' });
+  stream.publish('onchain', 'ONCHAIN', 'CRYPTO', { title: 'Market-wide flows' }); // CRYPTO passes symbol filters
+  stream.publish('onchain', 'ONCHAIN', 'ETH', { title: 'ETH transfer' });
+
+  await sse.next(f => f.startsWith('id: 6'));
+  const received = sse.frames.filter(f => f.startsWith('id: ')).map(f => sseData(f).data.title);
+  assert.deepStrictEqual(received, ['ETH gas spikes', 'Market-wide flows', 'ETH transfer']);
+  await waitFor(() => ws.messages.length === 1);
+  assert.strictEqual(ws.messages[0].data.title, 'ETH signal');
+
+  // Subscribing replaces the WebSocket filters
+  ws.socket.send(JSON.stringify({ type: 'subscribe', symbols: ['btc'] }));
+  await waitFor(() => ws.messages.length === 2);
+  assert.deepStrictEqual(ws.messages[1], { event: 'subscribed', filters: { symbols: ['BTC'], categories: null } });
+  stream.publish('onchain', 'ONCHAIN', 'ETH', { title: 'Another ETH transfer' });
+  stream.publish('onchain', 'ONCHAIN', 'BTC', { title: 'Another BTC transfer' });
+  await waitFor(() => ws.messages.length === 3);
+  assert.strictEqual(ws.messages[2].data.title, 'Another BTC transfer');
+
+  ws.socket.send('not json');
+  await waitFor(() => ws.messages.length === 4);
+  assert.deepStrictEqual(ws.messages[3], { event: 'error', message: 'Invalid command' });
+
+  sse.close();
+  await close();
+});
+
+test('stream: heartbeats keep idle connections alive', async () => {
+  const { stream, port, close } = await startStream({ heartbeatMs: 50 });
+  const sse = await connectSse(port);
+  const ws = await connectWs(port);
+  let pings = 0;
+  ws.socket.on('ping', () => pings++);
+
+  const frame = await sse.next(f => f.startsWith(': heartbeat'));
+  assert.match(frame, /^: heartbeat \d+$/);
+  assert.strictEqual(sse.frames[0], 'retry: 5000');
+  await waitFor(() => pings >= 2);
+  assert.strictEqual(ws.socket.readyState, WebSocket.OPEN); // Pongs answered, not dropped
+  assert.strictEqual(stream.clientCount(), 2);
+
+  sse.close();
+  await close();
+});
@@ -0,0 +1,89 @@
+// Local stand-in for the Newsdata.io news endpoint (/api/1/news)
+//
+// Answers every request with a Newsdata-shaped success payload built from the
+// configured articles, or as configured:
+//   respondWith(articles)        { status: "success", results } (the default, with no articles)
+//   failWith(status, message)    { status: "error", results: { message, code } } with that HTTP status
+//   exhaustQuota()               429 RateLimitExceeded, as Newsdata answers once the daily credits are spent
+//   delay(ms)                    latency added before each response
+// Requests are recorded in `requests` with their parsed query.
+
+const http = require('http');
+
+// Newsdata sends pubDate as UTC without a zone marker
+function formatPubDate(ms) {
+  return new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// A result item as Newsdata returns it, published minutesAgo before now
+function newsdataArticle({ title, description = '', minutesAgo = 5, source = 'coindesk', link }) {
+  return {
+    article_id: `${source}-${Buffer.from(title).toString('hex').slice(0, 16)}`,
+    title,
+    link: link || `https://${source}.example.com/${encodeURIComponent(title.toLowerCase().replace(/\W+/g, '-'))}`,
+    description,
+    content: null,
+    pubDate: formatPubDate(Date.now() - minutesAgo * 60 * 1000),
+    source_id: source,
+    language: 'english',
+    category: ['business']
+  };
+}
+
+function createFakeNewsdata() {
+  let server = null;
+  let response = null;
+  let latencyMs = 0;
+
+  const fake = {
+    url: null,
+    requests: [],
+
+    async start() {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        fake.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+        setTimeout(() => {
+          const { status, body } = response || { status: 200, body: { status: 'success', totalResults: 0, results: [] } };
+          res.writeHead(status, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(body));
+        }, latencyMs);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      fake.url = `http://127.0.0.1:${server.address().port}/api/1/news`;
+      return fake.url;
+    },
+
+    stop() {
+      return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    },
+
+    respondWith(articles) {
+      response = { status: 200, body: { status: 'success', totalResults: articles.length, results: articles, nextPage: null } };
+    },
+
+    failWith(status, message = 'Internal server error') {
+      response = { status, body: { status: 'error', results: { message, code: 'Error' } } };
+    },
+
+    exhaustQuota() {
+      response = {
+        status: 429,
+        body: { status: 'error', results: { message: 'API Rate limit exceeded', code: 'RateLimitExceeded' } }
+      };
+    },
+
+    delay(ms) {
+      latencyMs = ms;
+    },
+
+    reset() {
+      response = null;
+      latencyMs = 0;
+      fake.requests.length = 0;
+    }
+  };
+  return fake;
+}
+
+module.exports = { createFakeNewsdata, newsdataArticle };
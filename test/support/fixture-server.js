@@ -0,0 +1,39 @@
+// Serves canned responses by path, for provider adapter tests
+// routes: { '/feed.xml': { status?, type?, body } }; replace entries at any time.
+// Unknown paths answer 404. Requests are recorded with their parsed query.
+
+const http = require('http');
+
+function createFixtureServer(routes = {}) {
+  let server = null;
+
+  const fixture = {
+    routes,
+    requests: [],
+    baseUrl: null,
+
+    async start() {
+      server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        fixture.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+        const route = fixture.routes[url.pathname];
+        if (!route) {
+          res.writeHead(404, { 'Content-Type': 'text/plain' });
+          return res.end('Not found');
+        }
+        res.writeHead(route.status || 200, { 'Content-Type': route.type || 'application/json' });
+        res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body));
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      fixture.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      return fixture.baseUrl;
+    },
+
+    stop() {
+      return new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    }
+  };
+  return fixture;
+}
+
+module.exports = { createFixtureServer };
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createSymbolRegistry } = require('../lib/symbols');
+
+const registry = createSymbolRegistry(path.join(__dirname, '..', 'config', 'symbols.json'));
+
+test('symbols: aliases and alternate names match', () => {
+  assert.ok(registry.matches('Ether rallies past $4k', 'ETH'));
+  assert.ok(registry.matches('XBT futures open interest climbs', 'BTC'));
+  assert.ok(registry.matches('Polygon POS validators upgrade', 'MATIC'));
+  assert.ok(registry.matches('$SOL memecoins are back', 'SOL'));
+});
+
+test('symbols: short tickers and exclusion words avoid false positives', () => {
+  assert.ok(!registry.matches('One of the largest funds is buying', 'ONE'));
+  assert.ok(!registry.matches('OP-ED: why regulation matters', 'OP'));
+  assert.ok(registry.matches('OP unlock hits the market', 'OP'));
+  assert.ok(!registry.matches('Bitcoin Cash miners capitulate', 'BTC'));
+});
+
+test('symbols: unknown symbols fall back to ticker matching', () => {
+  assert.ok(registry.matches('PEPE surges 40%', 'PEPE'));
+  assert.strictEqual(registry.getName('PEPE'), 'PEPE');
+  assert.strictEqual(registry.countMatches('PEPE, then $PEPE, then pepe', 'PEPE'), 2); // Compiled patterns are reused safely
+  assert.strictEqual(registry.countMatches('PEPE again', 'PEPE'), 1);
+});
+
+test('symbols: tokens resolve by contract address and alias', () => {
+  assert.strictEqual(registry.resolveToken({ symbol: 'WETH' }), 'ETH');
+  assert.strictEqual(registry.resolveToken({
+    symbol: 'xyz',
+    chain: 'ethereum',
+    tokenAddress: '0xdac17f958d2ee523a2206206994597c13d831ec7'
+  }), 'USDT');
+  assert.strictEqual(registry.resolveToken({ symbol: 'pepe' }), 'PEPE');
+});
+
+test('symbols: generation increases on reload', () => {
+  const before = registry.generation;
+  registry.reload();
+  assert.strictEqual(registry.generation, before + 1);
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createSymbolRegistry } = require('../lib/symbols');
+const { tagArticle } = require('../lib/tagging');
+
+const registry = createSymbolRegistry(path.join(__dirname, '..', 'config', 'symbols.json'));
+
+test('tagging: every matching symbol is tagged, title mentions rank first', () => {
+  const tags = tagArticle({
+    title: 'Ethereum staking yields climb',
+    description: 'Bitcoin dominance slips as ETH and Ether ETFs draw inflows'
+  }, ['BTC', 'ETH', 'SOL'], registry);
+
+  assert.deepStrictEqual(tags.map(t => t.symbol), ['ETH', 'BTC']);
+  assert.ok(tags[0].relevance >= 50);
+  assert.ok(tags[1].relevance < 50);
+});
+
+test('tagging: relevance is capped at 100', () => {
+  const tags = tagArticle({
+    title: 'BTC BTC BTC Bitcoin',
+    description: 'BTC '.repeat(20),
+    content: 'Bitcoin '.repeat(50)
+  }, ['BTC'], registry);
+  assert.strictEqual(tags[0].relevance, 100);
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const time = require('../lib/time');
+const { normalizeArkhamPayload } = require('../lib/arkham');
+
+const NOON_UTC = Date.parse('2024-03-01T12:00:00Z');
+
+test('time: provider timestamps are UTC unless they name a zone', () => {
+  assert.strictEqual(time.parseTimestamp('2024-03-01 12:00:00'), NOON_UTC); // Newsdata pubDate
+  assert.strictEqual(time.parseTimestamp('2024-03-01T12:00'), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp('2024-03-01T14:00:00+02:00'), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp('2024-03-01 07:00:00 -0500'), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp('Fri, 01 Mar 2024 12:00:00 GMT'), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp('Fri, 01 Mar 2024 12:00:00'), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp(NOON_UTC / 1000), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp(String(NOON_UTC)), NOON_UTC);
+  assert.strictEqual(time.parseTimestamp('yesterday-ish'), null);
+  assert.strictEqual(time.parseTimestamp(''), null);
+});
+
+test('time: timeframes accept hours, unit suffixes and ISO 8601 durations', () => {
+  const HOUR = 60 * 60 * 1000;
+  assert.strictEqual(time.parseTimeframe(undefined), 24 * HOUR);
+  assert.strictEqual(time.parseTimeframe('2'), 2 * HOUR);
+  assert.strictEqual(time.parseTimeframe('0.5'), HOUR / 2);
+  assert.strictEqual(time.parseTimeframe('15m'), HOUR / 4);
+  assert.strictEqual(time.parseTimeframe('1w'), 168 * HOUR);
+  assert.strictEqual(time.parseTimeframe('PT90M'), 1.5 * HOUR);
+  assert.strictEqual(time.parseTimeframe('P1DT12H'), 36 * HOUR);
+  ['abc', '0', 'P', 'PT10S', '-2'].forEach(bad => assert.throws(() => time.parseTimeframe(bad), /Invalid timeframe/));
+
+  assert.strictEqual(time.formatTimeframe(time.parseTimeframe('PT120M')), '2h');
+  assert.strictEqual(time.formatTimeframe(time.parseTimeframe('48')), '2d');
+  assert.strictEqual(time.formatTimeframe(time.parseTimeframe('90m')), '90m');
+});
+
+test('time: articles are trimmed to the exact window, undated ones kept', () => {
+  const articles = [
+    { title: 'inside', pubDate: '2024-03-01 11:30:00' },
+    { title: 'outside', pubDate: '2024-03-01 09:59:00' },
+    { title: 'undated' }
+  ];
+  const kept = time.filterToWindow(articles, time.parseTimeframe('2h'), NOON_UTC).map(a => a.title);
+  assert.deepStrictEqual(kept, ['inside', 'undated']);
+  assert.strictEqual(time.articleTime({ fetchedAt: 5 }), 5);
+});
+
+test('time: Arkham payloads carry their on-chain time', () => {
+  const transfer = normalizeArkhamPayload({
+    transfer: { transactionHash: '0x1', tokenSymbol: 'ETH', historicalUSD: 5000, blockTimestamp: '2024-03-01T12:00:00Z' }
+  });
+  assert.strictEqual(transfer.occurredAt, NOON_UTC / 1000);
+  const entity = normalizeArkhamPayload({ entity: 'Jump', alert: { name: 'Large outflow' }, timestamp: NOON_UTC / 1000 });
+  assert.strictEqual(entity.occurredAt, NOON_UTC / 1000);
+  assert.strictEqual(normalizeArkhamPayload({ transfer: { tokenSymbol: 'ETH' } }).occurredAt, null);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createWebhookVerifier, signPayload } = require('../lib/webhook-auth');
+
+const SECRET = 'hook-secret';
+
+function request(body, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { ip: '127.0.0.1', rawBody: Buffer.from(body), get: name => lower[name.toLowerCase()] };
+}
+
+function signed(body, timestamp = Math.floor(Date.now() / 1000), extra = {}) {
+  return request(body, { 'x-timestamp': String(timestamp), 'x-signature': `sha256=${signPayload(SECRET, body, timestamp)}`, ...extra });
+}
+
+test('webhook auth: valid deliveries pass once, replays with a fresh nonce do not', () => {
+  const verifier = createWebhookVerifier({ secret: SECRET });
+  const body = '{"alert":"x"}';
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  assert.deepStrictEqual(verifier.verify(signed(body, timestamp)), { ok: true });
+  const replay = verifier.verify(signed(body, timestamp, { 'x-nonce': 'fresh-nonce' }));
+  assert.strictEqual(replay.status, 409);
+});
+
+test('webhook auth: a signed timestamp is required whenever a secret is set', () => {
+  const verifier = createWebhookVerifier({ secret: SECRET, toleranceSeconds: 300 });
+  const body = '{"alert":"y"}';
+
+  // Body-only signatures (no timestamp) never expire, so they are refused
+  const bodyOnly = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+  assert.strictEqual(verifier.verify(request(body, { 'x-signature': bodyOnly })).reason, 'Missing x-timestamp header');
+
+  // A captured delivery replayed after the tolerance window fails on its timestamp
+  const old = Math.floor(Date.now() / 1000) - 601;
+  assert.match(verifier.verify(signed(body, old)).reason, /outside 300s tolerance/);
+
+  // The timestamp is signed: swapping in a fresh one breaks the signature
+  const captured = signed(body, old);
+  const retimed = request(body, { 'x-timestamp': String(Math.floor(Date.now() / 1000)), 'x-signature': captured.get('x-signature') });
+  assert.strictEqual(verifier.verify(retimed).reason, 'Signature mismatch');
+});
+
+test('webhook auth: remembered signatures expire with their timestamp', () => {
+  const nonceStore = new Map();
+  const verifier = createWebhookVerifier({ secret: SECRET, toleranceSeconds: 60, nonceStore });
+  const timestamp = Math.floor(Date.now() / 1000);
+  verifier.verify(signed('{}', timestamp));
+  assert.deepStrictEqual(Array.from(nonceStore.values()), [timestamp + 61]);
+});